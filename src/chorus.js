@@ -0,0 +1,192 @@
+/**
+ * GS chorus macros.
+ * @enum {number}
+ */
+export const ChorusType = {
+  CHORUS1: 0,
+  CHORUS2: 1,
+  CHORUS3: 2,
+  CHORUS4: 3,
+  FEEDBACK_CHORUS: 4,
+  FLANGER: 5,
+  SHORT_DELAY: 6,
+  SHORT_DELAY_FEEDBACK: 7
+};
+
+/**
+ * Level, feedback, delay, rate and depth of the GS chorus macros (0-127).
+ * @type {Array.<Array.<number>>}
+ */
+const ChorusMacro = [
+  [64, 0, 112, 3, 5],
+  [64, 5, 80, 9, 19],
+  [64, 8, 80, 3, 19],
+  [64, 16, 64, 9, 16],
+  [64, 64, 127, 2, 24],
+  [64, 112, 127, 1, 5],
+  [64, 0, 127, 0, 127],
+  [64, 80, 127, 0, 127]
+];
+
+/**
+ * Stereo chorus send effect: two delay lines swept in opposite phase by one LFO.
+ * Voices connect their chorus send to `input`.
+ */
+export class Chorus {
+  /**
+   * @param {AudioContext} ctx
+   */
+  constructor (ctx) {
+    /** @type {AudioContext} */
+    this.ctx = ctx;
+    /** @type {GainNode} send bus */
+    this.input = ctx.createGain();
+    /** @type {GainNode} chorus level */
+    this.output = ctx.createGain();
+    /** @type {ChannelSplitterNode} */
+    this.splitter = ctx.createChannelSplitter(2);
+    /** @type {ChannelMergerNode} */
+    this.merger = ctx.createChannelMerger(2);
+    /** @type {Array.<DelayNode>} left and right delay lines */
+    this.delayNodes = [ctx.createDelay(0.2), ctx.createDelay(0.2)];
+    /** @type {Array.<GainNode>} */
+    this.feedbackNodes = [ctx.createGain(), ctx.createGain()];
+    /** @type {Array.<GainNode>} LFO depth of each delay line */
+    this.depthNodes = [ctx.createGain(), ctx.createGain()];
+    /** @type {OscillatorNode} */
+    this.lfo = ctx.createOscillator();
+
+    /** @type {number} Hz */
+    this._rate = 0;
+    /** @type {number} ms */
+    this._depth = 0;
+    /** @type {number} ms */
+    this._delay = 0;
+
+    this.input.connect(this.splitter);
+
+    for (let i = 0; i < 2; ++i) {
+      /** @type {DelayNode} */
+      const delay = this.delayNodes[i];
+
+      this.splitter.connect(delay, i);
+      delay.connect(this.feedbackNodes[i]).connect(delay);
+      delay.connect(this.merger, 0, i);
+      this.lfo.connect(this.depthNodes[i]).connect(delay.delayTime);
+    }
+
+    this.merger.connect(this.output);
+    this.lfo.start();
+
+    this.type(ChorusType.CHORUS3);
+  }
+
+  /**
+   * @param {AudioNode} destination
+   * @return {AudioNode}
+   */
+  connect (destination) {
+    return this.output.connect(destination);
+  }
+
+  /**
+   * @return {void}
+   */
+  disconnect () {
+    this.output.disconnect();
+  }
+
+  /**
+   * Load a GS chorus macro.
+   * @param {ChorusType} type
+   * @return {void}
+   */
+  type (type) {
+    /** @type {Array.<number>} */
+    const macro = ChorusMacro[type];
+
+    if (macro === undefined) {
+      return;
+    }
+
+    this.level(macro[0] / 127);
+    this.feedback(macro[1] / 128);
+    this.delay(this.gsDelayToMs(macro[2]));
+    this.rate(macro[3] * 0.122);
+    this.depth((macro[4] + 1) / 12.8);
+  }
+
+  /**
+   * @param {number} level output gain (0 to 1).
+   * @return {void}
+   */
+  level (level) {
+    this.output.gain.setTargetAtTime(Math.min(1, Math.max(0, level)), this.ctx.currentTime, 0.01);
+  }
+
+  /**
+   * @param {number} feedback ratio fed back into the delay lines (-0.98 to 0.98).
+   * @return {void}
+   */
+  feedback (feedback) {
+    /** @type {number} */
+    const value = Math.min(0.98, Math.max(-0.98, feedback));
+
+    this.feedbackNodes.forEach(node => node.gain.setTargetAtTime(value, this.ctx.currentTime, 0.01));
+  }
+
+  /**
+   * @param {number} ms delay time at the center of the sweep.
+   * @return {void}
+   */
+  delay (ms) {
+    this._delay = Math.min(100, Math.max(0, ms));
+    this.updateDelay_();
+  }
+
+  /**
+   * @param {number} hz LFO rate.
+   * @return {void}
+   */
+  rate (hz) {
+    this._rate = Math.max(0, hz);
+    this.lfo.frequency.setTargetAtTime(this._rate, this.ctx.currentTime, 0.01);
+  }
+
+  /**
+   * @param {number} ms sweep of the delay time around its center.
+   * @return {void}
+   */
+  depth (ms) {
+    this._depth = Math.max(0, ms);
+    this.updateDelay_();
+  }
+
+  /**
+   * GS chorus delay (0-127) in ms.
+   * @param {number} value
+   * @return {number}
+   */
+  gsDelayToMs (value) {
+    return 0.1 * 1000 ** (value / 127);
+  }
+
+  /**
+   * The sweep is limited by the delay so the delay time stays positive.
+   * @return {void}
+   * @private
+   */
+  updateDelay_ () {
+    /** @type {number} */
+    const now = this.ctx.currentTime;
+    /** @type {number} */
+    const depth = Math.min(this._depth, this._delay) / 1000;
+
+    this.delayNodes.forEach(node => node.delayTime.setTargetAtTime(this._delay / 1000, now, 0.01));
+    // opposite phase on the right side widens the stereo image
+    this.depthNodes[0].gain.setTargetAtTime(depth, now, 0.01);
+    this.depthNodes[1].gain.setTargetAtTime(-depth, now, 0.01);
+  }
+}
+
+export default Chorus;
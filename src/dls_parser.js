@@ -0,0 +1,872 @@
+/* eslint-disable no-bitwise */
+import * as RiffHelper from './riff.js';
+import { Parser } from './parser.js';
+import { SampleType } from './zone.js';
+import { ParseErrorCode, SoundFontParseError } from './parse_error.js';
+
+/** @typedef {import('./parser.js').SoundFontInfo} SoundFontInfo */
+
+/**
+ * @typedef DlsLoop
+ * @prop {number} type 0 forward, 1 loop and release.
+ * @prop {number} start
+ * @prop {number} length
+ */
+
+/**
+ * @typedef DlsWaveSample
+ * wsmp chunk: playback parameters of a wave or a region.
+ * @prop {number} unityNote
+ * @prop {number} fineTune cents.
+ * @prop {number} attenuation centibels.
+ * @prop {?DlsLoop} loop
+ */
+
+/**
+ * @typedef DlsWave
+ * @prop {string} name
+ * @prop {number} sampleIndex index of the first channel in the sample headers.
+ * @prop {number} channels
+ * @prop {DlsWaveSample} sample
+ */
+
+/**
+ * @typedef DlsRegion
+ * @prop {{lo: number, hi: number}} keyRange
+ * @prop {{lo: number, hi: number}} velRange
+ * @prop {number} keyGroup
+ * @prop {?DlsWaveSample} sample
+ * @prop {number} channel wlnk channel bit, 1 left and 2 right.
+ * @prop {number} tableIndex pool table cue.
+ * @prop {Object.<string, number>} articulation
+ */
+
+/**
+ * @typedef DlsInstrument
+ * @prop {string} name
+ * @prop {number} bank
+ * @prop {number} program
+ * @prop {Array.<DlsRegion>} regions
+ * @prop {Object.<string, number>} articulation
+ */
+
+/**
+ * @type {string}
+ * @const
+ */
+const DLS_PATH = 'RIFF DLS ';
+
+/**
+ * Bank of drum instruments in the SoundFont model.
+ * @type {number}
+ * @const
+ */
+const DRUM_BANK = 128;
+
+/**
+ * Connection sources (DLS level 1 and 2).
+ * @enum {number}
+ */
+const ConnectionSource = {
+  NONE: 0x0000,
+  LFO: 0x0001,
+  KEY_NUMBER: 0x0003,
+  EG2: 0x0005,
+  VIBRATO: 0x0009
+};
+
+/**
+ * Generators of the connections without source (absolute values).
+ * @type {Object.<number, string>}
+ * @const
+ */
+const AbsoluteDestinations = {
+  0x0001: 'initialAttenuation',
+  0x0003: 'fineTune',
+  0x0004: 'pan',
+  0x0080: 'chorusEffectsSend',
+  0x0081: 'reverbEffectsSend',
+  0x0104: 'freqModLFO',
+  0x0105: 'delayModLFO',
+  0x0114: 'freqVibLFO',
+  0x0115: 'delayVibLFO',
+  0x0206: 'attackVolEnv',
+  0x0207: 'decayVolEnv',
+  0x0209: 'releaseVolEnv',
+  0x020a: 'sustainVolEnv',
+  0x020b: 'delayVolEnv',
+  0x020c: 'holdVolEnv',
+  0x030a: 'attackModEnv',
+  0x030b: 'decayModEnv',
+  0x030d: 'releaseModEnv',
+  0x030e: 'sustainModEnv',
+  0x030f: 'delayModEnv',
+  0x0310: 'holdModEnv',
+  0x0500: 'initialFilterFc',
+  0x0501: 'initialFilterQ'
+};
+
+/**
+ * Generators of the connections from a modulation source, by source and destination.
+ * @type {Object.<number, Object.<number, string>>}
+ * @const
+ */
+const SourceDestinations = {
+  [ConnectionSource.LFO]: {
+    0x0001: 'modLfoToVolume',
+    0x0003: 'modLfoToPitch',
+    0x0500: 'modLfoToFilterFc'
+  },
+  [ConnectionSource.VIBRATO]: {
+    0x0003: 'vibLfoToPitch'
+  },
+  [ConnectionSource.EG2]: {
+    0x0003: 'modEnvToPitch',
+    0x0500: 'modEnvToFilterFc'
+  },
+  [ConnectionSource.KEY_NUMBER]: {
+    0x0003: 'scaleTuning',
+    0x0207: 'keynumToVolEnvDecay',
+    0x020c: 'keynumToVolEnvHold',
+    0x030b: 'keynumToModEnvDecay',
+    0x0310: 'keynumToModEnvHold'
+  }
+};
+
+/**
+ * Generators in time cents, DLS uses 0x80000000 for zero time.
+ * @type {Array.<string>}
+ * @const
+ */
+const TimeGenerators = [
+  'delayModLFO',
+  'delayVibLFO',
+  'delayVolEnv',
+  'attackVolEnv',
+  'holdVolEnv',
+  'decayVolEnv',
+  'releaseVolEnv',
+  'delayModEnv',
+  'attackModEnv',
+  'holdModEnv',
+  'decayModEnv',
+  'releaseModEnv'
+];
+
+/**
+ * Convert a connection block to a SoundFont generator value.
+ * @param {number} source
+ * @param {number} destination
+ * @param {number} scale 32 bit fixed point (16.16) value.
+ * @return {?{type: string, amount: number}} null if there is no matching generator.
+ */
+function convertConnection (source, destination, scale) {
+  /** @type {string} */
+  const type = source === ConnectionSource.NONE ?
+    AbsoluteDestinations[destination] :
+    (SourceDestinations[source] || {})[destination];
+  /** @type {number} */
+  let amount = scale / 65536;
+
+  if (type === undefined) {
+    return null;
+  }
+
+  switch (type) {
+  case 'initialAttenuation':
+    // gain in 1/655360 dB to attenuation in centibels
+    amount = -amount;
+    break;
+  case 'sustainVolEnv':
+    /* FALLTHROUGH */
+  case 'sustainModEnv':
+    // 0.1 % of the level to attenuation over 100 dB
+    amount = 1000 - amount;
+    break;
+  case 'initialFilterFc':
+    // 0x7fffffff disables the filter
+    amount = scale === 0x7fffffff ? 13500 : Math.max(1500, Math.min(13500, amount));
+    break;
+  case 'scaleTuning':
+    /* FALLTHROUGH */
+  case 'keynumToVolEnvDecay':
+    /* FALLTHROUGH */
+  case 'keynumToVolEnvHold':
+    /* FALLTHROUGH */
+  case 'keynumToModEnvDecay':
+    /* FALLTHROUGH */
+  case 'keynumToModEnvHold':
+    // DLS scales over the whole key range, SoundFont per key (negative for keys above 60)
+    amount = type === 'scaleTuning' ? amount / 128 : -amount / 128;
+    break;
+  default:
+    if (TimeGenerators.indexOf(type) !== -1) {
+      amount = Math.max(-12000, amount);
+    }
+    break;
+  }
+
+  return {
+    type: type,
+    amount: Math.max(-32768, Math.min(32767, Math.round(amount)))
+  };
+}
+
+/**
+ * @param {Uint8Array} input
+ * @return {boolean} true for a RIFF file of form type 'DLS '.
+ */
+export function isDlsFile (input) {
+  return input.length >= 12 &&
+    String.fromCharCode(input[0], input[1], input[2], input[3]) === 'RIFF' &&
+    String.fromCharCode(input[8], input[9], input[10], input[11]) === 'DLS ';
+}
+
+/**
+ * DLS Parser Class
+ * Reads DLS level 1 and 2 collections (RIFF 'DLS ') into the SoundFont model
+ * of Parser: every DLS instrument becomes a preset with one instrument, every
+ * region an instrument zone and every wave channel a sample.
+ */
+export class DlsParser extends Parser {
+  parse () {
+    const parser = new RiffHelper.Riff(this.input, {
+      ...this.parserOption,
+      lenient: this.lenient
+    });
+
+    this.warnings = [];
+
+    // parse RIFF chunk
+    parser.parse();
+    this.warnings.push(...parser.warnings);
+
+    /** @type {?RiffHelper.RiffChunk} */
+    const chunk = parser.getChunk(0);
+
+    if (chunk === null) {
+      throw new SoundFontParseError('RIFF chunk not found', ParseErrorCode.CHUNK_NOT_FOUND, '', 0);
+    }
+
+    this.parseDlsChunk(chunk);
+    this.input = null;
+  }
+
+  /**
+   * @param {RiffHelper.RiffChunk} chunk
+   * @returns {void}
+   */
+  parseDlsChunk (chunk) {
+    // read structure
+    const parser = this.parseList_(chunk, 'RIFF', 'DLS ', '');
+    /** @type {?RiffHelper.RiffChunk} */
+    const lins = this.findChunk_(parser, 'lins', true);
+    /** @type {?RiffHelper.RiffChunk} */
+    const wvpl = this.findChunk_(parser, 'wvpl', true);
+    /** @type {?RiffHelper.RiffChunk} */
+    const info = this.findChunk_(parser, 'INFO', true);
+    /** @type {?RiffHelper.RiffChunk} */
+    const ptbl = this.findChunk_(parser, 'ptbl', false);
+
+    [lins, wvpl].forEach((list, i) => {
+      if (list === null) {
+        throw new SoundFontParseError(
+          (i === 0 ? 'lins' : 'wvpl') + ' chunk not found',
+          ParseErrorCode.CHUNK_NOT_FOUND,
+          DLS_PATH,
+          chunk.offset
+        );
+      }
+    });
+
+    this.info = Object.assign({
+      // the model is written as SoundFont 2.01
+      version: { major: 2, minor: 1 },
+      soundEngine: 'EMU8000',
+      name: ''
+    }, info !== null ? this.parseDlsInfo_(info, DLS_PATH) : {});
+
+    /** @type {Array.<DlsWave>} */
+    const waves = this.parseWavePool(wvpl, ptbl);
+    /** @type {Array.<DlsInstrument>} */
+    const instruments = this.parseInstrumentList(lins);
+
+    this.createModel_(instruments, waves);
+  }
+
+  /**
+   * @param {RiffHelper.Riff} parser
+   * @param {string} name chunk type, or list type if list is true.
+   * @param {boolean} list
+   * @return {?RiffHelper.RiffChunk}
+   * @private
+   */
+  findChunk_ (parser, name, list) {
+    return parser.chunkList.find(chunk => list ?
+      chunk.type === 'LIST' && this.readSignature_(chunk) === name :
+      chunk.type === name) || null;
+  }
+
+  /**
+   * @param {RiffHelper.RiffChunk} chunk
+   * @param {string} parentPath
+   * @return {Object} INFO fields of SoundFontInfo.
+   * @private
+   */
+  parseDlsInfo_ (chunk, parentPath) {
+    const parser = this.parseList_(chunk, 'LIST', 'INFO', parentPath);
+    /** @type {Object.<string, string>} */
+    const names = {
+      'INAM': 'name',
+      'ICRD': 'creationDate',
+      'IENG': 'engineers',
+      'IPRD': 'product',
+      'ICOP': 'copyright',
+      'ICMT': 'comments',
+      'ISFT': 'software'
+    };
+    /** @type {Object} */
+    const info = {};
+
+    parser.chunkList.forEach(subChunk => {
+      if (names[subChunk.type] !== undefined) {
+        info[names[subChunk.type]] = this.parseString_(subChunk);
+      }
+    });
+
+    return info;
+  }
+
+  /**
+   * @param {RiffHelper.RiffChunk} chunk wvpl list.
+   * @param {?RiffHelper.RiffChunk} ptbl pool table.
+   * @returns {Array.<DlsWave>} waves in pool table order.
+   */
+  parseWavePool (chunk, ptbl) {
+    const parser = this.parseList_(chunk, 'LIST', 'wvpl', DLS_PATH);
+    /** @type {string} */
+    const path = DLS_PATH + '/LIST wvpl';
+    /** @type {Array.<RiffHelper.RiffChunk>} */
+    const lists = parser.chunkList.filter(subChunk => subChunk.type === 'LIST');
+    /** @type {Array.<DlsWave>} */
+    const waves = lists.map(list => this.parseWave(list, path));
+    /** @type {Array.<number>} */
+    const cues = ptbl !== null ? this.parsePoolTable_(ptbl) : [];
+
+    this.sample = [];
+    this.originalSample = [];
+    this.sampleHeader = [];
+
+    waves.forEach(wave => this.addWaveSamples_(wave));
+
+    // cues are offsets of the wave lists from the start of the wvpl list data
+    return cues.length === 0 ? waves : cues.map((cue, i) => {
+      /** @type {number} */
+      const index = lists.findIndex(list => list.offset - 8 - (chunk.offset + 4) === cue);
+
+      if (index === -1) {
+        this.problem_(
+          'pool table cue does not point to a wave',
+          ParseErrorCode.INVALID_STRUCTURE,
+          DLS_PATH + '/ptbl',
+          ptbl.offset + 8 + i * 4
+        );
+
+        return waves[i] || null;
+      }
+
+      return waves[index];
+    });
+  }
+
+  /**
+   * @param {RiffHelper.RiffChunk} chunk
+   * @return {Array.<number>}
+   * @private
+   */
+  parsePoolTable_ (chunk) {
+    const data = this.input;
+    /** @type {DataView} */
+    const view = new DataView(data.buffer, data.byteOffset + chunk.offset, chunk.size);
+    /** @type {number} */
+    const headerSize = view.getUint32(0, true);
+    /** @type {number} */
+    const count = Math.min(view.getUint32(4, true), Math.max(0, (chunk.size - headerSize) >> 2));
+    /** @type {Array.<number>} */
+    const cues = [];
+    /** @type {number} */
+    let i;
+
+    for (i = 0; i < count; ++i) {
+      cues.push(view.getUint32(headerSize + i * 4, true));
+    }
+
+    return cues;
+  }
+
+  /**
+   * @param {RiffHelper.RiffChunk} chunk wave list.
+   * @param {string} parentPath
+   * @return {{name: string, channels: Array.<Int16Array>, sampleRate: number, sample: DlsWaveSample}}
+   */
+  parseWave (chunk, parentPath) {
+    const parser = this.parseList_(chunk, 'LIST', 'wave', parentPath);
+    /** @type {string} */
+    const path = parentPath + '/LIST wave';
+    /** @type {?RiffHelper.RiffChunk} */
+    const fmt = this.findChunk_(parser, 'fmt ', false);
+    /** @type {?RiffHelper.RiffChunk} */
+    const data = this.findChunk_(parser, 'data', false);
+    /** @type {?RiffHelper.RiffChunk} */
+    const wsmp = this.findChunk_(parser, 'wsmp', false);
+    /** @type {?RiffHelper.RiffChunk} */
+    const info = this.findChunk_(parser, 'INFO', true);
+    /** @type {Object} */
+    const wave = {
+      name: info !== null ? this.parseDlsInfo_(info, path).name || '' : '',
+      channels: [new Int16Array(0)],
+      sampleRate: 0,
+      sample: wsmp !== null ? this.parseWaveSample_(wsmp) : null
+    };
+
+    if (fmt === null || data === null) {
+      this.problem_('fmt or data chunk not found', ParseErrorCode.CHUNK_NOT_FOUND, path, chunk.offset);
+
+      return wave;
+    }
+
+    /** @type {DataView} */
+    const view = new DataView(this.input.buffer, this.input.byteOffset + fmt.offset, fmt.size);
+    /** @type {number} */
+    const formatTag = view.getUint16(0, true);
+    /** @type {number} */
+    const channels = Math.max(1, view.getUint16(2, true));
+    /** @type {number} */
+    const bitsPerSample = view.getUint16(14, true);
+
+    wave.sampleRate = view.getUint32(4, true);
+
+    if (formatTag !== 1 || (bitsPerSample !== 8 && bitsPerSample !== 16)) {
+      this.problem_(
+        `unsupported wave format ${formatTag} (${bitsPerSample} bit)`,
+        ParseErrorCode.INVALID_SAMPLE_DATA,
+        path + '/fmt ',
+        fmt.offset
+      );
+
+      return wave;
+    }
+
+    wave.channels = this.readPcm_(data, channels, bitsPerSample);
+
+    return wave;
+  }
+
+  /**
+   * Deinterleave PCM data to 16 bit channels.
+   * @param {RiffHelper.RiffChunk} chunk
+   * @param {number} channels
+   * @param {number} bitsPerSample 8 (unsigned) or 16.
+   * @return {Array.<Int16Array>}
+   * @private
+   */
+  readPcm_ (chunk, channels, bitsPerSample) {
+    const data = this.input;
+    /** @type {number} */
+    const bytes = bitsPerSample >> 3;
+    /** @type {number} */
+    const length = Math.floor(chunk.size / (bytes * channels));
+    /** @type {Array.<Int16Array>} */
+    const output = [];
+    /** @type {number} */
+    let channel;
+    /** @type {number} */
+    let i;
+
+    for (channel = 0; channel < channels; ++channel) {
+      /** @type {Int16Array} */
+      const sample = new Int16Array(length);
+      /** @type {number} */
+      let ip = chunk.offset + channel * bytes;
+
+      for (i = 0; i < length; ++i, ip += bytes * channels) {
+        sample[i] = bytes === 1 ?
+          (data[ip] - 128) << 8 :
+          (data[ip] | (data[ip + 1] << 8)) << 16 >> 16;
+      }
+
+      output.push(sample);
+    }
+
+    return output;
+  }
+
+  /**
+   * @param {RiffHelper.RiffChunk} chunk
+   * @return {DlsWaveSample}
+   * @private
+   */
+  parseWaveSample_ (chunk) {
+    /** @type {DataView} */
+    const view = new DataView(this.input.buffer, this.input.byteOffset + chunk.offset, chunk.size);
+    /** @type {number} */
+    const headerSize = view.getUint32(0, true);
+    /** @type {number} */
+    const loops = view.getUint32(16, true);
+
+    return {
+      unityNote: view.getUint16(4, true),
+      fineTune: view.getInt16(6, true),
+      attenuation: -view.getInt32(8, true) / 65536,
+      loop: loops > 0 && headerSize + 16 <= chunk.size ? {
+        type: view.getUint32(headerSize + 4, true),
+        start: view.getUint32(headerSize + 8, true),
+        length: view.getUint32(headerSize + 12, true)
+      } : null
+    };
+  }
+
+  /**
+   * Add the channels of a wave to the samples, loops are kept in the sample headers.
+   * @param {Object} wave parsed wave, replaced by its DlsWave properties.
+   * @return {void}
+   * @private
+   */
+  addWaveSamples_ (wave) {
+    /** @type {DlsWaveSample} */
+    const waveSample = wave.sample || { unityNote: 60, fineTune: 0, attenuation: 0, loop: null };
+    /** @type {number} */
+    const sampleIndex = this.sampleHeader.length;
+
+    wave.channels.forEach((data, channel) => {
+      /** @type {number} */
+      let sampleRate = wave.sampleRate;
+      /** @type {number} */
+      let startLoop = waveSample.loop ? Math.min(waveSample.loop.start, data.length) : 0;
+      /** @type {number} */
+      let endLoop = waveSample.loop ? Math.min(waveSample.loop.start + waveSample.loop.length, data.length) : 0;
+      /** @type {(Int16Array|Float32Array)} */
+      let sample = data;
+
+      this.originalSample.push(data);
+
+      if (sampleRate > 0) {
+        const adjust = this.adjustSampleData(sample, sampleRate);
+
+        sample = adjust.sample;
+        sampleRate *= adjust.multiply;
+        startLoop *= adjust.multiply;
+        endLoop *= adjust.multiply;
+      }
+
+      this.sample.push(sample);
+      this.sampleHeader.push({
+        sampleName: wave.name,
+        start: 0,
+        end: data.length,
+        startLoop: startLoop,
+        endLoop: endLoop,
+        sampleRate: sampleRate,
+        originalSampleRate: wave.sampleRate,
+        originalPitch: waveSample.unityNote,
+        pitchCorrection: 0,
+        // channels of a stereo wave are linked
+        sampleLink: wave.channels.length === 2 ? sampleIndex + (channel ^ 1) : 0,
+        sampleType: wave.channels.length === 2 ?
+          (channel === 0 ? SampleType.LEFT : SampleType.RIGHT) :
+          SampleType.MONO
+      });
+    });
+
+    wave.sample = waveSample;
+    wave.sampleIndex = sampleIndex;
+    wave.channels = wave.channels.length;
+  }
+
+  /**
+   * @param {RiffHelper.RiffChunk} chunk lins list.
+   * @return {Array.<DlsInstrument>}
+   */
+  parseInstrumentList (chunk) {
+    const parser = this.parseList_(chunk, 'LIST', 'lins', DLS_PATH);
+    /** @type {string} */
+    const path = DLS_PATH + '/LIST lins';
+
+    return parser.chunkList
+      .filter(subChunk => subChunk.type === 'LIST')
+      .map(subChunk => this.parseInstrument(subChunk, path));
+  }
+
+  /**
+   * @param {RiffHelper.RiffChunk} chunk ins list.
+   * @param {string} parentPath
+   * @return {DlsInstrument}
+   */
+  parseInstrument (chunk, parentPath) {
+    const parser = this.parseList_(chunk, 'LIST', 'ins ', parentPath);
+    /** @type {string} */
+    const path = parentPath + '/LIST ins ';
+    /** @type {?RiffHelper.RiffChunk} */
+    const insh = this.findChunk_(parser, 'insh', false);
+    /** @type {?RiffHelper.RiffChunk} */
+    const lrgn = this.findChunk_(parser, 'lrgn', true);
+    /** @type {?RiffHelper.RiffChunk} */
+    const info = this.findChunk_(parser, 'INFO', true);
+
+    if (insh === null) {
+      throw new SoundFontParseError('insh chunk not found', ParseErrorCode.CHUNK_NOT_FOUND, path, chunk.offset);
+    }
+
+    /** @type {DataView} */
+    const view = new DataView(this.input.buffer, this.input.byteOffset + insh.offset, insh.size);
+    /** @type {number} */
+    const bank = view.getUint32(4, true);
+
+    return {
+      name: info !== null ? this.parseDlsInfo_(info, path).name || '' : '',
+      // bit 31 marks drum kits, bits 8-14 are the bank select MSB
+      bank: (bank & 0x80000000) !== 0 ? DRUM_BANK : (bank >> 8) & 0x7f,
+      program: view.getUint32(8, true) & 0x7f,
+      regions: lrgn !== null ? this.parseRegionList_(lrgn, path) : [],
+      articulation: this.parseArticulation_(parser, path)
+    };
+  }
+
+  /**
+   * @param {RiffHelper.RiffChunk} chunk lrgn list.
+   * @param {string} parentPath
+   * @return {Array.<DlsRegion>}
+   * @private
+   */
+  parseRegionList_ (chunk, parentPath) {
+    const parser = this.parseList_(chunk, 'LIST', 'lrgn', parentPath);
+    /** @type {string} */
+    const path = parentPath + '/LIST lrgn';
+
+    return parser.chunkList
+      .filter(subChunk => subChunk.type === 'LIST')
+      .map(subChunk => this.parseRegion_(subChunk, path))
+      .filter(region => region !== null);
+  }
+
+  /**
+   * @param {RiffHelper.RiffChunk} chunk rgn or rgn2 list.
+   * @param {string} parentPath
+   * @return {?DlsRegion} null for regions without header or wave link.
+   * @private
+   */
+  parseRegion_ (chunk, parentPath) {
+    /** @type {string} */
+    const signature = this.readSignature_(chunk) === 'rgn2' ? 'rgn2' : 'rgn ';
+    const parser = this.parseList_(chunk, 'LIST', signature, parentPath);
+    /** @type {string} */
+    const path = parentPath + '/LIST ' + signature;
+    /** @type {?RiffHelper.RiffChunk} */
+    const rgnh = this.findChunk_(parser, 'rgnh', false);
+    /** @type {?RiffHelper.RiffChunk} */
+    const wlnk = this.findChunk_(parser, 'wlnk', false);
+    /** @type {?RiffHelper.RiffChunk} */
+    const wsmp = this.findChunk_(parser, 'wsmp', false);
+
+    if (rgnh === null || wlnk === null) {
+      this.problem_('rgnh or wlnk chunk not found', ParseErrorCode.CHUNK_NOT_FOUND, path, chunk.offset);
+
+      return null;
+    }
+
+    /** @type {DataView} */
+    const header = new DataView(this.input.buffer, this.input.byteOffset + rgnh.offset, rgnh.size);
+    /** @type {DataView} */
+    const link = new DataView(this.input.buffer, this.input.byteOffset + wlnk.offset, wlnk.size);
+    /** @type {number} */
+    const velLo = header.getUint16(4, true);
+    /** @type {number} */
+    const velHi = header.getUint16(6, true);
+
+    return {
+      keyRange: {
+        lo: Math.min(127, header.getUint16(0, true)),
+        hi: Math.min(127, header.getUint16(2, true))
+      },
+      // level 1 devices ignore the velocity range, some level 1 files leave it 0-0
+      velRange: velLo === 0 && velHi === 0 ? { lo: 0, hi: 127 } : { lo: Math.min(127, velLo), hi: Math.min(127, velHi) },
+      keyGroup: header.getUint16(10, true),
+      sample: wsmp !== null ? this.parseWaveSample_(wsmp) : null,
+      channel: link.getUint32(4, true),
+      tableIndex: link.getUint32(8, true),
+      articulation: this.parseArticulation_(parser, path)
+    };
+  }
+
+  /**
+   * Generators of the lart (level 1) or lar2 (level 2) list of an instrument or a region.
+   * @param {RiffHelper.Riff} parser instrument or region list.
+   * @param {string} parentPath
+   * @return {Object.<string, number>}
+   * @private
+   */
+  parseArticulation_ (parser, parentPath) {
+    /** @type {Object.<string, number>} */
+    const generators = {};
+
+    ['lart', 'lar2'].forEach(signature => {
+      /** @type {?RiffHelper.RiffChunk} */
+      const list = this.findChunk_(parser, signature, true);
+
+      if (list === null) {
+        return;
+      }
+
+      this.parseList_(list, 'LIST', signature, parentPath).chunkList
+        .filter(chunk => chunk.type === 'art1' || chunk.type === 'art2')
+        .forEach(chunk => this.parseConnections_(chunk, generators));
+    });
+
+    return generators;
+  }
+
+  /**
+   * @param {RiffHelper.RiffChunk} chunk art1 or art2 chunk.
+   * @param {Object.<string, number>} generators
+   * @return {void}
+   * @private
+   */
+  parseConnections_ (chunk, generators) {
+    /** @type {DataView} */
+    const view = new DataView(this.input.buffer, this.input.byteOffset + chunk.offset, chunk.size);
+    /** @type {number} */
+    const headerSize = view.getUint32(0, true);
+    /** @type {number} */
+    const count = Math.min(view.getUint32(4, true), Math.floor(Math.max(0, chunk.size - headerSize) / 12));
+    /** @type {number} */
+    let i;
+
+    for (i = 0; i < count; ++i) {
+      /** @type {number} */
+      const ip = headerSize + i * 12;
+
+      // connections with a controller (for example the mod wheel depth of the LFO) are left to the modulators
+      if (view.getUint16(ip + 2, true) !== 0) {
+        continue;
+      }
+
+      /** @type {?{type: string, amount: number}} */
+      const generator = convertConnection(view.getUint16(ip, true), view.getUint16(ip + 4, true), view.getInt32(ip + 8, true));
+
+      if (generator !== null) {
+        generators[generator.type] = generator.amount;
+      }
+    }
+  }
+
+  /**
+   * Fill the preset, instrument and zone records of the SoundFont model.
+   * @param {Array.<DlsInstrument>} instruments
+   * @param {Array.<?DlsWave>} waves
+   * @return {void}
+   * @private
+   */
+  createModel_ (instruments, waves) {
+    this.buildModel_(instruments.map(instrument => {
+      /** @type {Array.<Array.<Object>>} */
+      const zones = [];
+
+      // instrument articulation is the global zone
+      if (Object.keys(instrument.articulation).length > 0 && instrument.regions.length > 0) {
+        zones.push(Object.keys(instrument.articulation).map(type => ({
+          type: type,
+          value: { amount: instrument.articulation[type] }
+        })));
+      }
+
+      instrument.regions.forEach(region => {
+        /** @type {?DlsWave} */
+        const wave = waves[region.tableIndex];
+
+        if (wave === null || wave === undefined) {
+          this.problem_(
+            `wave ${region.tableIndex} not found`,
+            ParseErrorCode.INVALID_SAMPLE_RANGE,
+            DLS_PATH + '/LIST lins',
+            0
+          );
+
+          return;
+        }
+
+        zones.push(this.createRegionGenerators_(region, wave));
+      });
+
+      return {
+        name: instrument.name,
+        bank: instrument.bank,
+        program: instrument.program,
+        zones: zones
+      };
+    }));
+  }
+
+  /**
+   * Region generators: ranges, articulation, the region wsmp relative to the
+   * wave wsmp and the sample.
+   * @param {DlsRegion} region
+   * @param {DlsWave} wave
+   * @return {Array.<Object>}
+   * @private
+   */
+  createRegionGenerators_ (region, wave) {
+    /** @type {DlsWaveSample} region wsmp overrides the wave wsmp */
+    const sample = region.sample || wave.sample;
+    /** @type {Array.<Object>} */
+    const generators = [
+      { type: 'keyRange', value: region.keyRange },
+      { type: 'velRange', value: region.velRange }
+    ];
+    /** @type {number} */
+    const channel = wave.channels === 2 && (region.channel & 2) !== 0 ? 1 : 0;
+    /** @type {Object.<string, number>} */
+    const values = Object.assign({}, region.articulation);
+
+    // tuning and gain of the wsmp add to the articulation
+    if (sample.fineTune !== 0) {
+      values.fineTune = (values.fineTune || 0) + sample.fineTune;
+    }
+    if (sample.attenuation !== 0) {
+      values.initialAttenuation = (values.initialAttenuation || 0) + Math.round(sample.attenuation);
+    }
+    if (sample.unityNote !== wave.sample.unityNote) {
+      values.overridingRootKey = sample.unityNote;
+    }
+
+    Object.keys(values).forEach(type => {
+      generators.push({ type: type, value: { amount: values[type] } });
+    });
+
+    if (sample.loop !== null) {
+      generators.push({ type: 'sampleModes', value: { amount: sample.loop.type === 1 ? 3 : 1 } });
+
+      if (wave.sample.loop !== null) {
+        this.pushAddressOffset_(
+          generators, 'startloopAddrsOffset', 'startloopAddrsCoarseOffset',
+          sample.loop.start - wave.sample.loop.start
+        );
+        this.pushAddressOffset_(
+          generators, 'endloopAddrsOffset', 'endloopAddrsCoarseOffset',
+          sample.loop.start + sample.loop.length - wave.sample.loop.start - wave.sample.loop.length
+        );
+      } else {
+        this.pushAddressOffset_(generators, 'startloopAddrsOffset', 'startloopAddrsCoarseOffset', sample.loop.start);
+        this.pushAddressOffset_(generators, 'endloopAddrsOffset', 'endloopAddrsCoarseOffset', sample.loop.start + sample.loop.length);
+      }
+    }
+    if (region.keyGroup !== 0) {
+      generators.push({ type: 'exclusiveClass', value: { amount: region.keyGroup } });
+    }
+
+    generators.push({ type: 'sampleID', value: { amount: wave.sampleIndex + channel } });
+
+    return generators;
+  }
+}
+
+export default DlsParser;
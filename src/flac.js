@@ -0,0 +1,617 @@
+/* eslint-disable no-bitwise */
+/**
+ * FLAC decoder used for the samples of SFZ instruments.
+ *
+ * Native FLAC streams ("fLaC") with fixed and LPC subframes, all channel
+ * decorrelation modes and up to 24 bits per sample. CRCs and MD5 are not checked.
+ * @see https://xiph.org/flac/format.html
+ */
+
+/**
+ * @typedef FlacAudio
+ * @prop {number} sampleRate
+ * @prop {number} channels
+ * @prop {number} bitsPerSample
+ * @prop {Array.<Float32Array>} data PCM data (-1 to 1) per channel.
+ */
+
+/**
+ * Predictor coefficients of the fixed subframes by order.
+ * @type {Array.<Array.<number>>}
+ * @const
+ */
+const FIXED_COEFFICIENTS = [
+  [],
+  [1],
+  [2, -1],
+  [3, -3, 1],
+  [4, -6, 4, -1]
+];
+
+/**
+ * Bits per sample of the frame header sample size codes (0: from STREAMINFO).
+ * @type {Array.<number>}
+ * @const
+ */
+const SAMPLE_SIZES = [0, 8, 12, 0, 16, 20, 24, 32];
+
+/**
+ * Channel assignments with decorrelation.
+ * @enum {number}
+ */
+const ChannelAssignment = {
+  LEFT_SIDE: 8,
+  SIDE_RIGHT: 9,
+  MID_SIDE: 10
+};
+
+/**
+ * Most significant bit first reader.
+ */
+class BitReader {
+  /**
+   * @param {Uint8Array} data
+   * @param {number} offset byte offset.
+   */
+  constructor (data, offset) {
+    /** @type {Uint8Array} */
+    this.data = data;
+    /** @type {number} */
+    this.bytePosition = offset;
+    /** @type {number} bits of the current byte already read */
+    this.bitPosition = 0;
+  }
+
+  /**
+   * @return {boolean}
+   */
+  isEnd () {
+    return this.bytePosition >= this.data.length;
+  }
+
+  /**
+   * @param {number} n up to 32.
+   * @return {number}
+   */
+  readBits (n) {
+    /** @type {number} */
+    let value = 0;
+    /** @type {number} */
+    let remain = n;
+
+    while (remain > 0) {
+      if (this.bytePosition >= this.data.length) {
+        throw new Error('unexpected end of flac stream');
+      }
+
+      /** @type {number} */
+      const available = 8 - this.bitPosition;
+      /** @type {number} */
+      const take = Math.min(available, remain);
+      /** @type {number} */
+      const bits = (this.data[this.bytePosition] >>> (available - take)) & ((1 << take) - 1);
+
+      value = value * (1 << take) + bits;
+      remain -= take;
+      this.bitPosition += take;
+
+      if (this.bitPosition === 8) {
+        this.bitPosition = 0;
+        this.bytePosition++;
+      }
+    }
+
+    return value;
+  }
+
+  /**
+   * @param {number} n
+   * @return {number} two's complement value.
+   */
+  readSigned (n) {
+    /** @type {number} */
+    const value = this.readBits(n);
+
+    return n > 0 && value >= 2 ** (n - 1) ? value - 2 ** n : value;
+  }
+
+  /**
+   * @return {number} number of 0 bits before the next 1 bit.
+   */
+  readUnary () {
+    /** @type {number} */
+    let count = 0;
+
+    // skip whole zero bytes
+    while (this.bitPosition === 0 && this.data[this.bytePosition] === 0) {
+      count += 8;
+      this.bytePosition++;
+
+      if (this.bytePosition >= this.data.length) {
+        throw new Error('unexpected end of flac stream');
+      }
+    }
+
+    while (this.readBits(1) === 0) {
+      ++count;
+    }
+
+    return count;
+  }
+
+  /**
+   * UTF-8 like coded frame or sample number.
+   * @return {number}
+   */
+  readUtf8 () {
+    /** @type {number} */
+    let value = this.readBits(8);
+    /** @type {number} */
+    let length = 0;
+
+    while ((value & (0x80 >>> length)) !== 0) {
+      ++length;
+    }
+
+    if (length > 0) {
+      value &= (1 << (7 - length)) - 1;
+
+      for (; length > 1; --length) {
+        value = value * 64 + (this.readBits(8) & 0x3f);
+      }
+    }
+
+    return value;
+  }
+
+  /**
+   * @return {void}
+   */
+  alignToByte () {
+    if (this.bitPosition !== 0) {
+      this.bitPosition = 0;
+      this.bytePosition++;
+    }
+  }
+}
+
+/**
+ * FLAC decoder.
+ */
+export class FlacDecoder {
+  /**
+   * @param {Uint8Array} input FLAC file.
+   */
+  constructor (input) {
+    /** @type {Uint8Array} */
+    this.input = input;
+    /** @type {number} */
+    this.sampleRate = 0;
+    /** @type {number} */
+    this.channels = 0;
+    /** @type {number} */
+    this.bitsPerSample = 0;
+    /** @type {number} total samples per channel, 0 if unknown */
+    this.totalSamples = 0;
+  }
+
+  /**
+   * @return {FlacAudio}
+   */
+  decode () {
+    /** @type {BitReader} */
+    const reader = new BitReader(this.input, this.parseMetadata_());
+    /** @type {Array.<Array.<Int32Array>>} decoded blocks per channel */
+    const blocks = [];
+    /** @type {number} */
+    let length = 0;
+
+    while (!reader.isEnd()) {
+      /** @type {?Array.<Int32Array>} */
+      const frame = this.decodeFrame_(reader);
+
+      if (frame === null) {
+        break;
+      }
+
+      blocks.push(frame);
+      length += frame[0].length;
+    }
+
+    if (this.totalSamples > 0) {
+      length = Math.min(length, this.totalSamples);
+    }
+
+    /** @type {Array.<Float32Array>} */
+    const data = [];
+    /** @type {number} */
+    const scale = 2 ** (this.bitsPerSample - 1);
+    /** @type {number} */
+    let channel;
+
+    for (channel = 0; channel < this.channels; ++channel) {
+      /** @type {Float32Array} */
+      const output = new Float32Array(length);
+      /** @type {number} */
+      let op = 0;
+
+      blocks.forEach(frame => {
+        /** @type {Int32Array} */
+        const block = frame[channel];
+        /** @type {number} */
+        let i;
+
+        for (i = 0; i < block.length && op < length; ++i) {
+          output[op++] = block[i] / scale;
+        }
+      });
+
+      data.push(output);
+    }
+
+    return {
+      sampleRate: this.sampleRate,
+      channels: this.channels,
+      bitsPerSample: this.bitsPerSample,
+      data: data
+    };
+  }
+
+  /**
+   * @return {number} offset of the first frame.
+   * @private
+   */
+  parseMetadata_ () {
+    const input = this.input;
+    /** @type {number} */
+    let ip = 4;
+    /** @type {boolean} */
+    let last = false;
+
+    if (String.fromCharCode(input[0], input[1], input[2], input[3]) !== 'fLaC') {
+      throw new Error('invalid flac stream');
+    }
+
+    while (!last) {
+      if (ip + 4 > input.length) {
+        throw new Error('unexpected end of flac stream');
+      }
+
+      last = (input[ip] & 0x80) !== 0;
+
+      /** @type {number} */
+      const type = input[ip] & 0x7f;
+      /** @type {number} */
+      const size = (input[ip + 1] << 16) | (input[ip + 2] << 8) | input[ip + 3];
+
+      ip += 4;
+
+      // STREAMINFO
+      if (type === 0) {
+        /** @type {BitReader} */
+        const reader = new BitReader(input, ip + 10);
+
+        this.sampleRate = reader.readBits(20);
+        this.channels = reader.readBits(3) + 1;
+        this.bitsPerSample = reader.readBits(5) + 1;
+        this.totalSamples = reader.readBits(36);
+      }
+
+      ip += size;
+    }
+
+    if (this.sampleRate === 0) {
+      throw new Error('flac STREAMINFO not found');
+    }
+
+    return ip;
+  }
+
+  /**
+   * @param {BitReader} reader
+   * @return {?Array.<Int32Array>} samples per channel, null at the end of the stream.
+   * @private
+   */
+  decodeFrame_ (reader) {
+    // frame sync code
+    if (reader.bytePosition + 2 > this.input.length || reader.readBits(14) !== 0x3ffe) {
+      return null;
+    }
+
+    reader.readBits(2);
+
+    /** @type {number} */
+    const blockSizeCode = reader.readBits(4);
+    /** @type {number} */
+    const sampleRateCode = reader.readBits(4);
+    /** @type {number} */
+    const channelAssignment = reader.readBits(4);
+    /** @type {number} */
+    const sampleSizeCode = reader.readBits(3);
+    /** @type {number} */
+    let blockSize;
+
+    reader.readBits(1);
+    reader.readUtf8();
+
+    if (blockSizeCode === 1) {
+      blockSize = 192;
+    } else if (blockSizeCode >= 2 && blockSizeCode <= 5) {
+      blockSize = 576 << (blockSizeCode - 2);
+    } else if (blockSizeCode === 6) {
+      blockSize = reader.readBits(8) + 1;
+    } else if (blockSizeCode === 7) {
+      blockSize = reader.readBits(16) + 1;
+    } else if (blockSizeCode >= 8) {
+      blockSize = 256 << (blockSizeCode - 8);
+    } else {
+      throw new Error('invalid flac block size');
+    }
+
+    if (sampleRateCode === 12) {
+      reader.readBits(8);
+    } else if (sampleRateCode === 13 || sampleRateCode === 14) {
+      reader.readBits(16);
+    } else if (sampleRateCode === 15) {
+      throw new Error('invalid flac sample rate');
+    }
+
+    // CRC-8
+    reader.readBits(8);
+
+    /** @type {number} */
+    const bitsPerSample = SAMPLE_SIZES[sampleSizeCode] || this.bitsPerSample;
+    /** @type {number} */
+    const channels = channelAssignment < 8 ? channelAssignment + 1 : 2;
+    /** @type {Array.<Int32Array>} */
+    const output = [];
+    /** @type {number} */
+    let channel;
+
+    if (channelAssignment > ChannelAssignment.MID_SIDE) {
+      throw new Error('invalid flac channel assignment');
+    }
+
+    for (channel = 0; channel < channels; ++channel) {
+      // the side channel has one more bit
+      /** @type {boolean} */
+      const side =
+        (channelAssignment === ChannelAssignment.LEFT_SIDE && channel === 1) ||
+        (channelAssignment === ChannelAssignment.SIDE_RIGHT && channel === 0) ||
+        (channelAssignment === ChannelAssignment.MID_SIDE && channel === 1);
+
+      output.push(this.decodeSubframe_(reader, blockSize, bitsPerSample + (side ? 1 : 0)));
+    }
+
+    this.decorrelate_(output, channelAssignment);
+
+    // CRC-16
+    reader.alignToByte();
+    reader.readBits(16);
+
+    return output;
+  }
+
+  /**
+   * @param {Array.<Int32Array>} channels
+   * @param {number} channelAssignment
+   * @return {void}
+   * @private
+   */
+  decorrelate_ (channels, channelAssignment) {
+    /** @type {Int32Array} */
+    const a = channels[0];
+    /** @type {Int32Array} */
+    const b = channels[1];
+    /** @type {number} */
+    let i;
+
+    switch (channelAssignment) {
+    case ChannelAssignment.LEFT_SIDE:
+      for (i = 0; i < a.length; ++i) {
+        b[i] = a[i] - b[i];
+      }
+      break;
+    case ChannelAssignment.SIDE_RIGHT:
+      for (i = 0; i < a.length; ++i) {
+        a[i] += b[i];
+      }
+      break;
+    case ChannelAssignment.MID_SIDE:
+      for (i = 0; i < a.length; ++i) {
+        /** @type {number} */
+        const mid = (a[i] * 2) | (b[i] & 1);
+
+        a[i] = (mid + b[i]) >> 1;
+        b[i] = (mid - b[i]) >> 1;
+      }
+      break;
+    default:
+      break;
+    }
+  }
+
+  /**
+   * @param {BitReader} reader
+   * @param {number} blockSize
+   * @param {number} bitsPerSample
+   * @return {Int32Array}
+   * @private
+   */
+  decodeSubframe_ (reader, blockSize, bitsPerSample) {
+    /** @type {Int32Array} */
+    const output = new Int32Array(blockSize);
+    /** @type {number} */
+    let type;
+    /** @type {number} */
+    let wasted = 0;
+    /** @type {number} */
+    let bits = bitsPerSample;
+    /** @type {number} */
+    let i;
+
+    reader.readBits(1);
+    type = reader.readBits(6);
+
+    if (reader.readBits(1) === 1) {
+      wasted = reader.readUnary() + 1;
+      bits -= wasted;
+    }
+
+    if (type === 0) {
+      // constant
+      output.fill(reader.readSigned(bits));
+    } else if (type === 1) {
+      // verbatim
+      for (i = 0; i < blockSize; ++i) {
+        output[i] = reader.readSigned(bits);
+      }
+    } else if (type >= 8 && type <= 12) {
+      type -= 8;
+      this.readWarmup_(reader, output, type, bits);
+      this.readResidual_(reader, output, type);
+      this.predict_(output, FIXED_COEFFICIENTS[type], 0);
+    } else if (type >= 32) {
+      type -= 31;
+      this.readWarmup_(reader, output, type, bits);
+
+      /** @type {number} */
+      const precision = reader.readBits(4) + 1;
+      /** @type {number} */
+      const shift = reader.readSigned(5);
+      /** @type {Array.<number>} */
+      const coefficients = [];
+
+      for (i = 0; i < type; ++i) {
+        coefficients.push(reader.readSigned(precision));
+      }
+
+      this.readResidual_(reader, output, type);
+      this.predict_(output, coefficients, Math.max(0, shift));
+    } else {
+      throw new Error('invalid flac subframe type ' + type);
+    }
+
+    if (wasted > 0) {
+      for (i = 0; i < blockSize; ++i) {
+        output[i] <<= wasted;
+      }
+    }
+
+    return output;
+  }
+
+  /**
+   * @param {BitReader} reader
+   * @param {Int32Array} output
+   * @param {number} order
+   * @param {number} bitsPerSample
+   * @return {void}
+   * @private
+   */
+  readWarmup_ (reader, output, order, bitsPerSample) {
+    /** @type {number} */
+    let i;
+
+    for (i = 0; i < order; ++i) {
+      output[i] = reader.readSigned(bitsPerSample);
+    }
+  }
+
+  /**
+   * Rice coded residual, stored after the warm-up samples.
+   * @param {BitReader} reader
+   * @param {Int32Array} output
+   * @param {number} order predictor order.
+   * @return {void}
+   * @private
+   */
+  readResidual_ (reader, output, order) {
+    /** @type {number} */
+    const method = reader.readBits(2);
+    /** @type {number} */
+    const parameterBits = method === 0 ? 4 : 5;
+    /** @type {number} */
+    const escape = method === 0 ? 15 : 31;
+    /** @type {number} */
+    const partitionOrder = reader.readBits(4);
+    /** @type {number} */
+    const partitions = 1 << partitionOrder;
+    /** @type {number} */
+    const partitionSize = output.length >> partitionOrder;
+    /** @type {number} */
+    let op = order;
+    /** @type {number} */
+    let partition;
+    /** @type {number} */
+    let i;
+
+    if (method > 1) {
+      throw new Error('invalid flac residual coding method');
+    }
+
+    for (partition = 0; partition < partitions; ++partition) {
+      /** @type {number} */
+      const parameter = reader.readBits(parameterBits);
+      /** @type {number} */
+      const count = partition === 0 ? partitionSize - order : partitionSize;
+
+      if (parameter === escape) {
+        /** @type {number} */
+        const bits = reader.readBits(5);
+
+        for (i = 0; i < count; ++i) {
+          output[op++] = reader.readSigned(bits);
+        }
+      } else {
+        for (i = 0; i < count; ++i) {
+          /** @type {number} */
+          const value = reader.readUnary() * (1 << parameter) + reader.readBits(parameter);
+
+          // zigzag decoding
+          output[op++] = value % 2 === 0 ? value / 2 : -(value + 1) / 2;
+        }
+      }
+    }
+  }
+
+  /**
+   * Add the prediction to the residual in place.
+   * @param {Int32Array} output warm-up samples followed by the residual.
+   * @param {Array.<number>} coefficients
+   * @param {number} shift
+   * @return {void}
+   * @private
+   */
+  predict_ (output, coefficients, shift) {
+    /** @type {number} */
+    const order = coefficients.length;
+    /** @type {number} */
+    const divisor = 2 ** shift;
+    /** @type {number} */
+    let i;
+    /** @type {number} */
+    let j;
+
+    for (i = order; i < output.length; ++i) {
+      /** @type {number} */
+      let sum = 0;
+
+      for (j = 0; j < order; ++j) {
+        sum += coefficients[j] * output[i - j - 1];
+      }
+
+      output[i] += Math.floor(sum / divisor);
+    }
+  }
+}
+
+/**
+ * @param {Uint8Array} input FLAC file.
+ * @return {FlacAudio}
+ */
+export function decodeFlac (input) {
+  return new FlacDecoder(input).decode();
+}
+
+export default FlacDecoder;
@@ -1,4 +1,38 @@
 import Synthesizer from './sound_font_synth.js';
+import Sequencer from './sequencer.js';
+import MidiInputConnection from './web_midi.js';
+import WebMidiLink from './web_midi_link.js';
+import { writeSoundFont } from './writer.js';
+
+export { Parser } from './parser.js';
+export { DlsParser } from './dls_parser.js';
+export { SfzParser } from './sfz_parser.js';
+export { decodeWave } from './wave.js';
+export { decodeFlac } from './flac.js';
+export { SoundFontParseError, ParseErrorCode } from './parse_error.js';
+export { SoundFontWriter, writeSoundFont } from './writer.js';
+export { createPresetSubset, extractPresets } from './subset.js';
+export { parseMidiFile, MetaType } from './midi_file.js';
+export { Sequencer } from './sequencer.js';
+export { WebMidiLink } from './web_midi_link.js';
+export { Chorus, ChorusType } from './chorus.js';
+
+/** @typedef {import('./parser.js').SoundFontInfo} SoundFontInfo */
+/** @typedef {import('./resampler.js').ResamplerType} ResamplerType */
+/** @typedef {import('./parse_error.js').SoundFontParseError} SoundFontParseError */
+/** @typedef {import('./sequencer.js').SequencerOptions} SequencerOptions */
+/** @typedef {import('./web_midi.js').MidiInputOptions} MidiInputOptions */
+/** @typedef {import('./web_midi_link.js').WebMidiLinkOptions} WebMidiLinkOptions */
+
+/**
+ * @typedef SoundFontOptions
+ * @prop {ResamplerType=} resampler upsample samples to the audio context rate
+ * with 'linear' or 'sinc' interpolation, 'none' (default) plays them at their own rate.
+ * @prop {boolean=} lenient load broken banks, skipping or repairing bad records
+ * and reporting them in `warnings` instead of throwing a SoundFontParseError.
+ * @prop {function(Uint8Array, number): void=} onsysex called with SysEx messages
+ * (F0 to F7) given to processMidiMessage and their AudioContext time.
+ */
 
 /**
  * @param {File} file
@@ -49,11 +83,22 @@ const waitForReference = ref => new Promise(resolve => {
 });
 
 export default class SoundFont {
-  constructor () {
+  /**
+   * @param {SoundFontOptions=} options
+   */
+  constructor (options = {}) {
+    /** @type {SoundFontOptions} */
+    this.options = options;
     this.synth = undefined;
     this._channel = 0;
     this._bankIndex = 0;
     this._programIndex = 0;
+    /** @type {Map.<MIDIInput, MidiInputConnection>} */
+    this._midiInputs = new Map();
+    /** @type {Map.<MIDIAccess, function(MIDIConnectionEvent): void>} */
+    this._midiAccess = new Map();
+    /** @type {?WebMidiLink} */
+    this._webMidiLink = null;
   }
 
   set channel (channel) {
@@ -67,7 +112,7 @@ export default class SoundFont {
   async loadSoundFontFromFile (file) {
     const arrayBuffer = await readFileAsArrayBuffer(file);
 
-    this.bootSynth(arrayBuffer);
+    await this.bootSynth(arrayBuffer);
   }
 
   /**
@@ -78,7 +123,21 @@ export default class SoundFont {
   async loadSoundFontFromURL (url) {
     const arrayBuffer = await fetchResourceAsArrayBuffer(url);
 
-    this.bootSynth(arrayBuffer);
+    await this.bootSynth(arrayBuffer);
+  }
+
+  /**
+   * Load an SFZ instrument. Its sample files (WAV or FLAC) and #include files
+   * are looked up in sampleFiles by the path in the SFZ file.
+   *
+   * @param {(string|ArrayBuffer)} sfz SFZ text.
+   * @param {Object.<string, ArrayBuffer>|Map.<string, ArrayBuffer>} sampleFiles
+   * @returns {Promise<void>}
+   */
+  async loadSoundFontFromSfz (sfz, sampleFiles) {
+    const arrayBuffer = typeof sfz === 'string' ? new TextEncoder().encode(sfz).buffer : sfz;
+
+    await this.bootSynth(arrayBuffer, sampleFiles);
   }
 
   set bank (index) {
@@ -109,22 +168,171 @@ export default class SoundFont {
     }));
   }
 
+  /**
+   * Metadata from the INFO chunk of the loaded sound font.
+   *
+   * @returns {SoundFontInfo}
+   */
+  get info () {
+    return this.synth.parser.info;
+  }
+
+  /**
+   * Problems found and repaired while loading the sound font in lenient mode.
+   *
+   * @returns {Array.<SoundFontParseError>}
+   */
+  get warnings () {
+    return this.synth.parser.warnings;
+  }
+
+  /**
+   * Serialize the loaded sound font, including changes made to the parser
+   * model (`sf.synth.parser`), to a SoundFont 2 file.
+   *
+   * @returns {ArrayBuffer}
+   */
+  toArrayBuffer () {
+    return writeSoundFont(this.synth.parser);
+  }
+
+  /**
+   * Send raw MIDI bytes to the synthesizer, see Synthesizer#processMidiMessage.
+   *
+   * @param {(Uint8Array|Array.<number>)} message
+   * @param {number=} time AudioContext time of note on/off, now if omitted.
+   * @returns {void}
+   */
+  processMidiMessage (message, time) {
+    this.synth.processMidiMessage(message, time);
+  }
+
+  /**
+   * Play the messages of a Web MIDI input, or of every input of a MIDIAccess
+   * including devices plugged in later. Inputs of several calls are merged.
+   *
+   * @param {(MIDIInput|MIDIAccess)} input
+   * @param {MidiInputOptions=} options
+   * @returns {void}
+   */
+  connectMIDIInput (input, options = {}) {
+    if ('inputs' in input) {
+      /** @type {MIDIAccess} */
+      const access = input;
+
+      this.disconnectMIDIInput(access);
+      access.inputs.forEach(port => this.connectMIDIInput(port, options));
+
+      // devices plugged in or removed later
+      const listener = event => {
+        if (event.port.type !== 'input') {
+          return;
+        }
+
+        if (event.port.state === 'connected' && !this._midiInputs.has(event.port)) {
+          this.connectMIDIInput(event.port, options);
+        } else if (event.port.state === 'disconnected') {
+          this.disconnectMIDIInput(event.port);
+        }
+      };
+
+      access.addEventListener('statechange', listener);
+      this._midiAccess.set(access, listener);
+
+      return;
+    }
+
+    this.disconnectMIDIInput(input);
+
+    /** @type {MidiInputConnection} */
+    const connection = new MidiInputConnection(
+      input,
+      message => this.synth && this.synth.processMidiMessage(message),
+      () => this._channel,
+      options
+    );
+
+    connection.connect();
+    this._midiInputs.set(input, connection);
+  }
+
+  /**
+   * Stop playing a Web MIDI input, or the inputs of a MIDIAccess. Its sounding notes are turned off.
+   *
+   * @param {(MIDIInput|MIDIAccess)} input
+   * @returns {void}
+   */
+  disconnectMIDIInput (input) {
+    if ('inputs' in input) {
+      if (this._midiAccess.has(input)) {
+        input.removeEventListener('statechange', this._midiAccess.get(input));
+        this._midiAccess.delete(input);
+      }
+      input.inputs.forEach(port => this.disconnectMIDIInput(port));
+
+      return;
+    }
+
+    if (this._midiInputs.has(input)) {
+      this._midiInputs.get(input).disconnect();
+      this._midiInputs.delete(input);
+    }
+  }
+
+  /**
+   * Act as a WebMidiLink synth module: play the MIDI messages posted by the
+   * host window and answer its patch requests. 'link,ready' is posted to the
+   * host once a sound font is loaded.
+   *
+   * @param {WebMidiLinkOptions=} options
+   * @returns {WebMidiLink} close() stops listening.
+   */
+  connectWebMidiLink (options = {}) {
+    if (this._webMidiLink !== null) {
+      this._webMidiLink.close();
+    }
+
+    this._webMidiLink = new WebMidiLink(() => this.synth || null, options);
+    this._webMidiLink.listen();
+
+    if (this.synth) {
+      this._webMidiLink.ready();
+    }
+
+    return this._webMidiLink;
+  }
+
+  /**
+   * Sequencer playing Standard MIDI Files with the loaded sound font.
+   *
+   * @param {SequencerOptions=} options
+   * @returns {Sequencer}
+   */
+  createSequencer (options = {}) {
+    return new Sequencer(this.synth, options);
+  }
+
   /**
    * @param {ArrayBuffer} arrayBuffer
+   * @param {?Object=} sampleFiles sample files of an SFZ instrument.
    * @returns {Promise<void>}
    */
-  async bootSynth (arrayBuffer) {
+  async bootSynth (arrayBuffer, sampleFiles = null) {
     const input = new Uint8Array(arrayBuffer);
 
     if (this.synth) {
-      this.synth.refreshInstruments(input);
+      this.synth.refreshInstruments(input, sampleFiles);
     } else {
-      this.synth = new Synthesizer(input);
+      this.synth = new Synthesizer(input, Object.assign({}, this.options, { sampleFiles: sampleFiles }));
 
       this.synth.init();
       this.synth.start();
 
       await waitForReference(this.synth.programSet);
+
+      if (this._webMidiLink !== null) {
+        this._webMidiLink.ready();
+      }
     }
   }
 
@@ -143,8 +351,6 @@ export default class SoundFont {
    * @returns {void}
    */
   noteOff (midiNumber) {
-    const volume = 127;
-
-    this.synth.noteOff(this._channel, midiNumber, volume);
+    this.synth.noteOff(this._channel, midiNumber);
   }
 }
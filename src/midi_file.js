@@ -0,0 +1,240 @@
+/* eslint-disable no-bitwise */
+import { Riff } from './riff.js';
+
+/**
+ * @typedef MidiEvent
+ * @prop {number} tick absolute time in ticks.
+ * @prop {number} track
+ * @prop {number} status status byte: 0x80-0xef channel message, 0xf0/0xf7 SysEx, 0xff meta event.
+ * @prop {number} metaType meta event type, -1 for other events.
+ * @prop {Uint8Array} data channel and SysEx events: the MIDI message with its status byte,
+ * meta events: the meta data.
+ */
+
+/**
+ * @typedef MidiFile
+ * @prop {number} format 0 or 1.
+ * @prop {number} division ticks per quarter note.
+ * @prop {?number} ticksPerSecond ticks per second of SMPTE time division, null for metrical time.
+ * @prop {Array.<Array.<MidiEvent>>} tracks
+ */
+
+/**
+ * Meta event types.
+ * @enum {number}
+ */
+export const MetaType = {
+  TEXT: 0x01,
+  COPYRIGHT: 0x02,
+  TRACK_NAME: 0x03,
+  MARKER: 0x06,
+  END_OF_TRACK: 0x2f,
+  TEMPO: 0x51,
+  TIME_SIGNATURE: 0x58,
+  KEY_SIGNATURE: 0x59
+};
+
+/**
+ * @param {Uint8Array} input
+ * @param {number} ip
+ * @return {string}
+ */
+function readType (input, ip) {
+  return String.fromCharCode(input[ip], input[ip + 1], input[ip + 2], input[ip + 3]);
+}
+
+/**
+ * @param {Uint8Array} input
+ * @param {number} ip
+ * @return {number}
+ */
+function readUint32 (input, ip) {
+  return ((input[ip] << 24) | (input[ip + 1] << 16) | (input[ip + 2] << 8) | input[ip + 3]) >>> 0;
+}
+
+/**
+ * Standard MIDI File in a RIFF 'RMID' file.
+ * @param {Uint8Array} input
+ * @return {Uint8Array}
+ */
+function unwrapRmid (input) {
+  if (input.length < 12 || readType(input, 0) !== 'RIFF' || readType(input, 8) !== 'RMID') {
+    return input;
+  }
+
+  /** @type {Riff} */
+  const parser = new Riff(input, { index: 12, lenient: true });
+
+  parser.parse();
+
+  /** @type {(import('./riff.js').RiffChunk|undefined)} */
+  const chunk = parser.chunkList.find(item => item.type === 'data');
+
+  if (chunk === undefined) {
+    throw new Error('data chunk not found in RMID file');
+  }
+
+  return input.subarray(chunk.offset, chunk.offset + chunk.size);
+}
+
+/**
+ * @param {Uint8Array} data
+ * @param {number} track
+ * @return {Array.<MidiEvent>}
+ */
+function parseTrack (data, track) {
+  /** @type {Array.<MidiEvent>} */
+  const events = [];
+  /** @type {number} */
+  let ip = 0;
+  /** @type {number} */
+  let tick = 0;
+  /** @type {number} */
+  let runningStatus = 0;
+
+  /**
+   * @return {number} variable-length quantity.
+   */
+  function readLength () {
+    /** @type {number} */
+    let value = 0;
+    /** @type {number} */
+    let byte;
+
+    do {
+      byte = data[ip++];
+      value = value * 128 + (byte & 0x7f);
+    } while (byte & 0x80 && ip < data.length);
+
+    return value;
+  }
+
+  while (ip < data.length) {
+    tick += readLength();
+
+    /** @type {number} */
+    let status = data[ip];
+    /** @type {number} */
+    let metaType = -1;
+    /** @type {Uint8Array} */
+    let message;
+
+    if (status >= 0x80) {
+      ++ip;
+    } else if (runningStatus !== 0) {
+      status = runningStatus;
+    } else {
+      throw new Error(`data byte without running status in track ${track} at ${ip}`);
+    }
+
+    if (status === 0xff) {
+      // meta event
+      metaType = data[ip++];
+
+      /** @type {number} */
+      const length = readLength();
+
+      message = data.subarray(ip, ip += length);
+      runningStatus = 0;
+    } else if (status === 0xf0 || status === 0xf7) {
+      // SysEx, F7 events hold raw bytes (continued SysEx or escaped messages)
+      /** @type {number} */
+      const length = readLength();
+
+      message = new Uint8Array(length + (status === 0xf0 ? 1 : 0));
+      if (status === 0xf0) {
+        message[0] = 0xf0;
+      }
+      message.set(data.subarray(ip, ip += length), status === 0xf0 ? 1 : 0);
+      runningStatus = 0;
+    } else if (status >= 0x80 && status < 0xf0) {
+      // program change and channel pressure have a single data byte
+      /** @type {number} */
+      const length = (status & 0xf0) === 0xc0 || (status & 0xf0) === 0xd0 ? 1 : 2;
+
+      message = new Uint8Array(length + 1);
+      message[0] = status;
+      message.set(data.subarray(ip, ip += length), 1);
+      runningStatus = status;
+    } else {
+      throw new Error(`unexpected status byte ${status.toString(16)} in track ${track} at ${ip - 1}`);
+    }
+
+    if (ip > data.length) {
+      // truncated event at the end of the track
+      break;
+    }
+
+    events.push({
+      tick: tick,
+      track: track,
+      status: status,
+      metaType: metaType,
+      data: message
+    });
+
+    if (metaType === MetaType.END_OF_TRACK) {
+      break;
+    }
+  }
+
+  return events;
+}
+
+/**
+ * Parse a Standard MIDI File of format 0 or 1 (also wrapped in a RIFF 'RMID' file).
+ * @param {Uint8Array} input
+ * @return {MidiFile}
+ */
+export function parseMidiFile (input) {
+  /** @type {Uint8Array} */
+  const data = unwrapRmid(input);
+
+  if (data.length < 14 || readType(data, 0) !== 'MThd') {
+    throw new Error('MThd chunk not found');
+  }
+
+  /** @type {number} */
+  const headerSize = readUint32(data, 4);
+  /** @type {number} */
+  const format = (data[8] << 8) | data[9];
+  /** @type {number} */
+  const trackCount = (data[10] << 8) | data[11];
+  /** @type {number} */
+  const division = (data[12] << 8) | data[13];
+  /** @type {Array.<Array.<MidiEvent>>} */
+  const tracks = [];
+  /** @type {number} */
+  let ip = 8 + headerSize;
+
+  if (format > 1) {
+    throw new Error(`unsupported SMF format ${format}`);
+  }
+
+  while (tracks.length < trackCount && ip + 8 <= data.length) {
+    /** @type {string} */
+    const type = readType(data, ip);
+    /** @type {number} */
+    const size = readUint32(data, ip + 4);
+    /** @type {number} */
+    const start = ip + 8;
+
+    // the size of the last track is often wrong, it is read up to the end of the file
+    ip = Math.min(start + size, data.length);
+
+    // unknown chunks are skipped
+    if (type === 'MTrk') {
+      tracks.push(parseTrack(data.subarray(start, ip), tracks.length));
+    }
+  }
+
+  return {
+    format: format,
+    division: division & 0x8000 ? 0 : division,
+    // SMPTE: negative frames per second and ticks per frame
+    ticksPerSecond: division & 0x8000 ? (256 - (division >> 8)) * (division & 0xff) : null,
+    tracks: tracks
+  };
+}
+
+export default parseMidiFile;
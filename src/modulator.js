@@ -0,0 +1,326 @@
+/* eslint-disable no-bitwise */
+
+/**
+ * @typedef ModulatorSource
+ * @prop {number} index controller index (general controller or MIDI CC number).
+ * @prop {boolean} cc true if index is a MIDI continuous controller.
+ * @prop {number} direction 0: min to max, 1: max to min.
+ * @prop {number} polarity 0: unipolar, 1: bipolar.
+ * @prop {number} type 0: linear, 1: concave, 2: convex, 3: switch.
+ */
+
+/**
+ * @typedef Modulator
+ * @prop {string} type destination generator name.
+ * @prop {{amount: number}} value
+ * @prop {number} sourceOper sfModSrcOper.
+ * @prop {number} destinationOper sfModDestOper.
+ * @prop {number} amountSourceOper sfModAmtSrcOper.
+ * @prop {number} transformOper sfModTransOper.
+ * @prop {ModulatorSource} source
+ * @prop {ModulatorSource} amountSource
+ */
+
+/**
+ * @typedef ModulatorState
+ * @prop {ArrayLike<number>} controllers MIDI CC values of the channel.
+ * @prop {number} key
+ * @prop {number} velocity
+ * @prop {number} pitchBend 14 bit pitch wheel value.
+ * @prop {number} pitchBendSensitivity semitones.
+ * @prop {number} channelPressure
+ * @prop {number=} polyPressure
+ * @prop {number=} tuning master tuning in cents.
+ * @prop {number=} modulationDepthRange vibrato depth of the modulation wheel in cents (50 by default).
+ * @prop {number=} vibratoRate vibrato LFO rate, 64 is the sound font rate.
+ * @prop {number=} vibratoDepth vibrato LFO depth, 64 is the sound font depth.
+ * @prop {number=} vibratoDelay vibrato LFO delay, 64 is the sound font delay.
+ * @prop {number=} cutOffFrequency brightness (CC74), 64 is the sound font cutoff.
+ * @prop {number=} harmonicContent resonance (CC71), 64 is the sound font resonance.
+ */
+
+/**
+ * General controller palette (sfspec 8.2.1)
+ * @enum {number}
+ */
+export const GeneralController = {
+  NO_CONTROLLER: 0,
+  NOTE_ON_VELOCITY: 2,
+  NOTE_ON_KEY_NUMBER: 3,
+  POLY_PRESSURE: 10,
+  CHANNEL_PRESSURE: 13,
+  PITCH_WHEEL: 14,
+  PITCH_WHEEL_SENSITIVITY: 16,
+  LINK: 127
+};
+
+/**
+ * Source types (sfspec 8.2.4)
+ * @enum {number}
+ */
+export const SourceType = {
+  LINEAR: 0,
+  CONCAVE: 1,
+  CONVEX: 2,
+  SWITCH: 3
+};
+
+/**
+ * Transform types (sfspec 8.3)
+ * @enum {number}
+ */
+export const Transform = {
+  LINEAR: 0,
+  ABSOLUTE_VALUE: 2
+};
+
+/**
+ * @param {number} oper sfModSrcOper or sfModAmtSrcOper.
+ * @return {ModulatorSource}
+ */
+export function decodeModulatorSource (oper) {
+  return {
+    index: oper & 0x7f,
+    cc: (oper & 0x80) !== 0,
+    direction: (oper >> 8) & 1,
+    polarity: (oper >> 9) & 1,
+    type: (oper >> 10) & 0x3f
+  };
+}
+
+/**
+ * @param {number} sourceOper
+ * @param {number} destinationOper
+ * @param {string} destination
+ * @param {number} amount
+ * @param {number} amountSourceOper
+ * @param {number} transformOper
+ * @return {Modulator}
+ */
+export function createModulator (sourceOper, destinationOper, destination, amount, amountSourceOper, transformOper) {
+  return {
+    type: destination,
+    value: {
+      amount: amount
+    },
+    sourceOper: sourceOper,
+    destinationOper: destinationOper,
+    amountSourceOper: amountSourceOper,
+    transformOper: transformOper,
+    source: decodeModulatorSource(sourceOper),
+    amountSource: decodeModulatorSource(amountSourceOper)
+  };
+}
+
+/**
+ * SoundFont 2.01 default modulators (sfspec 8.4)
+ * @type {Array.<Modulator>}
+ * @const
+ */
+export const DefaultModulators = [
+  // 8.4.1 MIDI Note-On Velocity to Initial Attenuation
+  createModulator(0x0502, 48, 'initialAttenuation', 960, 0x0000, 0),
+  // 8.4.2 MIDI Note-On Velocity to Filter Cutoff
+  createModulator(0x0102, 8, 'initialFilterFc', -2400, 0x0000, 0),
+  // 8.4.3 MIDI Channel Pressure to Vibrato LFO Pitch Depth
+  createModulator(0x000d, 6, 'vibLfoToPitch', 50, 0x0000, 0),
+  // 8.4.4 MIDI Continuous Controller 1 to Vibrato LFO Pitch Depth
+  createModulator(0x0081, 6, 'vibLfoToPitch', 50, 0x0000, 0),
+  // 8.4.5 MIDI Continuous Controller 7 to Initial Attenuation
+  createModulator(0x0587, 48, 'initialAttenuation', 960, 0x0000, 0),
+  // 8.4.6 MIDI Continuous Controller 10 to Pan Position
+  createModulator(0x028a, 17, 'pan', 1000, 0x0000, 0),
+  // 8.4.7 MIDI Continuous Controller 11 to Initial Attenuation
+  createModulator(0x058b, 48, 'initialAttenuation', 960, 0x0000, 0),
+  // 8.4.8 MIDI Continuous Controller 91 to Reverb Effects Send
+  createModulator(0x00db, 16, 'reverbEffectsSend', 200, 0x0000, 0),
+  // 8.4.9 MIDI Continuous Controller 93 to Chorus Effects Send
+  createModulator(0x00dd, 15, 'chorusEffectsSend', 200, 0x0000, 0),
+  // 8.4.10 MIDI Pitch Wheel to Initial Pitch Controlled by MIDI Pitch Wheel Sensitivity
+  createModulator(0x020e, 52, 'fineTune', 12700, 0x0010, 0)
+];
+
+/**
+ * Two modulators are identical if their source, destination and amount source
+ * operators are the same (sfspec 9.5.1).
+ * @param {Modulator} a
+ * @param {Modulator} b
+ * @return {boolean}
+ */
+export function isIdenticalModulator (a, b) {
+  return a.sourceOper === b.sourceOper &&
+    a.destinationOper === b.destinationOper &&
+    a.amountSourceOper === b.amountSourceOper;
+}
+
+/**
+ * Replace identical modulators of a list (defaults or a global zone) by the
+ * ones of a more specific level, the others are appended.
+ * @param {Array.<Modulator>} modulators
+ * @param {Array.<Modulator>} overrides
+ * @return {Array.<Modulator>}
+ */
+export function overrideModulators (modulators, overrides) {
+  /** @type {Array.<Modulator>} */
+  const output = modulators.slice();
+  /** @type {number} */
+  let i;
+  /** @type {number} */
+  let il;
+  /** @type {number} */
+  let j;
+
+  for (i = 0, il = overrides.length; i < il; ++i) {
+    j = output.findIndex(modulator => isIdenticalModulator(modulator, overrides[i]));
+
+    if (j === -1) {
+      output.push(overrides[i]);
+    } else {
+      output[j] = overrides[i];
+    }
+  }
+
+  return output;
+}
+
+/**
+ * Build the modulator list of a voice: instrument modulators supersede identical
+ * default modulators, preset modulators are added on top.
+ * @param {Array.<Modulator>} instrumentModulators
+ * @param {Array.<Modulator>} presetModulators
+ * @return {Array.<Modulator>}
+ */
+export function mergeModulators (instrumentModulators, presetModulators) {
+  return overrideModulators(DefaultModulators, instrumentModulators).concat(presetModulators).filter(modulator => modulator.type !== undefined &&
+    modulator.value.amount !== 0 &&
+    modulator.source.index !== GeneralController.LINK);
+}
+
+/**
+ * @param {number} x normalized value (0 to 1).
+ * @return {number}
+ */
+function concave (x) {
+  return x >= 1 ? 1 : Math.min(1, -(400 / 960) * Math.log10(1 - x));
+}
+
+/**
+ * @param {number} x normalized value (0 to 1).
+ * @return {number}
+ */
+function convex (x) {
+  return 1 - concave(1 - x);
+}
+
+/**
+ * @param {number} x normalized value (0 to 1).
+ * @param {number} type
+ * @return {number}
+ */
+function applyCurve (x, type) {
+  switch (type) {
+  case SourceType.CONCAVE:
+    return concave(x);
+  case SourceType.CONVEX:
+    return convex(x);
+  case SourceType.SWITCH:
+    return x >= 0.5 ? 1 : 0;
+  default:
+    return x;
+  }
+}
+
+/**
+ * @param {ModulatorSource} source
+ * @param {ModulatorState} state
+ * @return {number}
+ */
+function getSourceValue (source, state) {
+  /** @type {number} */
+  let value;
+  /** @type {number} */
+  let max = 127;
+
+  if (source.cc) {
+    value = state.controllers[source.index] || 0;
+  } else {
+    switch (source.index) {
+    case GeneralController.NO_CONTROLLER:
+      return 1;
+    case GeneralController.NOTE_ON_VELOCITY:
+      value = state.velocity;
+      break;
+    case GeneralController.NOTE_ON_KEY_NUMBER:
+      value = state.key;
+      break;
+    case GeneralController.POLY_PRESSURE:
+      value = state.polyPressure || 0;
+      break;
+    case GeneralController.CHANNEL_PRESSURE:
+      value = state.channelPressure;
+      break;
+    case GeneralController.PITCH_WHEEL:
+      value = state.pitchBend;
+      max = 16383;
+      break;
+    case GeneralController.PITCH_WHEEL_SENSITIVITY:
+      value = state.pitchBendSensitivity;
+      break;
+    default:
+      return 0;
+    }
+  }
+
+  // bipolar sources are centered on 64 (8192 for the pitch wheel)
+  /** @type {number} */
+  let x = value / (source.polarity ? max + 1 : max);
+
+  if (source.direction) {
+    x = 1 - x;
+  }
+
+  if (!source.polarity) {
+    return applyCurve(x, source.type);
+  }
+
+  // bipolar
+  if (source.type === SourceType.SWITCH) {
+    return x >= 0.5 ? 1 : -1;
+  }
+
+  return x < 0.5 ? -applyCurve(1 - 2 * x, source.type) : applyCurve(2 * x - 1, source.type);
+}
+
+/**
+ * Evaluate modulators and sum their output per destination generator.
+ * @param {Array.<Modulator>} modulators
+ * @param {ModulatorState} state
+ * @return {Object.<string, number>}
+ */
+export function computeModulators (modulators, state) {
+  /** @type {Object.<string, number>} */
+  const output = {};
+  /** @type {Modulator} */
+  let modulator;
+  /** @type {number} */
+  let value;
+  /** @type {number} */
+  let i;
+  /** @type {number} */
+  let il;
+
+  for (i = 0, il = modulators.length; i < il; ++i) {
+    modulator = modulators[i];
+    value = modulator.value.amount *
+      getSourceValue(modulator.source, state) *
+      getSourceValue(modulator.amountSource, state);
+
+    if (modulator.transformOper === Transform.ABSOLUTE_VALUE) {
+      value = Math.abs(value);
+    }
+
+    output[modulator.type] = (output[modulator.type] || 0) + value;
+  }
+
+  return output;
+}
@@ -0,0 +1,53 @@
+/**
+ * Error codes of SoundFontParseError
+ * @enum {string}
+ */
+export const ParseErrorCode = {
+  /** chunk id differs from the expected one */
+  INVALID_CHUNK_TYPE: 'INVALID_CHUNK_TYPE',
+  /** form or list type (sfbk, INFO, sdta, pdta) differs from the expected one */
+  INVALID_SIGNATURE: 'INVALID_SIGNATURE',
+  /** wrong number or order of chunks in a list */
+  INVALID_STRUCTURE: 'INVALID_STRUCTURE',
+  /** required chunk is missing */
+  CHUNK_NOT_FOUND: 'CHUNK_NOT_FOUND',
+  /** chunk header or data runs past the end of its parent */
+  TRUNCATED_CHUNK: 'TRUNCATED_CHUNK',
+  /** odd sized chunk without padding byte */
+  MISSING_PADDING: 'MISSING_PADDING',
+  /** chunk size is not a multiple of its record size */
+  INVALID_CHUNK_SIZE: 'INVALID_CHUNK_SIZE',
+  /** phdr, inst or shdr does not end with the EOP, EOI or EOS record */
+  MISSING_TERMINATOR: 'MISSING_TERMINATOR',
+  /** sample header points outside of the sample data */
+  INVALID_SAMPLE_RANGE: 'INVALID_SAMPLE_RANGE',
+  /** sample data could not be decoded or has an unsupported format */
+  INVALID_SAMPLE_DATA: 'INVALID_SAMPLE_DATA',
+  /** sample file of an SFZ region is missing */
+  SAMPLE_NOT_FOUND: 'SAMPLE_NOT_FOUND'
+};
+
+/**
+ * Error (or warning in lenient mode) raised while parsing a sound font.
+ */
+export class SoundFontParseError extends Error {
+  /**
+   * @param {string} message
+   * @param {ParseErrorCode} code
+   * @param {string} path chunk path, for example 'RIFF sfbk/LIST pdta/shdr'.
+   * @param {number} offset byte offset in the file.
+   */
+  constructor (message, code, path, offset) {
+    super(`${message} (${path ? path + ' ' : ''}at byte ${offset})`);
+    /** @type {string} */
+    this.name = 'SoundFontParseError';
+    /** @type {ParseErrorCode} */
+    this.code = code;
+    /** @type {string} */
+    this.path = path;
+    /** @type {number} */
+    this.offset = offset;
+  }
+}
+
+export default SoundFontParseError;
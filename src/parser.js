@@ -1,5 +1,19 @@
 /* eslint-disable no-bitwise */
 import * as RiffHelper from './riff.js';
+import { createModulator } from './modulator.js';
+import { decodeVorbis, getOggStreamLength } from './vorbis.js';
+import { resample } from './resampler.js';
+import { ParseErrorCode, SoundFontParseError } from './parse_error.js';
+
+/** @typedef {import('./modulator.js').Modulator} Modulator */
+/** @typedef {import('./resampler.js').ResamplerType} ResamplerType */
+
+/**
+ * Lowest AudioBuffer sample rate the Web Audio spec guarantees, slower samples are always upsampled.
+ * @type {number}
+ * @const
+ */
+const MIN_BUFFER_SAMPLE_RATE = 8000;
 
 /**
  * @typedef InstrumentGenerator
@@ -58,6 +72,48 @@ import * as RiffHelper from './riff.js';
  * @prop {Array.<Object>} endOper
  */
 
+/**
+ * @typedef SoundFontVersion
+ * @prop {number} major
+ * @prop {number} minor
+ */
+
+/**
+ * @typedef SoundFontInfo
+ * @prop {SoundFontVersion} version ifil: SoundFont specification version.
+ * @prop {string} soundEngine isng: target sound engine.
+ * @prop {string} name INAM: sound font bank name.
+ * @prop {string=} romName irom: sound ROM name.
+ * @prop {SoundFontVersion=} romVersion iver: sound ROM version.
+ * @prop {string=} creationDate ICRD: date of creation of the bank.
+ * @prop {string=} engineers IENG: sound designers and engineers.
+ * @prop {string=} product IPRD: product for which the bank was intended.
+ * @prop {string=} copyright ICOP: copyright message.
+ * @prop {string=} comments ICMT: comments on the bank.
+ * @prop {string=} software ISFT: tools used to create and alter the bank.
+ */
+
+/**
+ * Instrument of a format without presets (DLS, SFZ), stored as a preset with one instrument.
+ * @typedef ModelInstrument
+ * @prop {string} name
+ * @prop {number} bank
+ * @prop {number} program
+ * @prop {Array.<Array.<Object>>} zones generators of the instrument zones, sampleID last.
+ */
+
+/**
+ * @type {string}
+ * @const
+ */
+const RIFF_PATH = 'RIFF sfbk';
+
+/**
+ * @type {string}
+ * @const
+ */
+const PDTA_PATH = RIFF_PATH + '/LIST pdta';
+
 /**
  * SoundFont Parser Class
  */
@@ -70,9 +126,21 @@ export class Parser {
     this.input = input;
     /** @type {(Object|undefined)} */
     this.parserOption = optParams.parserOption || {};
-    /** @type {(Number|undefined)} */
-    this.sampleRate = optParams.sampleRate || 22050; // よくわからんが、OSで指定されているサンプルレートを入れないと音が切れ切れになる。
-
+    /** @type {number} target sample rate of the resampler */
+    this.sampleRate = optParams.sampleRate || 22050;
+    /** @type {ResamplerType} samples are kept at their own rate with 'none' */
+    this.resampler = optParams.resampler || 'none';
+    /** @type {boolean} skip or repair broken records and report them as warnings instead of throwing */
+    this.lenient = optParams.lenient || false;
+    /** @type {Array.<SoundFontParseError>} problems repaired in lenient mode */
+    this.warnings = [];
+
+    /** @type {SoundFontInfo} */
+    this.info = null;
+    /** @type {RiffHelper.RiffChunk} */
+    this.samplingData = null;
+    /** @type {RiffHelper.RiffChunk} optional sm24 chunk (least significant bytes of 24 bit samples) */
+    this.samplingData24 = null;
     /** @type {Array.<Object>} */
     this.presetHeader = [];
     /** @type {Array.<Object>} */
@@ -155,19 +223,26 @@ export class Parser {
   }
 
   parse () {
-    const parser = new RiffHelper.Riff(this.input, this.parserOption);
+    const parser = new RiffHelper.Riff(this.input, {
+      ...this.parserOption,
+      lenient: this.lenient
+    });
+
+    this.warnings = [];
 
     // parse RIFF chunk
     parser.parse();
-    if (parser.chunkList.length !== 1) {
-      throw new Error('wrong chunk length');
-    }
+    this.warnings.push(...parser.warnings);
 
     /** @type {?RiffHelper.RiffChunk} */
     const chunk = parser.getChunk(0);
 
     if (chunk === null) {
-      throw new Error('chunk not found');
+      throw new SoundFontParseError('RIFF chunk not found', ParseErrorCode.CHUNK_NOT_FOUND, '', 0);
+    }
+
+    if (parser.chunkList.length !== 1) {
+      this.problem_('unexpected data after the RIFF chunk', ParseErrorCode.INVALID_STRUCTURE, '', parser.getChunk(1).offset - 8);
     }
 
     this.parseRiffChunk(chunk);
@@ -180,68 +255,245 @@ export class Parser {
    * @returns {void}
    */
   parseRiffChunk (chunk) {
-    const data = this.input;
-    /** @type {number} */
-    let ip = chunk.offset;
+    // read structure
+    const parser = this.parseList_(chunk, 'RIFF', 'sfbk', '');
+    /** @type {Array.<RiffHelper.RiffChunk>} */
+    const lists = this.findChunks_(
+      parser,
+      ['INFO', 'sdta', 'pdta'],
+      subChunk => subChunk.type === 'LIST' ? this.readSignature_(subChunk) : subChunk.type
+    );
+
+    // INFO-list
+    this.parseInfoList(lists[0]);
+
+    // sdta-list
+    this.parseSdtaList(lists[1]);
+
+    // pdta-list
+    this.parsePdtaList(lists[2]);
+  }
+
+  /**
+   * Check a RIFF or LIST chunk and parse its sub-chunks.
+   * @param {RiffHelper.RiffChunk} chunk
+   * @param {string} type RIFF or LIST.
+   * @param {string} signature form or list type.
+   * @param {string} parentPath
+   * @return {RiffHelper.Riff}
+   * @private
+   */
+  parseList_ (chunk, type, signature, parentPath) {
+    /** @type {string} */
+    const path = (parentPath ? parentPath + '/' : '') + type + ' ' + signature;
 
     // check parse target
-    if (chunk.type !== 'RIFF') {
-      throw new Error('invalid chunk type:' + chunk.type);
+    if (chunk.type !== type) {
+      throw new SoundFontParseError(
+        'invalid chunk type: ' + chunk.type,
+        ParseErrorCode.INVALID_CHUNK_TYPE,
+        path,
+        chunk.offset - 8
+      );
     }
 
     // check signature
-    /** @type {string} */
-    const signature = String.fromCharCode(data[ip++], data[ip++], data[ip++], data[ip++]);
-
-    if (signature !== 'sfbk') {
-      throw new Error('invalid signature:' + signature);
+    if (this.readSignature_(chunk) !== signature) {
+      throw new SoundFontParseError(
+        'invalid signature: ' + this.readSignature_(chunk),
+        ParseErrorCode.INVALID_SIGNATURE,
+        path,
+        chunk.offset
+      );
     }
 
     // read structure
-    const parser = new RiffHelper.Riff(data, { 'index': ip, 'length': chunk.size - 4 });
+    const parser = new RiffHelper.Riff(this.input, {
+      'index': chunk.offset + 4,
+      'length': Math.max(0, chunk.size - 4),
+      'path': path,
+      'lenient': this.lenient
+    });
 
     parser.parse();
+    this.warnings.push(...parser.warnings);
+
+    return parser;
+  }
+
+  /**
+   * @param {RiffHelper.RiffChunk} chunk
+   * @return {string} form or list type of a RIFF or LIST chunk.
+   * @private
+   */
+  readSignature_ (chunk) {
+    const data = this.input;
+    /** @type {number} */
+    const ip = chunk.offset;
+
+    return String.fromCharCode(data[ip], data[ip + 1], data[ip + 2], data[ip + 3]);
+  }
 
-    if (parser.getNumberOfChunks() !== 3) {
-      throw new Error('invalid sfbk structure');
+  /**
+   * Sub-chunks in the order required by the specification. In lenient mode
+   * they are looked up by name and unexpected chunks are skipped.
+   * @param {RiffHelper.Riff} parser
+   * @param {Array.<string>} names
+   * @param {function(RiffHelper.RiffChunk): string} getName
+   * @return {Array.<RiffHelper.RiffChunk>}
+   * @private
+   */
+  findChunks_ (parser, names, getName) {
+    /** @type {Array.<RiffHelper.RiffChunk>} */
+    const chunks = parser.chunkList;
+    /** @type {Array.<string>} */
+    const found = chunks.map(getName);
+
+    if (found.join() === names.join()) {
+      return chunks;
     }
 
-    // INFO-list
-    this.parseInfoList(parser.getChunk(0));
+    this.problem_(
+      `expected ${names.join(', ')} but found ${found.join(', ')}`,
+      ParseErrorCode.INVALID_STRUCTURE,
+      parser.path,
+      parser.offset
+    );
 
-    // sdta-list
-    this.parseSdtaList(parser.getChunk(1));
+    return names.map(name => {
+      /** @type {number} */
+      const index = found.indexOf(name);
+
+      if (index === -1) {
+        throw new SoundFontParseError(
+          name + ' chunk not found',
+          ParseErrorCode.CHUNK_NOT_FOUND,
+          parser.path,
+          parser.offset
+        );
+      }
 
-    // pdta-list
-    this.parsePdtaList(parser.getChunk(2));
+      return chunks[index];
+    });
+  }
+
+  /**
+   * Throw, or record a warning in lenient mode.
+   * @param {string} message
+   * @param {ParseErrorCode} code
+   * @param {string} path
+   * @param {number} offset
+   * @return {void}
+   * @private
+   */
+  problem_ (message, code, path, offset) {
+    /** @type {SoundFontParseError} */
+    const error = new SoundFontParseError(message, code, path, offset);
+
+    if (!this.lenient) {
+      throw error;
+    }
+
+    this.warnings.push(error);
   }
 
   /**
    * @param {RiffHelper.RiffChunk} chunk
-   * @returns {any}
+   * @returns {void}
    */
   parseInfoList (chunk) {
-    const data = this.input;
+    // read structure
+    const parser = this.parseList_(chunk, 'LIST', 'INFO', RIFF_PATH);
+
+    /** @type {SoundFontInfo} */
+    const info = {
+      version: null,
+      soundEngine: 'EMU8000',
+      name: ''
+    };
+
+    /** @type {RiffHelper.RiffChunk} */
+    let subChunk;
     /** @type {number} */
-    let ip = chunk.offset;
+    let i;
+    /** @type {number} */
+    let il;
 
-    // check parse target
-    if (chunk.type !== 'LIST') {
-      throw new Error('invalid chunk type:' + chunk.type);
+    for (i = 0, il = parser.getNumberOfChunks(); i < il; ++i) {
+      subChunk = parser.getChunk(i);
+
+      switch (subChunk.type) {
+      case 'ifil':
+        info.version = this.parseVersion_(subChunk);
+        break;
+      case 'isng':
+        info.soundEngine = this.parseString_(subChunk);
+        break;
+      case 'INAM':
+        info.name = this.parseString_(subChunk);
+        break;
+      case 'irom':
+        info.romName = this.parseString_(subChunk);
+        break;
+      case 'iver':
+        info.romVersion = this.parseVersion_(subChunk);
+        break;
+      case 'ICRD':
+        info.creationDate = this.parseString_(subChunk);
+        break;
+      case 'IENG':
+        info.engineers = this.parseString_(subChunk);
+        break;
+      case 'IPRD':
+        info.product = this.parseString_(subChunk);
+        break;
+      case 'ICOP':
+        info.copyright = this.parseString_(subChunk);
+        break;
+      case 'ICMT':
+        info.comments = this.parseString_(subChunk);
+        break;
+      case 'ISFT':
+        info.software = this.parseString_(subChunk);
+        break;
+      default:
+        // unknown sub-chunks are ignored as required by the specification
+        break;
+      }
     }
 
-    // check signature
-    /** @type {string} */
-    const signature = String.fromCharCode(data[ip++], data[ip++], data[ip++], data[ip++]);
+    this.info = info;
+  }
 
-    if (signature !== 'INFO') {
-      throw new Error('invalid signature:' + signature);
-    }
+  /**
+   * @param {RiffHelper.RiffChunk} chunk
+   * @return {SoundFontVersion}
+   * @private
+   */
+  parseVersion_ (chunk) {
+    const data = this.input;
+    /** @type {number} */
+    let ip = chunk.offset;
 
-    // read structure
-    const parser = new RiffHelper.Riff(data, { 'index': ip, 'length': chunk.size - 4 });
+    return {
+      major: data[ip++] | (data[ip++] << 8),
+      minor: data[ip++] | (data[ip++] << 8)
+    };
+  }
 
-    parser.parse();
+  /**
+   * Read a zero terminated string.
+   * @param {RiffHelper.RiffChunk} chunk
+   * @return {string}
+   * @private
+   */
+  parseString_ (chunk) {
+    /** @type {Uint8Array} */
+    const str = this.input.subarray(chunk.offset, chunk.offset + chunk.size);
+    /** @type {number} */
+    const end = str.indexOf(0);
+
+    return String.fromCharCode.apply(null, end === -1 ? str : str.subarray(0, end));
   }
 
   /**
@@ -249,33 +501,53 @@ export class Parser {
    * @returns {void}
    */
   parseSdtaList (chunk) {
-    const data = this.input;
+    // read structure
+    const parser = this.parseList_(chunk, 'LIST', 'sdta', RIFF_PATH);
+
+    /** @type {RiffHelper.RiffChunk} */
+    let sm24 = null;
     /** @type {number} */
-    let ip = chunk.offset;
+    let i;
+    /** @type {number} */
+    let il;
 
-    // check parse target
-    if (chunk.type !== 'LIST') {
-      throw new Error('invalid chunk type:' + chunk.type);
+    for (i = 0, il = parser.chunkList.length; i < il; ++i) {
+      /** @type {RiffHelper.RiffChunk} */
+      const subChunk = parser.getChunk(i);
+
+      switch (subChunk.type) {
+      case 'smpl':
+        this.samplingData = subChunk;
+        break;
+      case 'sm24':
+        sm24 = subChunk;
+        break;
+      default:
+        break;
+      }
     }
 
-    // check signature
-    /** @type {string} */
-    const signature = String.fromCharCode(data[ip++], data[ip++], data[ip++], data[ip++]);
+    if (!this.samplingData) {
+      throw new SoundFontParseError('smpl chunk not found', ParseErrorCode.CHUNK_NOT_FOUND, parser.path, parser.offset);
+    }
 
-    if (signature !== 'sdta') {
-      throw new Error('invalid signature:' + signature);
+    // sm24 is ignored before 2.04 and when it does not hold one byte per sample point
+    if (sm24 !== null && this.isVersionAtLeast_(2, 4) && sm24.size >= this.samplingData.size >> 1) {
+      this.samplingData24 = sm24;
     }
+  }
 
-    // read structure
-    const parser = new RiffHelper.Riff(data, { 'index': ip, 'length': chunk.size - 4 });
+  /**
+   * @param {number} major
+   * @param {number} minor
+   * @return {boolean}
+   * @private
+   */
+  isVersionAtLeast_ (major, minor) {
+    /** @type {SoundFontVersion} */
+    const version = this.info !== null ? this.info.version : null;
 
-    parser.parse();
-    if (parser.chunkList.length !== 1) {
-      throw new Error('TODO');
-    }
-    this.samplingData =
-      /** @type {{type: string, size: number, offset: number}} */
-      (parser.getChunk(0));
+    return version !== null && (version.major > major || (version.major === major && version.minor >= minor));
   }
 
   /**
@@ -283,42 +555,109 @@ export class Parser {
    * @returns {void}
    */
   parsePdtaList (chunk) {
-    const data = this.input;
-    /** @type {number} */
-    let ip = chunk.offset;
+    // read structure
+    const parser = this.parseList_(chunk, 'LIST', 'pdta', RIFF_PATH);
+    /** @type {Array.<RiffHelper.RiffChunk>} */
+    const chunks = this.findChunks_(
+      parser,
+      ['phdr', 'pbag', 'pmod', 'pgen', 'inst', 'ibag', 'imod', 'igen', 'shdr'],
+      subChunk => subChunk.type
+    );
 
-    // check parse target
-    if (chunk.type !== 'LIST') {
-      throw new Error('invalid chunk type:' + chunk.type);
-    }
+    this.parsePhdr(chunks[0]);
+    this.parsePbag(chunks[1]);
+    this.parsePmod(chunks[2]);
+    this.parsePgen(chunks[3]);
+    this.parseInst(chunks[4]);
+    this.parseIbag(chunks[5]);
+    this.parseImod(chunks[6]);
+    this.parseIgen(chunks[7]);
+    this.parseShdr(chunks[8]);
+
+    this.checkTerminators_(chunks);
+  }
 
-    // check signature
-    /** @type {string} */
-    const signature = String.fromCharCode(data[ip++], data[ip++], data[ip++], data[ip++]);
+  /**
+   * The last records of phdr, inst and shdr must be EOP, EOI and EOS. In lenient
+   * mode the missing preset and instrument terminators are added.
+   * @param {Array.<RiffHelper.RiffChunk>} chunks
+   * @return {void}
+   * @private
+   */
+  checkTerminators_ (chunks) {
+    /** @type {Object} */
+    const lastPreset = this.presetHeader[this.presetHeader.length - 1];
+    /** @type {Object} */
+    const lastInstrument = this.instrument[this.instrument.length - 1];
+    /** @type {Object} */
+    const lastSample = this.sampleHeader[this.sampleHeader.length - 1];
+
+    if (!lastPreset || lastPreset.presetName.split('\0')[0] !== 'EOP') {
+      this.problem_('missing EOP record', ParseErrorCode.MISSING_TERMINATOR, PDTA_PATH + '/phdr', chunks[0].offset + chunks[0].size);
+      this.presetHeader.push({
+        presetName: 'EOP',
+        preset: 0,
+        bank: 0,
+        presetBagIndex: Math.max(0, this.presetZone.length - 1),
+        library: 0,
+        genre: 0,
+        morphology: 0
+      });
+    }
 
-    if (signature !== 'pdta') {
-      throw new Error('invalid signature:' + signature);
+    if (!lastInstrument || lastInstrument.instrumentName.split('\0')[0] !== 'EOI') {
+      this.problem_('missing EOI record', ParseErrorCode.MISSING_TERMINATOR, PDTA_PATH + '/inst', chunks[4].offset + chunks[4].size);
+      this.instrument.push({
+        instrumentName: 'EOI',
+        instrumentBagIndex: Math.max(0, this.instrumentZone.length - 1)
+      });
     }
 
-    // read structure
-    const parser = new RiffHelper.Riff(data, { 'index': ip, 'length': chunk.size - 4 });
+    // the terminal sample is never referenced, nothing to repair
+    if (!lastSample || lastSample.sampleName.split('\0')[0] !== 'EOS') {
+      this.problem_('missing EOS record', ParseErrorCode.MISSING_TERMINATOR, PDTA_PATH + '/shdr', chunks[8].offset + chunks[8].size);
+    }
+  }
 
-    parser.parse();
+  /**
+   * @param {RiffHelper.RiffChunk} chunk
+   * @param {string} type
+   * @return {void}
+   * @private
+   */
+  checkChunkType_ (chunk, type) {
+    if (chunk.type !== type) {
+      throw new SoundFontParseError(
+        'invalid chunk type: ' + chunk.type,
+        ParseErrorCode.INVALID_CHUNK_TYPE,
+        PDTA_PATH + '/' + chunk.type,
+        chunk.offset - 8
+      );
+    }
+  }
 
-    // check number of chunks
-    if (parser.getNumberOfChunks() !== 9) {
-      throw new Error('invalid pdta chunk');
+  /**
+   * End of the last complete record of a pdta sub-chunk. A trailing partial
+   * record is an error, or dropped in lenient mode.
+   * @param {RiffHelper.RiffChunk} chunk
+   * @param {number} recordSize
+   * @return {number}
+   * @private
+   */
+  getRecordEnd_ (chunk, recordSize) {
+    /** @type {number} */
+    const rest = chunk.size % recordSize;
+
+    if (rest !== 0) {
+      this.problem_(
+        `chunk size ${chunk.size} is not a multiple of ${recordSize}`,
+        ParseErrorCode.INVALID_CHUNK_SIZE,
+        PDTA_PATH + '/' + chunk.type,
+        chunk.offset - 8
+      );
     }
 
-    this.parsePhdr(parser.getChunk(0));
-    this.parsePbag(parser.getChunk(1));
-    this.parsePmod(parser.getChunk(2));
-    this.parsePgen(parser.getChunk(3));
-    this.parseInst(parser.getChunk(4));
-    this.parseIbag(parser.getChunk(5));
-    this.parseImod(parser.getChunk(6));
-    this.parseIgen(parser.getChunk(7));
-    this.parseShdr(parser.getChunk(8));
+    return chunk.offset + chunk.size - rest;
   }
 
   /**
@@ -335,12 +674,10 @@ export class Parser {
     const { presetHeader } = this;
 
     /** @type {number} */
-    const size = chunk.offset + chunk.size;
+    const size = this.getRecordEnd_(chunk, 38);
 
     // check parse target
-    if (chunk.type !== 'phdr') {
-      throw new Error('invalid chunk type:' + chunk.type);
-    }
+    this.checkChunkType_(chunk, 'phdr');
 
     while (ip < size) {
       presetHeader.push({
@@ -368,12 +705,10 @@ export class Parser {
 
     const { presetZone } = this;
 
-    const size = chunk.offset + chunk.size;
+    const size = this.getRecordEnd_(chunk, 4);
 
     // check parse target
-    if (chunk.type !== 'pbag') {
-      throw new Error('invalid chunk type:' + chunk.type);
-    }
+    this.checkChunkType_(chunk, 'pbag');
 
     while (ip < size) {
       presetZone.push({
@@ -389,9 +724,7 @@ export class Parser {
    */
   parsePmod (chunk) {
     // check parse target
-    if (chunk.type !== 'pmod') {
-      throw new Error('invalid chunk type:' + chunk.type);
-    }
+    this.checkChunkType_(chunk, 'pmod');
 
     this.presetZoneModulator = this.parseModulator(chunk);
   }
@@ -402,9 +735,7 @@ export class Parser {
    */
   parsePgen (chunk) {
     // check parse target
-    if (chunk.type !== 'pgen') {
-      throw new Error('invalid chunk type:' + chunk.type);
-    }
+    this.checkChunkType_(chunk, 'pgen');
     this.presetZoneGenerator = this.parseGenerator(chunk);
   }
 
@@ -420,12 +751,10 @@ export class Parser {
     this.instrument = [];
     const { instrument } = this;
 
-    const size = chunk.offset + chunk.size;
+    const size = this.getRecordEnd_(chunk, 22);
 
     // check parse target
-    if (chunk.type !== 'inst') {
-      throw new Error('invalid chunk type:' + chunk.type);
-    }
+    this.checkChunkType_(chunk, 'inst');
 
     while (ip < size) {
       instrument.push({
@@ -445,12 +774,10 @@ export class Parser {
 
     this.instrumentZone = [];
     const { instrumentZone } = this;
-    const size = chunk.offset + chunk.size;
+    const size = this.getRecordEnd_(chunk, 4);
 
     // check parse target
-    if (chunk.type !== 'ibag') {
-      throw new Error('invalid chunk type:' + chunk.type);
-    }
+    this.checkChunkType_(chunk, 'ibag');
 
     while (ip < size) {
       instrumentZone.push({
@@ -466,9 +793,7 @@ export class Parser {
    */
   parseImod (chunk) {
     // check parse target
-    if (chunk.type !== 'imod') {
-      throw new Error('invalid chunk type:' + chunk.type);
-    }
+    this.checkChunkType_(chunk, 'imod');
 
     this.instrumentZoneModulator = this.parseModulator(chunk);
   }
@@ -479,9 +804,7 @@ export class Parser {
    */
   parseIgen (chunk) {
     // check parse target
-    if (chunk.type !== 'igen') {
-      throw new Error('invalid chunk type:' + chunk.type);
-    }
+    this.checkChunkType_(chunk, 'igen');
 
     this.instrumentZoneGenerator = this.parseGenerator(chunk);
   }
@@ -498,10 +821,14 @@ export class Parser {
     this.sample = [];
     const { sample: samples } = this;
 
+    /** @type {Array.<(Int16Array|Float32Array|Uint8Array)>} sample data as stored in the file, before resampling */
+    this.originalSample = [];
+    const { originalSample: originalSamples } = this;
+
     this.sampleHeader = [];
     const { sampleHeader } = this;
 
-    const size = chunk.offset + chunk.size;
+    const size = this.getRecordEnd_(chunk, 46);
 
     /** @type {string} */
     let sampleName;
@@ -525,9 +852,7 @@ export class Parser {
     let sampleType;
 
     // check parse target
-    if (chunk.type !== 'shdr') {
-      throw new Error('invalid chunk type:' + chunk.type);
-    }
+    this.checkChunkType_(chunk, 'shdr');
 
     while (ip < size) {
       sampleName = String.fromCharCode.apply(null, data.subarray(ip, ip += 20));
@@ -551,13 +876,60 @@ export class Parser {
       sampleLink = data[ip++] | (data[ip++] << 8);
       sampleType = data[ip++] | (data[ip++] << 8);
 
-      let sample = new Int16Array(new Uint8Array(data.subarray(
-        this.samplingData.offset + start * 2,
-        this.samplingData.offset + end * 2
-      )).buffer);
+      /** @type {(Int16Array|Float32Array)} */
+      let sample;
+      /** @type {boolean} */
+      const compressed = this.isCompressedSample_(sampleType);
+      /** @type {number} end of the sample data in bytes (compressed) or sample points */
+      const limit = compressed ? this.samplingData.size : this.samplingData.size >> 1;
+
+      if (start > end || end > limit) {
+        this.problem_(
+          `sample ${start}-${end} is outside of the sample data (${limit})`,
+          ParseErrorCode.INVALID_SAMPLE_RANGE,
+          PDTA_PATH + '/shdr',
+          ip - 46
+        );
+        end = Math.min(end, limit);
+        start = Math.min(start, end);
+      }
+
+      if (compressed) {
+        // SF3: start and end are byte offsets of an Ogg Vorbis stream, loop points are already relative
+        /** @type {Uint8Array} */
+        const ogg = this.getCompressedSample_(start, end);
+
+        originalSamples.push(ogg);
+
+        try {
+          sample = this.decodeCompressedSample_(ogg);
+        } catch (e) {
+          this.problem_(
+            'cannot decode compressed sample: ' + e.message,
+            ParseErrorCode.INVALID_SAMPLE_DATA,
+            PDTA_PATH + '/shdr',
+            ip - 46
+          );
+          sample = new Int16Array(0);
+        }
+      } else {
+        if (this.samplingData24 !== null) {
+          sample = this.read24BitSample_(start, end);
+        } else {
+          sample = new Int16Array(new Uint8Array(data.subarray(
+            this.samplingData.offset + start * 2,
+            this.samplingData.offset + end * 2
+          )).buffer);
+        }
 
-      startLoop -= start;
-      endLoop -= start;
+        startLoop -= start;
+        endLoop -= start;
+
+        originalSamples.push(sample);
+      }
+
+      /** @type {number} */
+      const originalSampleRate = sampleRate;
 
       if (sampleRate > 0) {
         const adjust = this.adjustSampleData(sample, sampleRate);
@@ -577,6 +949,7 @@ export class Parser {
         startLoop: startLoop,
         endLoop: endLoop,
         sampleRate: sampleRate,
+        originalSampleRate: originalSampleRate,
         originalPitch: originalPitch,
         pitchCorrection: pitchCorrection,
         sampleLink: sampleLink,
@@ -586,113 +959,154 @@ export class Parser {
   }
 
   /**
-   * @param {Int16Array} sample
-   * @param {number} sampleRate
-   * @return {object}
+   * SoundFont 3 compressed sample (ifil major version 3 and sampleType bit 4).
+   * @param {number} sampleType
+   * @return {boolean}
+   * @private
    */
-  adjustSampleData (sample, sampleRate) {
-    /** @type {Int16Array} */
-    let newSample;
+  isCompressedSample_ (sampleType) {
+    return this.isVersionAtLeast_(3, 0) && (sampleType & 0x10) !== 0;
+  }
+
+  /**
+   * Combine smpl and sm24 into 24 bit sample points, kept in the 16 bit scale
+   * of the other samples with the low byte as fraction.
+   * @param {number} start sample point offset.
+   * @param {number} end sample point offset.
+   * @return {Float32Array}
+   * @private
+   */
+  read24BitSample_ (start, end) {
+    const data = this.input;
+    /** @type {number} */
+    let ip = this.samplingData.offset + start * 2;
+    /** @type {number} */
+    let lp = this.samplingData24.offset + start;
+    /** @type {Float32Array} */
+    const sample = new Float32Array(end - start);
     /** @type {number} */
     let i;
     /** @type {number} */
     let il;
+
+    for (i = 0, il = sample.length; i < il; ++i) {
+      sample[i] = (((data[ip++] | (data[ip++] << 8)) << 16 >> 16) * 256 + data[lp++]) / 256;
+    }
+
+    return sample;
+  }
+
+  /**
+   * @param {number} start byte offset in the smpl chunk.
+   * @param {number} end byte offset in the smpl chunk.
+   * @return {Uint8Array} copy of the Ogg Vorbis stream.
+   * @private
+   */
+  getCompressedSample_ (start, end) {
     /** @type {number} */
-    let j;
+    const offset = this.samplingData.offset;
+    // some encoders store the offset of the last byte, the stream length is taken from the ogg pages
+    /** @type {Uint8Array} */
+    const data = this.input.subarray(offset + start, offset + Math.min(end + 1, this.samplingData.size));
+
+    return data.slice(0, getOggStreamLength(data));
+  }
+
+  /**
+   * @param {Uint8Array} ogg Ogg Vorbis stream.
+   * @return {Int16Array}
+   * @private
+   */
+  decodeCompressedSample_ (ogg) {
+    /** @type {{data: Array.<Float32Array>}} */
+    const decoded = decodeVorbis(ogg);
+    /** @type {Float32Array} */
+    const pcm = decoded.data[0];
+    /** @type {Int16Array} */
+    const sample = new Int16Array(pcm.length);
+    /** @type {number} */
+    let i;
     /** @type {number} */
-    let multiply = 1;
+    let il;
 
-    // buffer
-    while (sampleRate < (this.sampleRate)) {
-      newSample = new Int16Array(sample.length * 2);
-      // eslint-disable-next-line no-multi-assign
-      for (i = j = 0, il = sample.length; i < il; ++i) {
-        newSample[j++] = sample[i];
-        newSample[j++] = sample[i];
-      }
-      sample = newSample;
-      multiply *= 2;
-      sampleRate *= 2;
+    for (i = 0, il = pcm.length; i < il; ++i) {
+      sample[i] = Math.max(-32768, Math.min(32767, Math.round(pcm[i] * 32768)));
+    }
+
+    return sample;
+  }
+
+  /**
+   * Upsample by an integer factor when the resampler is enabled or the rate is too low
+   * for an AudioBuffer, loop points multiplied by the factor stay sample accurate.
+   * @param {(Int16Array|Float32Array)} sample
+   * @param {number} sampleRate
+   * @return {{sample: (Int16Array|Float32Array), multiply: number}}
+   */
+  adjustSampleData (sample, sampleRate) {
+    /** @type {number} */
+    let multiply = Math.ceil(MIN_BUFFER_SAMPLE_RATE / sampleRate);
+
+    if (this.resampler !== 'none') {
+      multiply = Math.max(multiply, Math.floor(this.sampleRate / sampleRate));
+    }
+
+    if (multiply <= 1) {
+      return {
+        sample: sample,
+        multiply: 1
+      };
     }
 
     return {
-      sample: sample,
+      sample: resample(sample, multiply, this.resampler),
       multiply: multiply
     };
   }
 
   /**
    * @param {RiffHelper.RiffChunk} chunk
-   * @return {Array.<Object>}
+   * @return {Array.<Modulator>}
    */
   parseModulator (chunk) {
     const data = this.input;
     /** @type {number} */
     let ip = chunk.offset;
     /** @type {number} */
-    const size = chunk.offset + chunk.size;
+    const size = this.getRecordEnd_(chunk, 10);
     /** @type {number} */
-    let code;
-    /** @type {string} */
-    let key;
-    /** @type {Array.<Object>} */
+    let sourceOper;
+    /** @type {number} */
+    let destinationOper;
+    /** @type {number} */
+    let amount;
+    /** @type {number} */
+    let amountSourceOper;
+    /** @type {number} */
+    let transformOper;
+    /** @type {Array.<Modulator>} */
     const output = [];
 
     while (ip < size) {
-      // Src  Oper
-      // TODO
-      ip += 2;
-
+      // Src Oper
+      sourceOper = data[ip++] | (data[ip++] << 8);
       // Dest Oper
-      code = data[ip++] | (data[ip++] << 8);
-      key = this.GeneratorEnumeratorTable[code];
-      if (key === undefined) {
-        // Amount
-        output.push({
-          type: key,
-          value: {
-            code: code,
-            amount: data[ip] | (data[ip + 1] << 8) << 16 >> 16,
-            lo: data[ip++],
-            hi: data[ip++]
-          }
-        });
-      } else {
-        // Amount
-        switch (key) {
-        case 'keyRange':
-          /* FALLTHROUGH */
-        case 'velRange':
-          /* FALLTHROUGH */
-        case 'keynum':
-          /* FALLTHROUGH */
-        case 'velocity':
-          output.push({
-            type: key,
-            value: {
-              lo: data[ip++],
-              hi: data[ip++]
-            }
-          });
-          break;
-        default:
-          output.push({
-            type: key,
-            value: {
-              amount: data[ip++] | (data[ip++] << 8) << 16 >> 16
-            }
-          });
-          break;
-        }
-      }
-
+      destinationOper = data[ip++] | (data[ip++] << 8);
+      // Amount
+      amount = (data[ip++] | (data[ip++] << 8)) << 16 >> 16;
       // AmtSrcOper
-      // TODO
-      ip += 2;
-
+      amountSourceOper = data[ip++] | (data[ip++] << 8);
       // Trans Oper
-      // TODO
-      ip += 2;
+      transformOper = data[ip++] | (data[ip++] << 8);
+
+      output.push(createModulator(
+        sourceOper,
+        destinationOper,
+        this.GeneratorEnumeratorTable[destinationOper],
+        amount,
+        amountSourceOper,
+        transformOper
+      ));
     }
 
     return output;
@@ -707,7 +1121,7 @@ export class Parser {
     /** @type {number} */
     let ip = chunk.offset;
     /** @type {number} */
-    const size = chunk.offset + chunk.size;
+    const size = this.getRecordEnd_(chunk, 4);
     /** @type {number} */
     let code;
     /** @type {string} */
@@ -836,6 +1250,8 @@ export class Parser {
     let zoneInfo;
     /** @type {number} */
     let instrument;
+    /** @type {Array.<Modulator>} */
+    let modulators;
     /** @type {{generator: InstrumentGenerator, generatorInfo: Array.<Object>}} */
     let presetGenerator;
     /** @type {{modulator: Object, modulatorInfo: Array.<Object>}} */
@@ -873,13 +1289,15 @@ export class Parser {
             presetModulator.modulator.instrument !== undefined ?
               presetModulator.modulator.instrument.amount :
               null;
+        modulators = presetModulator.modulatorInfo;
       }
 
       output.push({
         name: preset[i].presetName,
         info: zoneInfo,
         header: preset[i],
-        instrument: instrument
+        instrument: instrument,
+        modulators: modulators
       });
     }
 
@@ -915,7 +1333,7 @@ export class Parser {
   createInstrumentModulator_ (zone, index) {
     const modgen = this.createBagModGen_(
       zone,
-      zone[index].presetModulatorIndex,
+      zone[index].instrumentModulatorIndex,
       zone[index + 1] ? zone[index + 1].instrumentModulatorIndex : this.instrumentZoneModulator.length,
       this.instrumentZoneModulator
     );
@@ -980,12 +1398,8 @@ export class Parser {
     const modgenInfo = [];
     /** @type {Object} */
     const modgen = {
-      'unknown': [],
-      'keyRange': {
-        hi: 127,
-        lo: 0
-      }
-    }; // TODO
+      'unknown': []
+    };
     /** @type {Object} */
     let info;
     /** @type {number} */
@@ -1009,6 +1423,125 @@ export class Parser {
       modgenInfo: modgenInfo
     };
   }
+
+  /**
+   * Fill the preset, instrument and zone records with the given instruments,
+   * each becomes a preset with one zone. Samples must already be loaded, the
+   * terminal EOS sample is appended.
+   * @param {Array.<ModelInstrument>} instruments
+   * @return {void}
+   * @protected
+   */
+  buildModel_ (instruments) {
+    /** @type {Array.<string>} */
+    const table = this.GeneratorEnumeratorTable;
+
+    this.presetHeader = [];
+    this.presetZone = [];
+    this.presetZoneGenerator = [];
+    this.presetZoneModulator = [];
+    this.instrument = [];
+    this.instrumentZone = [];
+    this.instrumentZoneGenerator = [];
+    this.instrumentZoneModulator = [];
+
+    instruments.forEach((instrument, i) => {
+      this.presetHeader.push({
+        presetName: instrument.name,
+        preset: instrument.program,
+        bank: instrument.bank,
+        presetBagIndex: this.presetZone.length,
+        library: 0,
+        genre: 0,
+        morphology: 0
+      });
+      this.presetZone.push({
+        presetGeneratorIndex: this.presetZoneGenerator.length,
+        presetModulatorIndex: 0
+      });
+      this.presetZoneGenerator.push({ type: 'instrument', value: { amount: i } });
+
+      this.instrument.push({
+        instrumentName: instrument.name,
+        instrumentBagIndex: this.instrumentZone.length
+      });
+      instrument.zones.forEach(generators => this.addInstrumentZone_(generators));
+    });
+
+    // terminal records
+    this.presetHeader.push({
+      presetName: 'EOP',
+      preset: 0,
+      bank: 0,
+      presetBagIndex: this.presetZone.length,
+      library: 0,
+      genre: 0,
+      morphology: 0
+    });
+    this.presetZone.push({
+      presetGeneratorIndex: this.presetZoneGenerator.length,
+      presetModulatorIndex: 0
+    });
+    this.presetZoneGenerator.push({ type: table[0], value: { amount: 0 } });
+    this.presetZoneModulator.push(createModulator(0, 0, table[0], 0, 0, 0));
+
+    this.instrument.push({
+      instrumentName: 'EOI',
+      instrumentBagIndex: this.instrumentZone.length
+    });
+    this.addInstrumentZone_([{ type: table[0], value: { amount: 0 } }]);
+    this.instrumentZoneModulator.push(createModulator(0, 0, table[0], 0, 0, 0));
+
+    this.sample.push(new Int16Array(0));
+    this.originalSample.push(new Int16Array(0));
+    this.sampleHeader.push({
+      sampleName: 'EOS',
+      start: 0,
+      end: 0,
+      startLoop: 0,
+      endLoop: 0,
+      sampleRate: 0,
+      originalSampleRate: 0,
+      originalPitch: 0,
+      pitchCorrection: 0,
+      sampleLink: 0,
+      sampleType: 0
+    });
+  }
+
+  /**
+   * @param {Array.<Object>} generators
+   * @return {void}
+   * @private
+   */
+  addInstrumentZone_ (generators) {
+    this.instrumentZone.push({
+      instrumentGeneratorIndex: this.instrumentZoneGenerator.length,
+      instrumentModulatorIndex: 0
+    });
+    this.instrumentZoneGenerator.push(...generators);
+  }
+
+  /**
+   * Sample address offset split into the fine and coarse generators.
+   * @param {Array.<Object>} generators
+   * @param {string} fine
+   * @param {string} coarse
+   * @param {number} offset
+   * @return {void}
+   * @protected
+   */
+  pushAddressOffset_ (generators, fine, coarse, offset) {
+    if (!offset) {
+      return;
+    }
+
+    generators.push({ type: fine, value: { amount: offset % 32768 } });
+
+    if (Math.abs(offset) >= 32768) {
+      generators.push({ type: coarse, value: { amount: Math.trunc(offset / 32768) } });
+    }
+  }
 }
 
 export default Parser;
@@ -0,0 +1,138 @@
+/**
+ * Upsampling of sample data by an integer factor. Keeping the factor integral
+ * keeps loop points on sample boundaries.
+ */
+
+/**
+ * @typedef {('none'|'linear'|'sinc')} ResamplerType
+ */
+
+/**
+ * Half width of the windowed sinc kernel in input samples.
+ * @type {number}
+ * @const
+ */
+const SINC_HALF_WIDTH = 8;
+
+/**
+ * @param {number} x
+ * @return {number}
+ */
+function sinc (x) {
+  return x === 0 ? 1 : Math.sin(Math.PI * x) / (Math.PI * x);
+}
+
+/**
+ * Blackman window over [-width, width].
+ * @param {number} x
+ * @param {number} width
+ * @return {number}
+ */
+function blackman (x, width) {
+  /** @type {number} */
+  const t = (x / width + 1) / 2;
+
+  return 0.42 - 0.5 * Math.cos(2 * Math.PI * t) + 0.08 * Math.cos(4 * Math.PI * t);
+}
+
+/**
+ * @param {ArrayLike<number>} sample
+ * @param {number} factor
+ * @return {Float32Array}
+ */
+export function resampleLinear (sample, factor) {
+  /** @type {Float32Array} */
+  const output = new Float32Array(sample.length * factor);
+  /** @type {number} */
+  const last = sample.length - 1;
+  /** @type {number} */
+  let i;
+  /** @type {number} */
+  let il;
+  /** @type {number} */
+  let j;
+  /** @type {number} */
+  let op = 0;
+
+  for (i = 0, il = sample.length; i < il; ++i) {
+    /** @type {number} */
+    const current = sample[i];
+    /** @type {number} */
+    const next = sample[i < last ? i + 1 : last];
+
+    for (j = 0; j < factor; ++j) {
+      output[op++] = current + (next - current) * j / factor;
+    }
+  }
+
+  return output;
+}
+
+/**
+ * Band-limited interpolation with a Blackman windowed sinc kernel.
+ * @param {ArrayLike<number>} sample
+ * @param {number} factor
+ * @return {Float32Array}
+ */
+export function resampleSinc (sample, factor) {
+  /** @type {Float32Array} */
+  const output = new Float32Array(sample.length * factor);
+  /** @type {number} */
+  const taps = SINC_HALF_WIDTH * 2;
+  /** @type {Float32Array} kernel coefficients for every output phase */
+  const kernel = new Float32Array(factor * taps);
+  /** @type {number} */
+  const length = sample.length;
+  /** @type {number} */
+  let phase;
+  /** @type {number} */
+  let i;
+  /** @type {number} */
+  let il;
+  /** @type {number} */
+  let j;
+  /** @type {number} */
+  let op = 0;
+
+  for (phase = 0; phase < factor; ++phase) {
+    for (j = 0; j < taps; ++j) {
+      // distance between the output point and the input sample i - SINC_HALF_WIDTH + 1 + j
+      /** @type {number} */
+      const x = phase / factor + SINC_HALF_WIDTH - 1 - j;
+
+      kernel[phase * taps + j] = Math.abs(x) < SINC_HALF_WIDTH ? sinc(x) * blackman(x, SINC_HALF_WIDTH) : 0;
+    }
+  }
+
+  for (i = 0, il = length; i < il; ++i) {
+    for (phase = 0; phase < factor; ++phase) {
+      /** @type {number} */
+      let sum = 0;
+      /** @type {number} */
+      const offset = phase * taps;
+
+      for (j = 0; j < taps; ++j) {
+        /** @type {number} */
+        const index = i - SINC_HALF_WIDTH + 1 + j;
+
+        if (index >= 0 && index < length) {
+          sum += sample[index] * kernel[offset + j];
+        }
+      }
+
+      output[op++] = sum;
+    }
+  }
+
+  return output;
+}
+
+/**
+ * @param {ArrayLike<number>} sample
+ * @param {number} factor
+ * @param {ResamplerType} type
+ * @return {Float32Array}
+ */
+export function resample (sample, factor, type) {
+  return type === 'sinc' ? resampleSinc(sample, factor) : resampleLinear(sample, factor);
+}
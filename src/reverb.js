@@ -101,7 +101,7 @@ export default class Reverb {
     // ドライレベルを出力ノードに接続
     sourceNode.connect(this.dryGainNode).connect(this.outputNode);
     // ウェットレベルを出力ノードに接続
-    sourceNode.connect(this.wetGainNode).connect(this.outputNode);
+    this.wetGainNode.connect(this.outputNode);
 
     return this.outputNode;
   }
@@ -118,7 +118,6 @@ export default class Reverb {
       sourceNode.disconnect(this.convolverNode);
       sourceNode.disconnect(this.dryGainNode);
       this.dryGainNode.disconnect(this.outputNode);
-      sourceNode.disconnect(this.wetGainNode);
       this.wetGainNode.disconnect(this.outputNode);
     } catch (e) { }
 
@@ -1,4 +1,6 @@
 /* eslint-disable no-bitwise */
+import { ParseErrorCode, SoundFontParseError } from './parse_error.js';
+
 /**
  * Riff Parser class
  * @private
@@ -13,7 +15,7 @@ export class Riff {
     /** @type {number} */
     this.ip = optParams.index || 0;
     /** @type {number} */
-    this.length = optParams.length || input.length - this.ip;
+    this.length = optParams.length !== undefined ? optParams.length : input.length - this.ip;
     /** @type {Array.<RiffChunk>} */
     this.chunkList = [];
     /** @type {number} */
@@ -24,6 +26,12 @@ export class Riff {
     /** @type {boolean} */
     this.bigEndian =
       optParams.bigEndian !== undefined ? optParams.bigEndian : false;
+    /** @type {string} path of the parent chunk used in errors */
+    this.path = optParams.path || '';
+    /** @type {boolean} repair broken chunks instead of throwing */
+    this.lenient = optParams.lenient || false;
+    /** @type {Array.<SoundFontParseError>} problems repaired in lenient mode */
+    this.warnings = [];
   }
 
   parse () {
@@ -43,28 +51,112 @@ export class Riff {
     let ip = this.ip;
     /** @type {number} */
     let size;
+    /** @type {number} */
+    const end = Math.min(this.offset + this.length, input.length);
+
+    if (ip + 8 > end) {
+      this.problem_('truncated chunk header', ParseErrorCode.TRUNCATED_CHUNK, this.path, ip);
+      this.ip = this.offset + this.length;
+
+      return;
+    }
+
+    /** @type {string} */
+    const type = String.fromCharCode(input[ip++], input[ip++], input[ip++], input[ip++]);
+
+    size = this.bigEndian ?
+      ((input[ip++] << 24) | (input[ip++] << 16) |
+        (input[ip++] << 8) | (input[ip++])) >>> 0 :
+      ((input[ip++]) | (input[ip++] << 8) |
+        (input[ip++] << 16) | (input[ip++] << 24)) >>> 0;
+
+    if (ip + size > end) {
+      this.problem_(
+        `chunk size ${size} exceeds the ${end - ip} remaining bytes`,
+        ParseErrorCode.TRUNCATED_CHUNK,
+        this.getPath(type, ip),
+        ip - 8
+      );
+      size = end - ip;
+    }
 
-    this.chunkList.push(new RiffChunk(
-      String.fromCharCode(input[ip++], input[ip++], input[ip++], input[ip++]),
-      (size = this.bigEndian ?
-        ((input[ip++] << 24) | (input[ip++] << 16) |
-          (input[ip++] << 8) | (input[ip++])) >>> 0 :
-        ((input[ip++]) | (input[ip++] << 8) |
-          (input[ip++] << 16) | (input[ip++] << 24)) >>> 0
-      ),
-      ip
-    ));
+    this.chunkList.push(new RiffChunk(type, size, ip));
 
     ip += size;
 
     // padding
     if (this.padding && ((ip - this.offset) & 1) === 1) {
-      ip++;
+      // some writers omit the padding byte of odd sized chunks
+      if (this.lenient && ip < end && this.isChunkId_(ip) && !this.isChunkId_(ip + 1)) {
+        this.problem_('missing padding byte', ParseErrorCode.MISSING_PADDING, this.getPath(type, ip - size), ip);
+      } else {
+        ip++;
+      }
     }
 
     this.ip = ip;
   }
 
+  /**
+   * @param {string} type
+   * @param {number} offset chunk data offset.
+   * @return {string} path of a chunk in this list, RIFF and LIST chunks include their type.
+   */
+  getPath (type, offset) {
+    /** @type {string} */
+    let name = type;
+
+    if ((type === 'RIFF' || type === 'LIST') && offset + 4 <= this.input.length) {
+      name += ' ' + String.fromCharCode(
+        this.input[offset], this.input[offset + 1], this.input[offset + 2], this.input[offset + 3]
+      );
+    }
+
+    return this.path ? this.path + '/' + name : name;
+  }
+
+  /**
+   * @param {number} ip
+   * @return {boolean} true if the four bytes at ip are printable ASCII.
+   * @private
+   */
+  isChunkId_ (ip) {
+    /** @type {number} */
+    let i;
+
+    if (ip + 4 > this.input.length) {
+      return false;
+    }
+
+    for (i = ip; i < ip + 4; ++i) {
+      if (this.input[i] < 0x20 || this.input[i] > 0x7e) {
+        return false;
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Throw, or record a warning in lenient mode.
+   * @param {string} message
+   * @param {ParseErrorCode} code
+   * @param {string} path
+   * @param {number} offset
+   * @return {void}
+   * @private
+   */
+  problem_ (message, code, path, offset) {
+    /** @type {SoundFontParseError} */
+    const error = new SoundFontParseError(message, code, path, offset);
+
+    if (!this.lenient) {
+      throw error;
+    }
+
+    this.warnings.push(error);
+  }
+
   /**
    * @param {number} index chunk index.
    * @return {?RiffChunk}
@@ -0,0 +1,649 @@
+/* eslint-disable no-bitwise */
+import { MetaType, parseMidiFile } from './midi_file.js';
+
+/** @typedef {import('./midi_file.js').MidiEvent} MidiEvent */
+/** @typedef {import('./midi_file.js').MidiFile} MidiFile */
+/** @typedef {import('./sound_font_synth.js').Synthesizer} Synthesizer */
+
+/**
+ * Scheduled event with its song time.
+ * @typedef SequencerEvent
+ * @prop {number} tick
+ * @prop {number} time seconds from the start of the song.
+ * @prop {MidiEvent} event
+ */
+
+/**
+ * @typedef TempoSegment
+ * @prop {number} tick
+ * @prop {number} time seconds from the start of the song.
+ * @prop {number} tempo microseconds per quarter note.
+ */
+
+/**
+ * @typedef TimeSignature
+ * @prop {number} tick
+ * @prop {number} numerator
+ * @prop {number} denominator
+ */
+
+/**
+ * @typedef SequencerOptions
+ * @prop {number=} lookahead seconds of events scheduled ahead of the AudioContext time (default 0.1).
+ * @prop {number=} interval scheduler interval in milliseconds (default 25).
+ */
+
+/**
+ * Default tempo (120 BPM).
+ * @type {number}
+ * @const
+ */
+const DEFAULT_TEMPO = 500000;
+
+/**
+ * Controller values of a system reset other than 0: volume, pan, expression,
+ * the sound controllers and reverb.
+ * @type {Object.<number, number>}
+ * @const
+ */
+const CONTROLLER_RESET_VALUE = {
+  0x07: 100,
+  0x0a: 64,
+  0x0b: 127,
+  0x47: 64,
+  0x48: 64,
+  0x49: 64,
+  0x4a: 64,
+  0x4b: 64,
+  0x4c: 64,
+  0x4d: 64,
+  0x4e: 64,
+  0x5b: 40
+};
+
+/**
+ * Message that resets the controller, program, pressure or pitch bend of a state key.
+ * @param {number} key status byte and controller number (status << 8 | control).
+ * @return {?Uint8Array} null for the bank select, which keeps the drum channels, and for
+ * data entry and parameter numbers, which only make sense in their order.
+ */
+function resetMessage (key) {
+  /** @type {number} */
+  const status = key >> 8;
+  /** @type {number} */
+  const control = key & 0x7f;
+
+  switch (status & 0xf0) {
+  case 0xb0:
+    if (control === 0x00 || control === 0x20 || control === 0x06 || control === 0x26 ||
+      (control >= 0x60 && control <= 0x65)) {
+      return null;
+    }
+
+    return new Uint8Array([status, control, CONTROLLER_RESET_VALUE[control] || 0]);
+  case 0xc0:
+  case 0xd0:
+    return new Uint8Array([status, 0]);
+  case 0xe0:
+    return new Uint8Array([status, 0, 0x40]);
+  default:
+    return null;
+  }
+}
+
+/**
+ * Standard MIDI File sequencer. Events are sent to the synthesizer ahead of
+ * time and take effect at their AudioContext time, program and bank changes
+ * apply to the notes sent after them.
+ */
+export class Sequencer {
+  /**
+   * @param {Synthesizer} synth
+   * @param {SequencerOptions=} optParams
+   */
+  constructor (synth, optParams = {}) {
+    /** @type {Synthesizer} */
+    this.synth = synth;
+    /** @type {number} */
+    this.lookahead = optParams.lookahead || 0.1;
+    /** @type {number} */
+    this.interval = optParams.interval || 25;
+    /** @type {?MidiFile} */
+    this.midiFile = null;
+    /** @type {Array.<SequencerEvent>} events of all tracks in time order */
+    this.events = [];
+    /** @type {Array.<TempoSegment>} */
+    this.tempoMap = [{ tick: 0, time: 0, tempo: DEFAULT_TEMPO }];
+    /** @type {Array.<TimeSignature>} */
+    this.timeSignatures = [{ tick: 0, numerator: 4, denominator: 4 }];
+    /** @type {number} */
+    this.durationTick = 0;
+    /** @type {?{start: number, end: number}} loop region in ticks */
+    this.loop = null;
+    /** @type {boolean} */
+    this.playing = false;
+    /** @type {number} index of the next event to schedule */
+    this.index = 0;
+    /** @type {number} AudioContext time of the start of the song */
+    this.startTime = 0;
+    /** @type {number} AudioContext time of the loop end scheduled last */
+    this.wrapTime = 0;
+    /** @type {number} start of the song before the loop end scheduled last */
+    this.previousStartTime = 0;
+    /** @type {number} song time while stopped or paused (seconds) */
+    this.pausedTime = 0;
+    /** @type {boolean} channel state has to be restored before playing */
+    this.needsChase = true;
+    /** @type {Set.<number>} sounding notes by channel * 128 + key */
+    this.activeNotes = new Set();
+    /** @type {?number} */
+    this.timer = null;
+    /** @type {?function(): void} called when the end of the song is reached */
+    this.onend = null;
+  }
+
+  /**
+   * @param {(MidiFile|Uint8Array|ArrayBuffer)} input parsed MIDI file or SMF data.
+   * @return {void}
+   */
+  load (input) {
+    /** @type {MidiFile} */
+    const midiFile = input instanceof Uint8Array || input instanceof ArrayBuffer ?
+      parseMidiFile(input instanceof ArrayBuffer ? new Uint8Array(input) : input) :
+      input;
+    /** @type {Array.<MidiEvent>} */
+    const events = [].concat(...midiFile.tracks);
+
+    this.stop();
+
+    // tick order, track order and file order within a tick
+    events.sort((a, b) => a.tick - b.tick);
+
+    this.midiFile = midiFile;
+    this.tempoMap = [{ tick: 0, time: 0, tempo: DEFAULT_TEMPO }];
+    this.timeSignatures = [{ tick: 0, numerator: 4, denominator: 4 }];
+
+    events.forEach(event => {
+      if (event.metaType === MetaType.TEMPO && event.data.length >= 3) {
+        this.addTempo_(event.tick, (event.data[0] << 16) | (event.data[1] << 8) | event.data[2]);
+      } else if (event.metaType === MetaType.TIME_SIGNATURE && event.data.length >= 2) {
+        this.addTimeSignature_(event.tick, event.data[0], 2 ** event.data[1]);
+      }
+    });
+
+    this.events = events.map(event => ({
+      tick: event.tick,
+      time: this.tickToSeconds(event.tick),
+      event: event
+    }));
+    this.durationTick = events.length > 0 ? events[events.length - 1].tick : 0;
+    this.loop = null;
+    this.pausedTime = 0;
+    this.index = 0;
+    this.needsChase = true;
+  }
+
+  /**
+   * @param {number} tick
+   * @param {number} tempo microseconds per quarter note.
+   * @return {void}
+   * @private
+   */
+  addTempo_ (tick, tempo) {
+    /** @type {TempoSegment} */
+    const last = this.tempoMap[this.tempoMap.length - 1];
+    /** @type {number} */
+    const time = this.tickToSeconds(tick);
+
+    if (last.tick === tick) {
+      this.tempoMap.pop();
+    }
+
+    this.tempoMap.push({ tick: tick, time: time, tempo: tempo || DEFAULT_TEMPO });
+  }
+
+  /**
+   * @param {number} tick
+   * @param {number} numerator
+   * @param {number} denominator
+   * @return {void}
+   * @private
+   */
+  addTimeSignature_ (tick, numerator, denominator) {
+    if (this.timeSignatures[this.timeSignatures.length - 1].tick === tick) {
+      this.timeSignatures.pop();
+    }
+
+    this.timeSignatures.push({ tick: tick, numerator: numerator, denominator: denominator });
+  }
+
+  /**
+   * @param {number} tick
+   * @return {TempoSegment}
+   * @private
+   */
+  getTempoSegment_ (tick) {
+    /** @type {number} */
+    let i = this.tempoMap.length - 1;
+
+    while (i > 0 && this.tempoMap[i].tick > tick) {
+      --i;
+    }
+
+    return this.tempoMap[i];
+  }
+
+  /**
+   * @param {number} tick
+   * @return {number} seconds from the start of the song.
+   */
+  tickToSeconds (tick) {
+    /** @type {?MidiFile} */
+    const midiFile = this.midiFile;
+
+    if (midiFile === null) {
+      return 0;
+    }
+    if (midiFile.ticksPerSecond !== null) {
+      return tick / midiFile.ticksPerSecond;
+    }
+
+    /** @type {TempoSegment} */
+    const segment = this.getTempoSegment_(tick);
+
+    return segment.time + (tick - segment.tick) * segment.tempo / 1000000 / midiFile.division;
+  }
+
+  /**
+   * @param {number} seconds from the start of the song.
+   * @return {number} tick
+   */
+  secondsToTick (seconds) {
+    /** @type {?MidiFile} */
+    const midiFile = this.midiFile;
+
+    if (midiFile === null) {
+      return 0;
+    }
+    if (midiFile.ticksPerSecond !== null) {
+      return seconds * midiFile.ticksPerSecond;
+    }
+
+    /** @type {number} */
+    let i = this.tempoMap.length - 1;
+
+    while (i > 0 && this.tempoMap[i].time > seconds) {
+      --i;
+    }
+
+    /** @type {TempoSegment} */
+    const segment = this.tempoMap[i];
+
+    return segment.tick + (seconds - segment.time) * 1000000 * midiFile.division / segment.tempo;
+  }
+
+  /**
+   * Playback position in seconds.
+   * @return {number}
+   */
+  get position () {
+    if (!this.playing) {
+      return this.pausedTime;
+    }
+
+    /** @type {number} */
+    const now = this.synth.ctx.currentTime;
+
+    // the scheduler wraps around the loop up to lookahead seconds before the loop end is heard
+    /** @type {number} */
+    const time = now < this.wrapTime ? now - this.previousStartTime : now - this.startTime;
+
+    return Math.max(0, Math.min(time, this.duration));
+  }
+
+  /**
+   * Playback position in ticks.
+   * @return {number}
+   */
+  get positionTick () {
+    return Math.round(this.secondsToTick(this.position));
+  }
+
+  /**
+   * Length of the song in seconds.
+   * @return {number}
+   */
+  get duration () {
+    return this.tickToSeconds(this.durationTick);
+  }
+
+  /**
+   * Tempo at the playback position in BPM.
+   * @return {number}
+   */
+  get tempo () {
+    return 60000000 / this.getTempoSegment_(this.positionTick).tempo;
+  }
+
+  /**
+   * Time signature at the playback position.
+   * @return {{numerator: number, denominator: number}}
+   */
+  get timeSignature () {
+    /** @type {number} */
+    const tick = this.positionTick;
+    /** @type {TimeSignature} */
+    const signature = this.timeSignatures.filter(item => item.tick <= tick).pop();
+
+    return {
+      numerator: signature.numerator,
+      denominator: signature.denominator
+    };
+  }
+
+  /**
+   * @return {void}
+   */
+  play () {
+    if (this.playing || this.midiFile === null) {
+      return;
+    }
+
+    if (this.pausedTime >= this.duration && this.loop === null) {
+      this.pausedTime = 0;
+      this.needsChase = true;
+    }
+
+    if (this.needsChase) {
+      this.chase_(this.secondsToTick(this.pausedTime));
+    }
+
+    this.playing = true;
+    this.startTime = this.synth.ctx.currentTime - this.pausedTime;
+    this.wrapTime = 0;
+    this.index = this.findEvent_(this.pausedTime);
+    this.schedule_();
+    this.timer = setInterval(() => this.schedule_(), this.interval);
+  }
+
+  /**
+   * Stop at the current position, play() resumes from it.
+   * @return {void}
+   */
+  pause () {
+    if (!this.playing) {
+      return;
+    }
+
+    this.pausedTime = this.position;
+    this.halt_();
+  }
+
+  /**
+   * Stop and rewind to the start of the song.
+   * @return {void}
+   */
+  stop () {
+    if (this.playing) {
+      this.halt_();
+    }
+
+    this.pausedTime = 0;
+    this.needsChase = true;
+  }
+
+  /**
+   * @param {number} tick
+   * @return {void}
+   */
+  seek (tick) {
+    this.seekSeconds(this.tickToSeconds(Math.max(0, tick)));
+  }
+
+  /**
+   * @param {number} seconds
+   * @return {void}
+   */
+  seekSeconds (seconds) {
+    /** @type {boolean} */
+    const playing = this.playing;
+
+    if (playing) {
+      this.halt_();
+    }
+
+    this.pausedTime = Math.max(0, Math.min(seconds, this.duration));
+    this.needsChase = true;
+
+    if (playing) {
+      this.play();
+    }
+  }
+
+  /**
+   * Repeat a region of the song, null to play through.
+   * @param {?number} start loop start tick.
+   * @param {number=} end loop end tick, the end of the song if omitted.
+   * @return {void}
+   */
+  setLoop (start, end = this.durationTick) {
+    this.loop = start === null || end <= start ? null : { start: Math.max(0, start), end: end };
+  }
+
+  /**
+   * Stop scheduling.
+   * @param {boolean=} silence cut the sounding notes and the notes scheduled ahead.
+   * @return {void}
+   * @private
+   */
+  halt_ (silence = true) {
+    /** @type {number} */
+    let channel;
+
+    clearInterval(this.timer);
+    this.timer = null;
+    this.playing = false;
+    this.activeNotes.clear();
+
+    if (!silence) {
+      return;
+    }
+
+    for (channel = 0; channel < 16; ++channel) {
+      this.synth.allSoundOff(channel);
+    }
+  }
+
+  /**
+   * @param {number} seconds
+   * @return {number} index of the first event at or after seconds.
+   * @private
+   */
+  findEvent_ (seconds) {
+    /** @type {number} */
+    let low = 0;
+    /** @type {number} */
+    let high = this.events.length;
+
+    while (low < high) {
+      /** @type {number} */
+      const middle = (low + high) >> 1;
+
+      if (this.events[middle].time < seconds) {
+        low = middle + 1;
+      } else {
+        high = middle;
+      }
+    }
+
+    return low;
+  }
+
+  /**
+   * Reset the synthesizer and apply the SysEx messages, programs and controllers before the tick.
+   * @param {number} tick
+   * @return {void}
+   * @private
+   */
+  chase_ (tick) {
+    /** @type {Synthesizer} */
+    const synth = this.synth;
+
+    synth.init();
+
+    this.events.forEach(item => {
+      /** @type {number} */
+      const type = item.event.status & 0xf0;
+
+      if (item.tick < tick && item.event.status !== 0xff && type !== 0x80 && type !== 0x90 && type !== 0xa0) {
+        this.send_(item.event, synth.ctx.currentTime);
+      }
+    });
+
+    this.needsChase = false;
+  }
+
+  /**
+   * Send the events up to lookahead seconds ahead to the synthesizer.
+   * @return {void}
+   * @private
+   */
+  schedule_ () {
+    /** @type {number} */
+    const now = this.synth.ctx.currentTime;
+    /** @type {number} */
+    const until = now + this.lookahead;
+    /** @type {?{start: number, end: number}} */
+    const loop = this.loop;
+
+    while (this.playing) {
+      /** @type {SequencerEvent} */
+      const item = this.events[this.index];
+
+      if (loop !== null && (item === undefined || item.tick >= loop.end)) {
+        /** @type {number} */
+        const loopEnd = this.startTime + this.tickToSeconds(loop.end);
+
+        if (loopEnd > until) {
+          return;
+        }
+
+        this.releaseNotes_(loopEnd);
+        this.chaseLoop_(loopEnd);
+        this.wrapTime = loopEnd;
+        this.previousStartTime = this.startTime;
+        this.startTime = loopEnd - this.tickToSeconds(loop.start);
+        this.index = this.findEvent_(this.tickToSeconds(loop.start));
+        continue;
+      }
+
+      if (item === undefined) {
+        if (now >= this.startTime + this.duration) {
+          // the last notes keep their release
+          this.halt_(false);
+          this.pausedTime = this.duration;
+          if (typeof this.onend === 'function') {
+            this.onend();
+          }
+        }
+
+        return;
+      }
+
+      if (this.startTime + item.time > until) {
+        return;
+      }
+
+      this.send_(item.event, Math.max(now, this.startTime + item.time));
+      ++this.index;
+    }
+  }
+
+  /**
+   * Restore the programs and controllers of the loop start when the loop wraps,
+   * the ones first set inside the loop get their reset value.
+   * @param {number} time AudioContext time of the loop end.
+   * @return {void}
+   * @private
+   */
+  chaseLoop_ (time) {
+    /** @type {{start: number, end: number}} */
+    const loop = this.loop;
+    /** @type {Set.<number>} state keys set before the loop start */
+    const chased = new Set();
+    /** @type {Set.<number>} state keys set inside the loop */
+    const changed = new Set();
+
+    this.events.forEach(item => {
+      /** @type {number} */
+      const status = item.event.status;
+      /** @type {number} */
+      const type = status & 0xf0;
+
+      // SysEx, meta events and channel mode messages are not replayed, they would cut the notes at once
+      if (item.tick >= loop.end || type < 0xb0 || status >= 0xf0 || (type === 0xb0 && item.event.data[1] >= 0x78)) {
+        return;
+      }
+
+      /** @type {number} */
+      const key = (status << 8) | (type === 0xb0 ? item.event.data[1] : 0);
+
+      if (item.tick < loop.start) {
+        chased.add(key);
+        this.send_(item.event, time);
+      } else {
+        changed.add(key);
+      }
+    });
+
+    changed.forEach(key => {
+      /** @type {?Uint8Array} */
+      const message = chased.has(key) ? null : resetMessage(key);
+
+      if (message !== null) {
+        this.synth.processMidiMessage(message, time);
+      }
+    });
+  }
+
+  /**
+   * Note off for the sounding notes at the loop end.
+   * @param {number} time
+   * @return {void}
+   * @private
+   */
+  releaseNotes_ (time) {
+    this.activeNotes.forEach(note => {
+      this.synth.noteOff(note >> 7, note & 0x7f, time);
+    });
+    this.activeNotes.clear();
+  }
+
+  /**
+   * @param {MidiEvent} event
+   * @param {number} time AudioContext time.
+   * @return {void}
+   * @private
+   */
+  send_ (event, time) {
+    /** @type {Uint8Array} */
+    const data = event.data;
+    /** @type {number} */
+    const note = ((event.status & 0x0f) << 7) | data[1];
+
+    // meta events are read when the song is loaded
+    if (event.status === 0xff) {
+      return;
+    }
+
+    if ((event.status & 0xf0) === 0x90 && data[2] > 0) {
+      this.activeNotes.add(note);
+    } else if ((event.status & 0xf0) === 0x80 || (event.status & 0xf0) === 0x90) {
+      this.activeNotes.delete(note);
+    }
+
+    this.synth.processMidiMessage(data, time);
+  }
+}
+
+export default Sequencer;
@@ -0,0 +1,600 @@
+import { Parser } from './parser.js';
+import { SampleType } from './zone.js';
+import { decodeWave, isWaveFile } from './wave.js';
+import { decodeFlac } from './flac.js';
+import { ParseErrorCode } from './parse_error.js';
+
+/**
+ * Sample files of an SFZ instrument by path.
+ * @typedef {(Object.<string, (ArrayBuffer|Uint8Array)>|Map.<string, (ArrayBuffer|Uint8Array)>)} SfzSampleFiles
+ */
+
+/**
+ * @typedef SfzRegion
+ * @prop {Object.<string, string>} opcodes region opcodes with the inherited global, master and group opcodes.
+ * @prop {Object.<string, string>} control opcodes of the <control> header.
+ * @prop {number} offset character offset of the <region> header in the preprocessed text.
+ */
+
+/**
+ * @typedef SfzSample
+ * @prop {number} sampleIndex index of the first channel in the sample headers.
+ * @prop {number} channels 1 or 2.
+ * @prop {number} length sample points.
+ * @prop {?number} unityNote
+ * @prop {{start: number, end: number}} loop loop of the sample file or the whole sample.
+ * @prop {boolean} hasLoop
+ */
+
+/**
+ * Semitones of the note names.
+ * @type {Object.<string, number>}
+ * @const
+ */
+const NOTE_NAMES = {
+  'c': 0,
+  'd': 2,
+  'e': 4,
+  'f': 5,
+  'g': 7,
+  'a': 9,
+  'b': 11
+};
+
+/**
+ * Nesting limit of #include.
+ * @type {number}
+ * @const
+ */
+const MAX_INCLUDE_DEPTH = 8;
+
+/**
+ * Header and opcode tokens, opcode values run up to the next token.
+ * @type {RegExp}
+ * @const
+ */
+const TOKEN_PATTERN = /<(\w+)>|([A-Za-z0-9_$]+)=/g;
+
+/**
+ * Sample modes by loop_mode.
+ * @type {Object.<string, number>}
+ * @const
+ */
+const LOOP_MODES = {
+  'no_loop': 0,
+  'one_shot': 0,
+  'loop_continuous': 1,
+  'loop_sustain': 3
+};
+
+/**
+ * @param {Uint8Array} input
+ * @return {string}
+ */
+function decodeText (input) {
+  return new TextDecoder().decode(input);
+}
+
+/**
+ * @param {Uint8Array} input
+ * @return {boolean} true if input looks like an SFZ text file.
+ */
+export function isSfzFile (input) {
+  return !(input.length >= 4 && String.fromCharCode(input[0], input[1], input[2], input[3]) === 'RIFF') &&
+    /<(region|group|global|master|control)>/.test(decodeText(input.subarray(0, 65536)));
+}
+
+/**
+ * @param {string} path
+ * @return {string} path with forward slashes and without leading './'.
+ */
+function normalizePath (path) {
+  return path.replace(/\\/g, '/').replace(/^(\.\/)+/, '').replace(/\/\.\//g, '/');
+}
+
+/**
+ * @param {number} seconds
+ * @return {number} time cents.
+ */
+function toTimecents (seconds) {
+  return seconds > 0 ? Math.max(-12000, Math.min(8000, 1200 * Math.log2(seconds))) : -12000;
+}
+
+/**
+ * Sustain level to attenuation.
+ * @param {number} percent
+ * @return {number} centibels.
+ */
+function toSustainAttenuation (percent) {
+  return percent > 0 ? Math.min(1440, -200 * Math.log10(Math.min(100, percent) / 100)) : 1440;
+}
+
+/**
+ * @param {number} hz
+ * @return {number} absolute cents.
+ */
+function toAbsoluteCents (hz) {
+  return 1200 * Math.log2(hz / 8.176);
+}
+
+/**
+ * SFZ Parser Class
+ * Reads an SFZ instrument and its WAV or FLAC sample files into the SoundFont
+ * model of Parser: one preset whose instrument has a zone per region.
+ */
+export class SfzParser extends Parser {
+  /**
+   * @param {Uint8Array} input SFZ text.
+   * @param {Object=} optParams Parser options and sampleFiles, bank, program and name.
+   */
+  constructor (input, optParams = {}) {
+    super(input, optParams);
+    /** @type {SfzSampleFiles} */
+    this.sampleFiles = optParams.sampleFiles || {};
+    /** @type {number} */
+    this.bank = optParams.bank || 0;
+    /** @type {number} */
+    this.program = optParams.program || 0;
+    /** @type {string} */
+    this.name = optParams.name || '';
+    /** @type {Map.<string, ?SfzSample>} decoded sample files by path */
+    this.loadedSamples = new Map();
+  }
+
+  parse () {
+    /** @type {Array.<Array.<Object>>} */
+    const zones = [];
+
+    this.warnings = [];
+    this.info = {
+      // the model is written as SoundFont 2.01
+      version: { major: 2, minor: 1 },
+      soundEngine: 'EMU8000',
+      name: this.name
+    };
+    this.sample = [];
+    this.originalSample = [];
+    this.sampleHeader = [];
+    this.loadedSamples.clear();
+
+    this.parseRegions(this.preprocess_(decodeText(this.input), 0)).forEach(region => {
+      zones.push(...this.createRegionZones_(region));
+    });
+
+    this.buildModel_([{
+      name: this.name,
+      bank: this.bank,
+      program: this.program,
+      zones: zones
+    }]);
+    this.input = null;
+  }
+
+  /**
+   * Remove comments, expand #include and #define.
+   * @param {string} text
+   * @param {number} depth include nesting.
+   * @param {Object.<string, string>=} defines
+   * @return {string}
+   * @private
+   */
+  preprocess_ (text, depth, defines = {}) {
+    /** @type {Array.<string>} */
+    const output = [];
+
+    text.replace(/\/\*[\s\S]*?\*\//g, ' ').split(/\r?\n/).forEach(line => {
+      /** @type {string} */
+      let content = line.replace(/\/\/.*$/, '');
+      /** @type {?Array.<string>} */
+      const define = content.match(/^\s*#define\s+(\$\w+)\s+(.*?)\s*$/);
+      /** @type {?Array.<string>} */
+      const include = content.match(/^\s*#include\s+"([^"]+)"/);
+
+      if (define !== null) {
+        defines[define[1]] = define[2];
+
+        return;
+      }
+
+      // longest names first so that $A does not replace the start of $AB
+      Object.keys(defines).sort((a, b) => b.length - a.length).forEach(name => {
+        content = content.split(name).join(defines[name]);
+      });
+
+      if (include !== null) {
+        /** @type {?Uint8Array} */
+        const file = this.findSampleFile_(include[1]);
+
+        if (file === null || depth >= MAX_INCLUDE_DEPTH) {
+          this.problem_(`cannot include ${include[1]}`, ParseErrorCode.SAMPLE_NOT_FOUND, '#include', 0);
+        } else {
+          output.push(this.preprocess_(decodeText(file), depth + 1, defines));
+        }
+
+        return;
+      }
+
+      output.push(content);
+    });
+
+    return output.join('\n');
+  }
+
+  /**
+   * @param {string} text preprocessed SFZ text.
+   * @return {Array.<SfzRegion>}
+   */
+  parseRegions (text) {
+    /** @type {Array.<SfzRegion>} */
+    const regions = [];
+    /** @type {Array.<RegExpExecArray>} */
+    const tokens = [];
+    /** @type {Object.<string, string>} */
+    let control = {};
+    /** @type {Object.<string, string>} */
+    let global = {};
+    /** @type {Object.<string, string>} */
+    let master = {};
+    /** @type {Object.<string, string>} */
+    let group = {};
+    /** @type {Object.<string, string>} opcodes of the current header */
+    let current = {};
+    /** @type {?RegExpExecArray} */
+    let match;
+
+    TOKEN_PATTERN.lastIndex = 0;
+    while ((match = TOKEN_PATTERN.exec(text)) !== null) {
+      tokens.push(match);
+    }
+
+    tokens.forEach((token, i) => {
+      if (token[1] === undefined) {
+        /** @type {number} */
+        const end = i + 1 < tokens.length ? tokens[i + 1].index : text.length;
+
+        current[token[2]] = text.slice(token.index + token[0].length, end).trim();
+
+        return;
+      }
+
+      switch (token[1]) {
+      case 'control':
+        control = {};
+        current = control;
+        break;
+      case 'global':
+        global = {};
+        master = {};
+        group = {};
+        current = global;
+        break;
+      case 'master':
+        master = {};
+        group = {};
+        current = master;
+        break;
+      case 'group':
+        group = {};
+        current = group;
+        break;
+      case 'region':
+        current = Object.assign({}, global, master, group);
+        regions.push({
+          opcodes: current,
+          control: control,
+          offset: token.index
+        });
+        break;
+      default:
+        // <curve>, <effect>, <midi>, ... are not supported
+        current = {};
+        break;
+      }
+    });
+
+    return regions;
+  }
+
+  /**
+   * @param {string} value number or note name (c4 is 60).
+   * @param {Object.<string, string>} control
+   * @return {number} NaN if invalid.
+   * @private
+   */
+  parseKey_ (value, control) {
+    /** @type {?Array.<string>} */
+    const note = value.match(/^([a-g])(#|b)?(-?\d+)$/i);
+    /** @type {number} */
+    const key = note !== null ?
+      (parseInt(note[3], 10) + 1) * 12 + NOTE_NAMES[note[1].toLowerCase()] + (note[2] === '#' ? 1 : note[2] ? -1 : 0) :
+      parseInt(value, 10);
+
+    return key + parseInt(control.note_offset || '0', 10) + 12 * parseInt(control.octave_offset || '0', 10);
+  }
+
+  /**
+   * @param {string} path
+   * @return {?Uint8Array}
+   * @private
+   */
+  findSampleFile_ (path) {
+    /** @type {SfzSampleFiles} */
+    const files = this.sampleFiles;
+    /** @type {Array.<string>} */
+    const names = files instanceof Map ? Array.from(files.keys()) : Object.keys(files);
+    /** @type {string} */
+    const target = normalizePath(path).toLowerCase();
+    /** @type {string} */
+    const basename = target.split('/').pop();
+    /** @type {string} */
+    const name =
+      names.find(key => normalizePath(key) === normalizePath(path)) ||
+      names.find(key => normalizePath(key).toLowerCase() === target) ||
+      names.find(key => normalizePath(key).toLowerCase().split('/').pop() === basename);
+
+    if (name === undefined) {
+      return null;
+    }
+
+    /** @type {(ArrayBuffer|Uint8Array)} */
+    const file = files instanceof Map ? files.get(name) : files[name];
+
+    return file instanceof Uint8Array ? file : new Uint8Array(file);
+  }
+
+  /**
+   * Decode a sample file once and add its channels to the samples.
+   * @param {SfzRegion} region
+   * @return {?SfzSample} null if the file is missing or cannot be decoded.
+   * @private
+   */
+  loadSample_ (region) {
+    /** @type {string} */
+    const path = normalizePath((region.control.default_path || '') + region.opcodes.sample);
+
+    if (this.loadedSamples.has(path)) {
+      return this.loadedSamples.get(path);
+    }
+
+    /** @type {?Uint8Array} */
+    const file = this.findSampleFile_(path);
+    /** @type {?SfzSample} */
+    let sample = null;
+
+    this.loadedSamples.set(path, null);
+
+    if (file === null) {
+      this.problem_(`sample ${path} not found`, ParseErrorCode.SAMPLE_NOT_FOUND, '<region>', region.offset);
+
+      return null;
+    }
+
+    try {
+      sample = this.addSample_(path, isWaveFile(file) ? decodeWave(file) : decodeFlac(file));
+    } catch (e) {
+      this.problem_(`cannot decode sample ${path}: ${e.message}`, ParseErrorCode.INVALID_SAMPLE_DATA, '<region>', region.offset);
+    }
+
+    this.loadedSamples.set(path, sample);
+
+    return sample;
+  }
+
+  /**
+   * @param {string} path
+   * @param {{sampleRate: number, bitsPerSample: number, data: Array.<Float32Array>, unityNote: ?number, loop: ?{start: number, end: number}}} audio
+   * @return {SfzSample}
+   * @private
+   */
+  addSample_ (path, audio) {
+    /** @type {Array.<Float32Array>} stereo at most */
+    const channels = audio.data.slice(0, 2);
+    /** @type {number} */
+    const sampleIndex = this.sampleHeader.length;
+    /** @type {number} */
+    const length = channels[0].length;
+    /** @type {{start: number, end: number}} */
+    const loop = audio.loop || { start: 0, end: length };
+
+    channels.forEach((data, channel) => {
+      // 16 bit scale, higher resolutions keep their fraction
+      /** @type {(Int16Array|Float32Array)} */
+      const original = audio.bitsPerSample > 16 ? new Float32Array(data.length) : new Int16Array(data.length);
+      /** @type {number} */
+      let sampleRate = audio.sampleRate;
+      /** @type {number} */
+      let multiply = 1;
+      /** @type {(Int16Array|Float32Array)} */
+      let sample = original;
+      /** @type {number} */
+      let i;
+
+      for (i = 0; i < data.length; ++i) {
+        original[i] = Math.max(-32768, Math.min(32767, data[i] * 32768));
+      }
+
+      this.originalSample.push(original);
+
+      if (sampleRate > 0) {
+        const adjust = this.adjustSampleData(original, sampleRate);
+
+        sample = adjust.sample;
+        multiply = adjust.multiply;
+        sampleRate *= multiply;
+      }
+
+      this.sample.push(sample);
+      this.sampleHeader.push({
+        sampleName: path.split('/').pop().replace(/\.[^.]*$/, ''),
+        start: 0,
+        end: length,
+        startLoop: loop.start * multiply,
+        endLoop: loop.end * multiply,
+        sampleRate: sampleRate,
+        originalSampleRate: audio.sampleRate,
+        originalPitch: audio.unityNote !== null && audio.unityNote !== undefined ? audio.unityNote : 60,
+        pitchCorrection: 0,
+        sampleLink: channels.length === 2 ? sampleIndex + 1 - channel : 0,
+        sampleType: channels.length === 2 ?
+          (channel === 0 ? SampleType.LEFT : SampleType.RIGHT) :
+          SampleType.MONO
+      });
+    });
+
+    return {
+      sampleIndex: sampleIndex,
+      channels: channels.length,
+      length: length,
+      unityNote: audio.unityNote !== undefined ? audio.unityNote : null,
+      loop: loop,
+      hasLoop: audio.loop !== null && audio.loop !== undefined
+    };
+  }
+
+  /**
+   * Instrument zones of a region, one per channel of its sample.
+   * @param {SfzRegion} region
+   * @return {Array.<Array.<Object>>}
+   * @private
+   */
+  createRegionZones_ (region) {
+    /** @type {Object.<string, string>} */
+    const opcodes = region.opcodes;
+
+    // release triggers, round robins and random layers other than the first are not supported
+    if (
+      opcodes.sample === undefined || opcodes.sample.charAt(0) === '*' ||
+      (opcodes.trigger !== undefined && opcodes.trigger !== 'attack') ||
+      parseFloat(opcodes.lorand || '0') > 0 ||
+      parseInt(opcodes.seq_position || '1', 10) > 1 ||
+      (opcodes.end !== undefined && parseInt(opcodes.end, 10) <= 0)
+    ) {
+      return [];
+    }
+
+    /** @type {?SfzSample} */
+    const sample = this.loadSample_(region);
+
+    if (sample === null) {
+      return [];
+    }
+
+    /** @type {Array.<Object>} */
+    const generators = this.createRegionGenerators_(region, sample);
+    /** @type {Array.<Array.<Object>>} */
+    const zones = [];
+    /** @type {number} */
+    let channel;
+
+    for (channel = 0; channel < sample.channels; ++channel) {
+      zones.push(generators.concat([{ type: 'sampleID', value: { amount: sample.sampleIndex + channel } }]));
+    }
+
+    return zones;
+  }
+
+  /**
+   * @param {SfzRegion} region
+   * @param {SfzSample} sample
+   * @return {Array.<Object>} generators without sampleID.
+   * @private
+   */
+  createRegionGenerators_ (region, sample) {
+    /** @type {Object.<string, string>} */
+    const opcodes = region.opcodes;
+    /** @type {string} */
+    const key = opcodes.key;
+    /** @type {Object.<string, number>} */
+    const values = {};
+    /** @type {string} */
+    const keyCenter = opcodes.pitch_keycenter !== undefined ? opcodes.pitch_keycenter : key || '60';
+    /** @type {string} */
+    const loopMode = opcodes.loop_mode || opcodes.loopmode || (sample.hasLoop ? 'loop_continuous' : 'no_loop');
+    /** @type {Array.<Object>} */
+    const generators = [
+      {
+        type: 'keyRange',
+        value: {
+          lo: Math.max(0, Math.min(127, this.parseKey_(opcodes.lokey || key || '0', region.control))),
+          hi: Math.max(0, Math.min(127, this.parseKey_(opcodes.hikey || key || '127', region.control)))
+        }
+      },
+      {
+        type: 'velRange',
+        value: {
+          lo: Math.max(0, Math.min(127, parseInt(opcodes.lovel || '0', 10))),
+          hi: Math.max(0, Math.min(127, parseInt(opcodes.hivel || '127', 10)))
+        }
+      }
+    ];
+
+    values.overridingRootKey = keyCenter === 'sample' ?
+      (sample.unityNote !== null ? sample.unityNote : 60) :
+      this.parseKey_(keyCenter, region.control);
+
+    [
+      ['transpose', 'coarseTune', v => v],
+      ['tune', 'fineTune', v => v],
+      ['pitch_keytrack', 'scaleTuning', v => v],
+      ['volume', 'initialAttenuation', v => -10 * v],
+      ['pan', 'pan', v => Math.max(-500, Math.min(500, 5 * v))],
+      ['ampeg_delay', 'delayVolEnv', toTimecents],
+      ['ampeg_attack', 'attackVolEnv', toTimecents],
+      ['ampeg_hold', 'holdVolEnv', toTimecents],
+      ['ampeg_decay', 'decayVolEnv', toTimecents],
+      ['ampeg_sustain', 'sustainVolEnv', toSustainAttenuation],
+      ['ampeg_release', 'releaseVolEnv', toTimecents],
+      ['fileg_delay', 'delayModEnv', toTimecents],
+      ['fileg_attack', 'attackModEnv', toTimecents],
+      ['fileg_hold', 'holdModEnv', toTimecents],
+      ['fileg_decay', 'decayModEnv', toTimecents],
+      ['fileg_sustain', 'sustainModEnv', toSustainAttenuation],
+      ['fileg_release', 'releaseModEnv', toTimecents],
+      ['fileg_depth', 'modEnvToFilterFc', v => v],
+      ['resonance', 'initialFilterQ', v => 10 * v]
+    ].forEach(([opcode, type, convert]) => {
+      if (opcodes[opcode] !== undefined && !isNaN(parseFloat(opcodes[opcode]))) {
+        values[type] = convert(parseFloat(opcodes[opcode]));
+      }
+    });
+
+    // only the low pass filter of the SoundFont model
+    if (opcodes.cutoff !== undefined && /^lpf_/.test(opcodes.fil_type || 'lpf_2p')) {
+      values.initialFilterFc = Math.max(1500, Math.min(13500, toAbsoluteCents(parseFloat(opcodes.cutoff))));
+    }
+
+    values.sampleModes = LOOP_MODES[loopMode] || 0;
+
+    // hi-hat style choke groups: regions cutting each other share an exclusive class
+    if (opcodes.off_by !== undefined && parseInt(opcodes.group || '0', 10) !== 0) {
+      values.exclusiveClass = Math.min(parseInt(opcodes.group, 10), parseInt(opcodes.off_by, 10));
+    }
+
+    Object.keys(values).forEach(type => {
+      if (!isNaN(values[type])) {
+        generators.push({ type: type, value: { amount: Math.max(-32768, Math.min(32767, Math.round(values[type]))) } });
+      }
+    });
+
+    this.pushAddressOffset_(generators, 'startAddrsOffset', 'startAddrsCoarseOffset', parseInt(opcodes.offset || '0', 10));
+    if (opcodes.end !== undefined) {
+      this.pushAddressOffset_(generators, 'endAddrsOffset', 'endAddrsCoarseOffset', parseInt(opcodes.end, 10) + 1 - sample.length);
+    }
+    if (opcodes.loop_start !== undefined || opcodes.loopstart !== undefined) {
+      this.pushAddressOffset_(
+        generators, 'startloopAddrsOffset', 'startloopAddrsCoarseOffset',
+        parseInt(opcodes.loop_start || opcodes.loopstart, 10) - sample.loop.start
+      );
+    }
+    if (opcodes.loop_end !== undefined || opcodes.loopend !== undefined) {
+      this.pushAddressOffset_(
+        generators, 'endloopAddrsOffset', 'endloopAddrsCoarseOffset',
+        parseInt(opcodes.loop_end || opcodes.loopend, 10) + 1 - sample.loop.end
+      );
+    }
+
+    return generators;
+  }
+}
+
+export default SfzParser;
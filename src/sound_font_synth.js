@@ -1,7 +1,18 @@
 /* eslint-disable no-bitwise */
 import Parser from './parser.js';
+import { DlsParser, isDlsFile } from './dls_parser.js';
+import { SfzParser, isSfzFile } from './sfz_parser.js';
 import Reverb from './reverb.js';
+import { Chorus, ChorusType } from './chorus.js';
 import SynthesizerNote from './sound_font_synth_note.js';
+import { mergeModulators } from './modulator.js';
+import { createLayer, linkStereoLayers, splitZones } from './zone.js';
+
+/** @typedef {import('./modulator.js').Modulator} Modulator */
+/** @typedef {import('./modulator.js').ModulatorState} ModulatorState */
+/** @typedef {import('./resampler.js').ResamplerType} ResamplerType */
+/** @typedef {import('./zone.js').Layer} Layer */
+/** @typedef {import('./zone.js').ZoneList} ZoneList */
 
 /**
  * Synthesizer Class
@@ -10,8 +21,9 @@ import SynthesizerNote from './sound_font_synth_note.js';
 export class Synthesizer {
   /**
    * @param {Uint8Array} input
+   * @param {Object=} optParams
    */
-  constructor (input) {
+  constructor (input, optParams = {}) {
     /** @type {number} */
     let i;
     /** @type {number} */
@@ -21,6 +33,12 @@ export class Synthesizer {
     this.input = input;
     /** @type {Parser} */
     this.parser = null;
+    /** @type {ResamplerType} */
+    this.resampler = optParams.resampler || 'none';
+    /** @type {boolean} */
+    this.lenient = optParams.lenient || false;
+    /** @type {?Object} sample files of an SFZ input by path */
+    this.sampleFiles = optParams.sampleFiles || null;
     /** @type {number} */
     this.bank = 0;
 
@@ -79,6 +97,33 @@ export class Synthesizer {
     this.channelHarmonicContent = [64, 64, 64, 64, 64, 64, 64, 64, 64, 64, 64, 64, 64, 64, 64, 64];
     /** @type {Array.<number>} */
     this.channelCutOffFrequency = [64, 64, 64, 64, 64, 64, 64, 64, 64, 64, 64, 64, 64, 64, 64, 64];
+    /** @type {Array.<number>} */
+    this.channelAftertouch = [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0];
+    /** @type {Array.<Uint8Array>} モジュレータの入力となるコントロールチェンジの値 */
+    this.channelControl = [];
+    /** @type {Array.<boolean>} data entry changes an NRPN (true) or an RPN (false) */
+    this.channelNrpn = new Array(16).fill(false);
+    /** @type {Array.<number>} RPN fine tuning (cents) */
+    this.channelFineTuning = new Array(16).fill(0);
+    /** @type {Array.<number>} RPN coarse tuning (semitones) */
+    this.channelCoarseTuning = new Array(16).fill(0);
+    /** @type {Array.<number>} RPN modulation depth range (cents) */
+    this.channelModulationDepthRange = new Array(16).fill(50);
+    /** @type {Array.<number>} vibrato rate, depth and delay (64 is the sound font value) */
+    this.channelVibratoRate = new Array(16).fill(64);
+    /** @type {Array.<number>} */
+    this.channelVibratoDepth = new Array(16).fill(64);
+    /** @type {Array.<number>} */
+    this.channelVibratoDelay = new Array(16).fill(64);
+
+    /** @type {number} running status of processMidiMessage */
+    this.runningStatus = 0;
+    /** @type {Array.<number>} data bytes of the incomplete channel message */
+    this.midiData = [];
+    /** @type {?Array.<number>} incomplete SysEx message */
+    this.sysExBuffer = null;
+    /** @type {?function(Uint8Array, number): void} SysEx handler, called with the message (F0 to F7) and its time */
+    this.onsysex = optParams.onsysex || null;
 
     /** @type {boolean} */
     this.isGS = false;
@@ -125,10 +170,16 @@ export class Synthesizer {
       [],
       []
     ];
+    /** @type {Map.<string, AudioBuffer>} normalized AudioBuffer by sample id (left:right for stereo pairs) */
+    this.sampleCache = new Map();
     /** @type {number} @const */
-    this.baseVolume = 1 / 0xffff;
+    this.baseVolume = 0.5;
     /** @type {number} */
     this.masterVolume = 16384;
+    /** @type {number} cents */
+    this.masterFineTuning = 0;
+    /** @type {number} semitones */
+    this.masterCoarseTuning = 0;
 
     /** @type {Array.<boolean>} */
     this.percussionPart = [
@@ -155,17 +206,36 @@ export class Synthesizer {
     for (i = 0, il = this.percussionVolume.length; i < il; ++i) {
       this.percussionVolume[i] = 127;
     }
+    /** @type {Array.<number>} drum instrument pitch by key (64 is the sound font pitch) */
+    this.percussionPitch = new Array(128).fill(64);
+    /** @type {Array.<?number>} drum instrument panpot by key (0 random), null for the sound font pan */
+    this.percussionPanpot = new Array(128).fill(null);
+    /** @type {Array.<number>} drum instrument reverb send level by key */
+    this.percussionReverb = new Array(128).fill(127);
+    /** @type {Array.<number>} drum instrument chorus send level by key */
+    this.percussionChorus = new Array(128).fill(127);
 
     this.programSet = [];
 
-    /** @type {Array.<Reverb>}リバーブエフェクト（チャンネル毎に用意する） */
-    this.reverb = [];
-
     /** @type {Array.<BiquadFilterNode>} フィルタ（ビブラートなど） */
     this.filter = [];
 
+    /** @type {GainNode} reverb send bus shared by all channels */
+    this.reverbSend = this.ctx.createGain();
+    /** @type {Reverb} wet only, the voices send to it */
+    this.reverb = new Reverb(this.ctx, { mix: 1 });
+    this.reverb.connect(this.reverbSend).connect(this.gainMaster);
+
+    /** @type {Chorus} chorus send effect shared by all channels */
+    this.chorus = new Chorus(this.ctx);
+    this.chorus.connect(this.gainMaster);
+
     for (i = 0; i < 16; ++i) {
-      this.reverb[i] = new Reverb(this.ctx, { mix: 0.315 });
+      this.channelControl[i] = new Uint8Array(128);
+      this.channelControl[i][7] = this.channelVolume[i];
+      this.channelControl[i][10] = this.channelPanpot[i];
+      this.channelControl[i][11] = this.channelExpression[i];
+      this.channelControl[i].fill(127, 98, 102);
       // フィルタを定義
       this.filter[i] = this.ctx.createBiquadFilter();
     }
@@ -199,7 +269,7 @@ export class Synthesizer {
   }
 
   /**
-   * System Reset
+   * System Reset, the sound font is parsed on the first call.
    * @param {string} mode
    * @returns {void}
    */
@@ -209,13 +279,15 @@ export class Synthesizer {
     /** @type {number} */
     let i;
 
-    this.parser = new Parser(this.input, {
-      sampleRate: this.ctx.sampleRate
-    });
-    this.bankSet = this.createAllInstruments();
+    if (this.parser === null) {
+      this.parser = this.createParser(this.input);
+      this.bankSet = this.createAllInstruments();
+    }
 
     this.isXG = false;
     this.isGS = false;
+    this.masterFineTuning = 0;
+    this.masterCoarseTuning = 0;
 
     if (mode === 'XG') {
       this.isXG = true;
@@ -223,14 +295,23 @@ export class Synthesizer {
       this.isGS = true;
     }
 
+    this.chorus.type(this.isXG ? ChorusType.CHORUS1 : ChorusType.CHORUS3);
+
     for (i = 0; i < 16; ++i) {
+      this.allSoundOff(i);
+      this.channelControl[i].fill(0);
+      // RPN and NRPN null
+      this.channelControl[i].fill(127, 98, 102);
       this.programChange(i, 0x00);
       this.volumeChange(i, 0x64);
       this.panpotChange(i, 0x40);
       this.pitchBend(i, 0x00, 0x40); // 8192
       this.pitchBendSensitivity(i, 2);
-      this.channelHold[i] = false;
-      this.channelExpression[i] = 127;
+      this.hold(i, 0);
+      this.expression(i, 127);
+      this.modulation(i, 0);
+      this.aftertouch(i, 0);
+      this.percussionPart[i] = false;
       this.channelBank[i] = i === 9 ? 127 : 0;
       this.attackTime(i, 64);
       this.decayTime(i, 64);
@@ -239,6 +320,13 @@ export class Synthesizer {
       this.harmonicContent(i, 64);
       this.cutOffFrequency(i, 64);
       this.reverbDepth(i, 40);
+      this.chorusDepth(i, 0);
+      this.channelFineTuning[i] = 0;
+      this.channelCoarseTuning[i] = 0;
+      this.channelModulationDepthRange[i] = 50;
+      this.vibratoRate(i, 64);
+      this.vibratoDepth(i, 64);
+      this.vibratoDelay(i, 64);
     }
 
     this.setPercussionPart(9, true);
@@ -246,6 +334,10 @@ export class Synthesizer {
     for (i = 0; i < 128; ++i) {
       this.percussionVolume[i] = 127;
     }
+    this.percussionPitch.fill(64);
+    this.percussionPanpot.fill(null);
+    this.percussionReverb.fill(127);
+    this.percussionChorus.fill(127);
 
     this.gainMaster.connect(this.ctx.destination);
   }
@@ -256,14 +348,100 @@ export class Synthesizer {
 
   /**
    * @param {Uint8Array} input
+   * @param {?Object=} sampleFiles sample files of an SFZ input by path.
    * @returns {void}
    */
-  refreshInstruments (input) {
+  refreshInstruments (input, sampleFiles = null) {
     this.input = input;
-    this.parser = new Parser(input);
+    this.sampleFiles = sampleFiles;
+    this.parser = this.createParser(input);
+    this.clearSampleCache();
     this.bankSet = this.createAllInstruments();
   }
 
+  /**
+   * SoundFont, DLS or SFZ parser, picked from the RIFF form type or the SFZ headers.
+   * @param {Uint8Array} input
+   * @return {Parser}
+   */
+  createParser (input) {
+    /** @type {Object} */
+    const options = {
+      sampleRate: this.ctx.sampleRate,
+      resampler: this.resampler,
+      lenient: this.lenient
+    };
+
+    if (isDlsFile(input)) {
+      return new DlsParser(input, options);
+    }
+    if (isSfzFile(input)) {
+      return new SfzParser(input, Object.assign(options, { sampleFiles: this.sampleFiles || {} }));
+    }
+
+    return new Parser(input, options);
+  }
+
+  /**
+   * AudioBuffer of a sample, created on first use and shared by all voices.
+   * @param {number} sampleId
+   * @param {?number=} rightSampleId linked right sample of a stereo pair.
+   * @return {AudioBuffer}
+   */
+  getAudioBuffer (sampleId, rightSampleId = null) {
+    /** @type {string} */
+    const cacheKey = rightSampleId === null ? String(sampleId) : sampleId + ':' + rightSampleId;
+    /** @type {AudioBuffer} */
+    let buffer = this.sampleCache.get(cacheKey);
+
+    if (buffer !== undefined) {
+      return buffer;
+    }
+
+    /** @type {Array.<(Int16Array|Float32Array)>} */
+    const samples = rightSampleId === null ?
+      [this.parser.sample[sampleId]] :
+      [this.parser.sample[sampleId], this.parser.sample[rightSampleId]];
+    /** @type {number} */
+    let i;
+    /** @type {number} */
+    let il;
+    /** @type {number} */
+    let j;
+    /** @type {number} */
+    let jl;
+
+    buffer = this.ctx.createBuffer(
+      samples.length,
+      Math.max(1, samples[0].length),
+      this.parser.sampleHeader[sampleId].sampleRate
+    );
+
+    for (i = 0, il = samples.length; i < il; ++i) {
+      /** @type {Float32Array} */
+      const channelData = buffer.getChannelData(i);
+      /** @type {(Int16Array|Float32Array)} */
+      const sample = samples[i];
+
+      // 16 bit scale to -1..1
+      for (j = 0, jl = Math.min(sample.length, channelData.length); j < jl; ++j) {
+        channelData[j] = sample[j] / 32768;
+      }
+    }
+
+    this.sampleCache.set(cacheKey, buffer);
+
+    return buffer;
+  }
+
+  /**
+   * Release the cached AudioBuffers, they are created again on the next note on.
+   * @returns {void}
+   */
+  clearSampleCache () {
+    this.sampleCache.clear();
+  }
+
   /** @return {Array.<Array.<Object>>} */
   createAllInstruments () {
     const { parser } = this;
@@ -284,6 +462,14 @@ export class Synthesizer {
     let preset;
     /** @type {Object} */
     let instrument;
+    /** @type {ZoneList} */
+    let presetZones;
+    /** @type {ZoneList} */
+    let instrumentZones;
+    /** @type {Array.<Layer>} */
+    let layers;
+    /** @type {Layer} */
+    let layer;
     /** @type {number} */
     let presetNumber;
     /** @type {number} */
@@ -294,6 +480,10 @@ export class Synthesizer {
     let j;
     /** @type {number} */
     let jl;
+    /** @type {number} */
+    let k;
+    /** @type {number} */
+    let kl;
     /** @type {string} */
     let presetName;
 
@@ -304,13 +494,9 @@ export class Synthesizer {
       presetNumber = preset.header.preset;
       bankNumber = preset.header.bank;
       presetName = preset.name.replace(/\0*$/, '');
+      presetZones = splitZones(preset.info, 'instrument');
 
-      if (typeof preset.instrument !== 'number') {
-        continue;
-      }
-
-      instrument = instruments[preset.instrument];
-      if (instrument.name.replace(/\0*$/, '') === 'EOI') {
+      if (presetName === 'EOP' || presetZones.zones.length === 0) {
         continue;
       }
 
@@ -324,8 +510,26 @@ export class Synthesizer {
       bank[presetNumber] = {};
       bank[presetNumber].name = presetName;
 
-      for (j = 0, jl = instrument.info.length; j < jl; ++j) {
-        this.createNoteInfo(parser, instrument.info[j], bank[presetNumber]);
+      // every instrument zone of every preset zone is a layer
+      for (j = 0, jl = presetZones.zones.length; j < jl; ++j) {
+        instrument = instruments[presetZones.zones[j].generator.instrument.amount];
+        if (instrument === undefined || instrument.name.replace(/\0*$/, '') === 'EOI') {
+          continue;
+        }
+
+        instrumentZones = splitZones(instrument.info, 'sampleID');
+        layers = [];
+
+        for (k = 0, kl = instrumentZones.zones.length; k < kl; ++k) {
+          layer = createLayer(presetZones, presetZones.zones[j], instrumentZones, instrumentZones.zones[k]);
+          if (layer !== null) {
+            layers.push(layer);
+          }
+        }
+
+        linkStereoLayers(layers, parser.sampleHeader).forEach(
+          stereoLayer => this.createNoteInfo(parser, stereoLayer, bank[presetNumber], stereoLayer.presetModulators)
+        );
       }
       if (!programSet[bankNumber]) {
         programSet[bankNumber] = {};
@@ -340,11 +544,12 @@ export class Synthesizer {
 
   /**
    * @param {Parser} parser
-   * @param {*} info
-   * @param {*} preset
+   * @param {Layer} info
+   * @param {Array.<Array.<Object>>} preset note information of every zone by key.
+   * @param {Array.<Modulator>} presetModulators
    * @returns {void}
    */
-  createNoteInfo (parser, info, preset) {
+  createNoteInfo (parser, info, preset, presetModulators) {
     const generator = info.generator;
 
     if (generator.keyRange === undefined || generator.sampleID === undefined) {
@@ -360,7 +565,7 @@ export class Synthesizer {
     /** @type {number} */
     const volDecay = this.getModGenAmount(generator, 'decayVolEnv', -12000);
     /** @type {number} */
-    const volSustain = this.getModGenAmount(generator, 'sustainVolEnv');
+    const volSustain = this.getModGenAmount(generator, 'sustainVolEnv', 0);
     /** @type {number} */
     const volRelease = this.getModGenAmount(generator, 'releaseVolEnv', -12000);
     /** @type {number} */
@@ -372,31 +577,46 @@ export class Synthesizer {
     /** @type {number} */
     const modDecay = this.getModGenAmount(generator, 'decayModEnv', -12000);
     /** @type {number} */
-    const modSustain = this.getModGenAmount(generator, 'sustainModEnv');
+    const modSustain = this.getModGenAmount(generator, 'sustainModEnv', 0);
     /** @type {number} */
     const modRelease = this.getModGenAmount(generator, 'releaseModEnv', -12000);
     /** @type {number} */
     const scale = this.getModGenAmount(generator, 'scaleTuning', 100) / 100;
     /** @type {number} */
-    const freqVibLFO = this.getModGenAmount(generator, 'freqVibLFO');
+    const modLfoDelay = this.getModGenAmount(generator, 'delayModLFO', -12000);
+    /** @type {number} */
+    const vibLfoDelay = this.getModGenAmount(generator, 'delayVibLFO', -12000);
+    /** @type {Object} */
+    const rightGenerator = info.linkedLayer ? info.linkedLayer.generator : null;
     /** @type {number} */
-    const pan = this.getModGenAmount(generator, 'pan');
+    const pan = rightGenerator ?
+      (this.getModGenAmount(generator, 'pan') + this.getModGenAmount(rightGenerator, 'pan')) / 2 :
+      this.getModGenAmount(generator, 'pan');
     /** @type {number} */
     const tune = this.getModGenAmount(generator, 'coarseTune') + this.getModGenAmount(generator, 'fineTune') / 100;
+    /** @type {Array.<Modulator>} */
+    const modulators = mergeModulators(info.modulatorSequence, presetModulators || []);
 
     for (let i = generator.keyRange.lo, il = generator.keyRange.hi; i <= il; ++i) {
-      if (preset[i]) {
-        continue;
-      }
       /** @type {number} */
       const sampleId = this.getModGenAmount(generator, 'sampleID');
       /** @type {object} */
       const sampleHeader = parser.sampleHeader[sampleId];
+      /** @type {number} address offsets are in points of the sample before resampling */
+      const addressScale = sampleHeader.originalSampleRate > 0 ?
+        sampleHeader.sampleRate / sampleHeader.originalSampleRate :
+        1;
 
-      preset[i] = {
-        'sample': parser.sample[sampleId],
+      if (preset[i] === undefined) {
+        preset[i] = [];
+      }
+
+      preset[i].push({
+        'velRange': generator.velRange,
+        'sampleID': sampleId,
+        'rightSampleID': rightGenerator ? this.getModGenAmount(rightGenerator, 'sampleID') : null,
         'sampleRate': sampleHeader.sampleRate,
-        'sampleModes': this.getModGenAmount(generator, 'sampleModes'),
+        'sampleModes': this.getModGenAmount(generator, 'sampleModes', 0),
         'basePlaybackRate':
           1.0594630943592953 ** // Math.pow(2, 1 / 12)
           ((
@@ -407,21 +627,27 @@ export class Synthesizer {
           ),
         'modEnvToPitch': this.getModGenAmount(generator, 'modEnvToPitch') / 100,
         'scaleTuning': scale,
-        'start': this.getModGenAmount(generator, 'startAddrsCoarseOffset') * 32768 +
-          this.getModGenAmount(generator, 'startAddrsOffset'),
-        'end': this.getModGenAmount(generator, 'endAddrsCoarseOffset') * 32768 +
-          this.getModGenAmount(generator, 'endAddrsOffset'),
+        'start': (
+          this.getModGenAmount(generator, 'startAddrsCoarseOffset') * 32768 +
+          this.getModGenAmount(generator, 'startAddrsOffset')
+        ) * addressScale,
+        'end': (
+          this.getModGenAmount(generator, 'endAddrsCoarseOffset') * 32768 +
+          this.getModGenAmount(generator, 'endAddrsOffset')
+        ) * addressScale,
         'loopStart': (
           // (sampleHeader.startLoop - sampleHeader.start) +
-          (sampleHeader.startLoop) +
-          this.getModGenAmount(generator, 'startloopAddrsCoarseOffset') * 32768 +
-          this.getModGenAmount(generator, 'startloopAddrsOffset')
+          (sampleHeader.startLoop) + (
+            this.getModGenAmount(generator, 'startloopAddrsCoarseOffset') * 32768 +
+            this.getModGenAmount(generator, 'startloopAddrsOffset')
+          ) * addressScale
         ),
         'loopEnd': (
           // (sampleHeader.endLoop - sampleHeader.start) +
-          (sampleHeader.endLoop) +
-          this.getModGenAmount(generator, 'endloopAddrsCoarseOffset') * 32768 +
-          this.getModGenAmount(generator, 'endloopAddrsOffset')
+          (sampleHeader.endLoop) + (
+            this.getModGenAmount(generator, 'endloopAddrsCoarseOffset') * 32768 +
+            this.getModGenAmount(generator, 'endloopAddrsOffset')
+          ) * addressScale
         ),
         'volDelay': 2 ** (volDelay / 1200),
         'volAttack': 2 ** (volAttack / 1200),
@@ -429,7 +655,7 @@ export class Synthesizer {
           2 ** ((60 - i) * this.getModGenAmount(generator, 'keynumToVolEnvHold') / 1200),
         'volDecay': 2 ** (volDecay / 1200) *
           2 ** ((60 - i) * this.getModGenAmount(generator, 'keynumToVolEnvDecay') / 1200),
-        'volSustain': volSustain / 1000,
+        'volSustain': volSustain,
         'volRelease': 2 ** (volRelease / 1200),
         'modDelay': 2 ** (modDelay / 1200),
         'modAttack': 2 ** (modAttack / 1200),
@@ -442,11 +668,20 @@ export class Synthesizer {
         'initialFilterFc': this.getModGenAmount(generator, 'initialFilterFc', 13500),
         'modEnvToFilterFc': this.getModGenAmount(generator, 'modEnvToFilterFc'),
         'initialFilterQ': this.getModGenAmount(generator, 'initialFilterQ'),
-        'reverbEffectSend': this.getModGenAmount(generator, 'reverbEffectSend'),
+        'reverbEffectsSend': this.getModGenAmount(generator, 'reverbEffectsSend', 0),
+        'chorusEffectsSend': this.getModGenAmount(generator, 'chorusEffectsSend', 0),
         'initialAttenuation': this.getModGenAmount(generator, 'initialAttenuation'),
-        'freqVibLFO': freqVibLFO ? (2 ** (freqVibLFO / 1200)) * 8.176 : undefined,
-        'pan': pan ? pan / 1200 : undefined
-      };
+        'modLfoDelay': 2 ** (modLfoDelay / 1200),
+        'freqModLFO': this.getModGenAmount(generator, 'freqModLFO', 0),
+        'vibLfoDelay': 2 ** (vibLfoDelay / 1200),
+        'freqVibLFO': this.getModGenAmount(generator, 'freqVibLFO', 0),
+        'modLfoToPitch': this.getModGenAmount(generator, 'modLfoToPitch', 0),
+        'vibLfoToPitch': this.getModGenAmount(generator, 'vibLfoToPitch', 0),
+        'modLfoToFilterFc': this.getModGenAmount(generator, 'modLfoToFilterFc', 0),
+        'modLfoToVolume': this.getModGenAmount(generator, 'modLfoToVolume', 0),
+        'pan': pan,
+        'modulators': modulators
+      });
     }
   }
 
@@ -475,6 +710,36 @@ export class Synthesizer {
     this.gainMaster.gain.value = this.baseVolume * (volume / 16384);
   }
 
+  /**
+   * @param {number} value 14 bit, 8192 is A440 (-100 to +100 cents).
+   * @returns {void}
+   */
+  setMasterFineTuning (value) {
+    /** @type {number} */
+    let i;
+
+    this.masterFineTuning = (value - 8192) / 8192 * 100;
+
+    for (i = 0; i < 16; ++i) {
+      this.updateModulation(i);
+    }
+  }
+
+  /**
+   * @param {number} value 64 is A440 (-64 to +63 semitones).
+   * @returns {void}
+   */
+  setMasterCoarseTuning (value) {
+    /** @type {number} */
+    let i;
+
+    this.masterCoarseTuning = value - 64;
+
+    for (i = 0; i < 16; ++i) {
+      this.updateModulation(i);
+    }
+  }
+
   connect () {
     this.bufSrc.connect(this.gainMaster);
   }
@@ -484,13 +749,583 @@ export class Synthesizer {
     this.bufSrc.buffer = null;
   }
 
+  /**
+   * Process raw MIDI bytes: one or more channel messages (running status is
+   * kept between calls), SysEx messages and interleaved real-time messages.
+   * @param {(Uint8Array|Array.<number>)} message
+   * @param {number=} time AudioContext time of note on/off and sustain releases, now if omitted.
+   * @returns {void}
+   */
+  processMidiMessage (message, time = this.ctx.currentTime) {
+    /** @type {number} */
+    let i;
+
+    for (i = 0; i < message.length; ++i) {
+      /** @type {number} */
+      const byte = message[i] & 0xff;
+
+      if (byte >= 0xf8) {
+        // real-time messages may appear anywhere, even inside SysEx
+        continue;
+      }
+
+      if (this.sysExBuffer !== null) {
+        if (byte < 0x80 || byte === 0xf7) {
+          this.sysExBuffer.push(byte);
+          if (byte === 0xf7) {
+            this.systemExclusive(new Uint8Array(this.sysExBuffer), time);
+            this.sysExBuffer = null;
+          }
+          continue;
+        }
+
+        // unterminated SysEx
+        this.sysExBuffer = null;
+      }
+
+      if (byte === 0xf0) {
+        this.sysExBuffer = [byte];
+        this.runningStatus = 0;
+      } else if (byte >= 0xf0) {
+        // system common messages cancel the running status, their data bytes are ignored
+        this.runningStatus = 0;
+      } else if (byte >= 0x80) {
+        this.runningStatus = byte;
+        this.midiData = [];
+      } else if (this.runningStatus !== 0) {
+        this.midiData.push(byte);
+
+        // program change and channel pressure have a single data byte
+        if (this.midiData.length === ((this.runningStatus & 0xe0) === 0xc0 ? 1 : 2)) {
+          this.channelMessage(this.runningStatus, this.midiData[0], this.midiData[1] || 0, time);
+          this.midiData = [];
+        }
+      }
+    }
+  }
+
+  /**
+   * @param {number} status
+   * @param {number} data1
+   * @param {number} data2
+   * @param {number=} time AudioContext time of note on/off and sustain releases, now if omitted.
+   * @returns {void}
+   */
+  channelMessage (status, data1, data2, time = this.ctx.currentTime) {
+    /** @type {number} */
+    const channel = status & 0x0f;
+
+    switch (status & 0xf0) {
+    case 0x80:
+      this.noteOff(channel, data1, time);
+      break;
+    case 0x90:
+      // velocity 0 is a note off
+      if (data2 > 0) {
+        this.noteOn(channel, data1, data2, time);
+      } else {
+        this.noteOff(channel, data1, time);
+      }
+      break;
+    case 0xb0:
+      this.controlChange(channel, data1, data2, time);
+      break;
+    case 0xc0:
+      this.programChange(channel, data1);
+      break;
+    case 0xd0:
+      this.aftertouch(channel, data1, time);
+      break;
+    case 0xe0:
+      this.pitchBend(channel, data1, data2, time);
+      break;
+    default:
+      // polyphonic key pressure is not supported
+      break;
+    }
+  }
+
+  /**
+   * @param {number} channel
+   * @param {number} control
+   * @param {number} value
+   * @param {number=} time AudioContext time of the change, now if omitted.
+   * @returns {void}
+   */
+  controlChange (channel, control, value, time = this.ctx.currentTime) {
+    switch (control) {
+    case 0x00:
+      this.bankSelectMsb(channel, value);
+      break;
+    case 0x01:
+      this.modulation(channel, value, time);
+      break;
+    case 0x06:
+      this.dataEntryMsb(channel, value, time);
+      break;
+    case 0x07:
+      this.volumeChange(channel, value, time);
+      break;
+    case 0x0a:
+      this.panpotChange(channel, value, time);
+      break;
+    case 0x0b:
+      this.expression(channel, value, time);
+      break;
+    case 0x20:
+      this.bankSelectLsb(channel, value);
+      break;
+    case 0x26:
+      this.dataEntryLsb(channel, value, time);
+      break;
+    case 0x40:
+      this.hold(channel, value, time);
+      break;
+    case 0x47:
+      this.harmonicContent(channel, value, time);
+      break;
+    case 0x48:
+      this.releaseTime(channel, value);
+      break;
+    case 0x49:
+      this.attackTime(channel, value);
+      break;
+    case 0x4a:
+      this.cutOffFrequency(channel, value, time);
+      break;
+    case 0x4b:
+      this.decayTime(channel, value);
+      break;
+    case 0x4c:
+      this.vibratoRate(channel, value, time);
+      break;
+    case 0x4d:
+      this.vibratoDepth(channel, value, time);
+      break;
+    case 0x4e:
+      this.vibratoDelay(channel, value);
+      break;
+    case 0x5b:
+      this.reverbDepth(channel, value, time);
+      break;
+    case 0x5d:
+      this.chorusDepth(channel, value, time);
+      break;
+    case 0x60:
+      this.dataIncrement(channel, 1, time);
+      break;
+    case 0x61:
+      this.dataIncrement(channel, -1, time);
+      break;
+    case 0x62:
+    case 0x63:
+      // NRPN LSB, MSB
+      this.channelControl[channel][control] = value;
+      this.channelNrpn[channel] = true;
+      break;
+    case 0x64:
+    case 0x65:
+      // RPN LSB, MSB
+      this.channelControl[channel][control] = value;
+      this.channelNrpn[channel] = false;
+      break;
+    case 0x78:
+      this.allSoundOff(channel);
+      break;
+    case 0x79:
+      this.resetAllControl(channel);
+      break;
+    case 0x7b:
+    case 0x7c:
+    case 0x7d:
+    case 0x7e:
+    case 0x7f:
+      // omni and mono/poly mode messages turn the notes off as well
+      this.allNoteOff(channel);
+      break;
+    default:
+      // other controllers are modulator sources only
+      this.channelControl[channel][control] = value;
+      this.updateModulation(channel, time);
+      break;
+    }
+  }
+
+  /**
+   * @param {number} channel
+   * @param {number} value
+   * @param {number=} time AudioContext time of the change, now if omitted.
+   * @returns {void}
+   */
+  dataEntryMsb (channel, value, time = this.ctx.currentTime) {
+    this.channelControl[channel][6] = value;
+    this.channelControl[channel][38] = 0;
+    this.dataEntry(channel, time);
+  }
+
+  /**
+   * @param {number} channel
+   * @param {number} value
+   * @param {number=} time AudioContext time of the change, now if omitted.
+   * @returns {void}
+   */
+  dataEntryLsb (channel, value, time = this.ctx.currentTime) {
+    this.channelControl[channel][38] = value;
+    this.dataEntry(channel, time);
+  }
+
+  /**
+   * Data increment and decrement: one step of the LSB, or of the MSB for
+   * coarse tuning and the NRPNs.
+   * @param {number} channel
+   * @param {number} step 1 or -1.
+   * @param {number=} time AudioContext time of the change, now if omitted.
+   * @returns {void}
+   */
+  dataIncrement (channel, step, time = this.ctx.currentTime) {
+    /** @type {Uint8Array} */
+    const control = this.channelControl[channel];
+    /** @type {boolean} */
+    const msbOnly = this.channelNrpn[channel] || (control[101] === 0 && control[100] === 2);
+    /** @type {number} */
+    const value = Math.max(0, Math.min(16383, (control[6] << 7) + control[38] + (msbOnly ? step << 7 : step)));
+
+    control[6] = value >> 7;
+    control[38] = value & 0x7f;
+    this.dataEntry(channel, time);
+  }
+
+  /**
+   * Apply the data entry value to the selected RPN or NRPN.
+   * @param {number} channel
+   * @param {number=} time AudioContext time of the change, now if omitted.
+   * @returns {void}
+   */
+  dataEntry (channel, time = this.ctx.currentTime) {
+    /** @type {Uint8Array} */
+    const control = this.channelControl[channel];
+
+    if (this.channelNrpn[channel]) {
+      this.nrpn(channel, control[99], control[98], control[6], time);
+    } else {
+      this.rpn(channel, control[101], control[100], (control[6] << 7) | control[38], time);
+    }
+  }
+
+  /**
+   * Registered parameter, RPN null (127, 127) and unknown parameters are ignored.
+   * @param {number} channel
+   * @param {number} msb parameter number MSB.
+   * @param {number} lsb parameter number LSB.
+   * @param {number} value 14 bit data entry value.
+   * @param {number=} time AudioContext time of the change, now if omitted.
+   * @returns {void}
+   */
+  rpn (channel, msb, lsb, value, time = this.ctx.currentTime) {
+    /** @type {number} */
+    const dataMsb = value >> 7;
+    /** @type {number} */
+    const dataLsb = value & 0x7f;
+
+    if (msb !== 0) {
+      return;
+    }
+
+    switch (lsb) {
+    case 0x00:
+      // pitch bend sensitivity in semitones and cents
+      this.pitchBendSensitivity(channel, dataMsb + dataLsb / 100, time);
+      break;
+    case 0x01:
+      this.fineTuning(channel, value, time);
+      break;
+    case 0x02:
+      this.coarseTuning(channel, dataMsb, time);
+      break;
+    case 0x05:
+      // semitones and 100/128 cents
+      this.modulationDepthRange(channel, dataMsb * 100 + dataLsb * 100 / 128, time);
+      break;
+    default:
+      break;
+    }
+  }
+
+  /**
+   * GS/XG non-registered parameter.
+   * @param {number} channel
+   * @param {number} msb parameter number MSB.
+   * @param {number} lsb parameter number LSB, the key of drum instrument parameters.
+   * @param {number} value data entry MSB.
+   * @param {number=} time AudioContext time of the change, now if omitted.
+   * @returns {void}
+   */
+  nrpn (channel, msb, lsb, value, time = this.ctx.currentTime) {
+    switch (msb) {
+    case 0x01:
+      this.nrpnPart(channel, lsb, value, time);
+      break;
+    case 0x18:
+      this.drumInstrumentPitch(lsb, value);
+      break;
+    case 0x1a:
+      this.drumInstrumentLevel(lsb, value);
+      break;
+    case 0x1c:
+      this.drumInstrumentPanpot(lsb, value);
+      break;
+    case 0x1d:
+      this.drumInstrumentReverb(lsb, value);
+      break;
+    case 0x1e:
+      this.drumInstrumentChorus(lsb, value);
+      break;
+    default:
+      break;
+    }
+  }
+
+  /**
+   * NRPN 01 xx: vibrato, filter and envelope of the part.
+   * @param {number} channel
+   * @param {number} lsb
+   * @param {number} value
+   * @param {number=} time AudioContext time of the change, now if omitted.
+   * @returns {void}
+   */
+  nrpnPart (channel, lsb, value, time = this.ctx.currentTime) {
+    switch (lsb) {
+    case 0x08:
+      this.vibratoRate(channel, value, time);
+      break;
+    case 0x09:
+      this.vibratoDepth(channel, value, time);
+      break;
+    case 0x0a:
+      this.vibratoDelay(channel, value);
+      break;
+    case 0x20:
+      this.cutOffFrequency(channel, value, time);
+      break;
+    case 0x21:
+      this.harmonicContent(channel, value, time);
+      break;
+    case 0x63:
+      this.attackTime(channel, value);
+      break;
+    case 0x64:
+      this.decayTime(channel, value);
+      break;
+    case 0x66:
+      this.releaseTime(channel, value);
+      break;
+    default:
+      break;
+    }
+  }
+
+  /**
+   * Apply the universal, GS and XG system messages, then pass the message to onsysex.
+   * @param {Uint8Array} message SysEx message from F0 to F7.
+   * @param {number=} time AudioContext time.
+   * @returns {void}
+   */
+  systemExclusive (message, time = this.ctx.currentTime) {
+    switch (message[1]) {
+    case 0x7e:
+      // Universal Non-Realtime: GM System On, GM2 System On
+      if (message[3] === 0x09 && (message[4] === 0x01 || message[4] === 0x03)) {
+        this.init('GM');
+      }
+      break;
+    case 0x7f:
+      this.universalRealtime(message);
+      break;
+    case 0x41:
+      if (message[3] === 0x42 && message[4] === 0x12) {
+        this.gsParameter((message[5] << 16) | (message[6] << 8) | message[7], message[8]);
+      }
+      break;
+    case 0x43:
+      if ((message[2] & 0xf0) === 0x10 && message[3] === 0x4c) {
+        this.xgParameter((message[4] << 16) | (message[5] << 8) | message[6], message[7]);
+      }
+      break;
+    default:
+      break;
+    }
+
+    if (typeof this.onsysex === 'function') {
+      this.onsysex(message, time);
+    }
+  }
+
+  /**
+   * Universal Realtime device control: master volume and tuning.
+   * @param {Uint8Array} message
+   * @returns {void}
+   */
+  universalRealtime (message) {
+    /** @type {number} 14 bit value, LSB first */
+    const value = message[5] | (message[6] << 7);
+
+    if (message[3] !== 0x04 || message.length < 8) {
+      return;
+    }
+
+    switch (message[4]) {
+    case 0x01:
+      this.setMasterVolume(value);
+      break;
+    case 0x03:
+      this.setMasterFineTuning(value);
+      break;
+    case 0x04:
+      // the LSB is unused
+      this.setMasterCoarseTuning(message[6]);
+      break;
+    default:
+      break;
+    }
+  }
+
+  /**
+   * Roland GS parameter (DT1), the checksum is not checked.
+   * @param {number} address
+   * @param {number} value
+   * @returns {void}
+   */
+  gsParameter (address, value) {
+    /** @type {number} part number: 0 is part 10, 1 to 9 are parts 1 to 9 */
+    const part = (address >> 8) & 0x0f;
+
+    if (address === 0x40007f || address === 0x00007f) {
+      // GS Reset, System Mode Set
+      this.init('GS');
+    } else if ((address & 0xfff0ff) === 0x401015) {
+      // Use for Rhythm Part: 0 off, 1 map 1, 2 map 2
+      this.useForRhythmPart(part === 0 ? 9 : part <= 9 ? part - 1 : part, value !== 0);
+    } else if ((address & 0xfffff8) === 0x400138) {
+      this.gsChorus(address & 0x07, value);
+    }
+  }
+
+  /**
+   * GS chorus parameter (40 01 38 to 40 01 3F).
+   * @param {number} index
+   * @param {number} value
+   * @returns {void}
+   */
+  gsChorus (index, value) {
+    switch (index) {
+    case 0x00:
+      this.chorus.type(value);
+      break;
+    case 0x02:
+      this.chorus.level(value / 127);
+      break;
+    case 0x03:
+      this.chorus.feedback(value / 128);
+      break;
+    case 0x04:
+      this.chorus.delay(this.chorus.gsDelayToMs(value));
+      break;
+    case 0x05:
+      this.chorus.rate(value * 0.122);
+      break;
+    case 0x06:
+      this.chorus.depth((value + 1) / 12.8);
+      break;
+    default:
+      // pre-LPF and send to reverb are not supported
+      break;
+    }
+  }
+
+  /**
+   * Yamaha XG parameter change.
+   * @param {number} address
+   * @param {number} value
+   * @returns {void}
+   */
+  xgParameter (address, value) {
+    if (address === 0x00007e) {
+      // XG System On
+      this.init('XG');
+    } else if ((address & 0xff00ff) === 0x080007 && ((address >> 8) & 0xff) < 16) {
+      // Part Mode: 0 normal, 1 drum, 2-5 drum setup 1-4
+      this.useForRhythmPart((address >> 8) & 0xff, value !== 0);
+    } else if ((address & 0xfffff0) === 0x020120) {
+      this.xgChorus(address & 0x0f, value);
+    }
+  }
+
+  /**
+   * XG chorus parameter (02 01 20 to 02 01 2F).
+   * @param {number} index
+   * @param {number} value
+   * @returns {void}
+   */
+  xgChorus (index, value) {
+    switch (index) {
+    case 0x00:
+      // type MSB: no effect, chorus, celeste, flanger
+      if (value === 0x00) {
+        this.chorus.level(0);
+      } else if (value === 0x41) {
+        this.chorus.type(ChorusType.CHORUS1);
+      } else if (value === 0x42) {
+        this.chorus.type(ChorusType.CHORUS3);
+      } else if (value === 0x43) {
+        this.chorus.type(ChorusType.FLANGER);
+      }
+      break;
+    case 0x02:
+      // LFO frequency, linear approximation of the XG table
+      this.chorus.rate(value * 0.084);
+      break;
+    case 0x03:
+      this.chorus.depth((value + 1) / 12.8);
+      break;
+    case 0x04:
+      // -63% to +63%
+      this.chorus.feedback((value - 64) / 100);
+      break;
+    case 0x05:
+      // delay offset in 0.1 ms
+      this.chorus.delay(value / 10);
+      break;
+    case 0x0c:
+      this.chorus.level(value / 127);
+      break;
+    default:
+      break;
+    }
+  }
+
+  /**
+   * @param {number} channel
+   * @param {boolean} rhythm play the drum kits (true) or the melodic programs.
+   * @returns {void}
+   */
+  useForRhythmPart (channel, rhythm) {
+    this.setPercussionPart(channel, rhythm);
+
+    if (!rhythm) {
+      this.bankChange(channel, 0);
+    }
+
+    this.programChange(channel, this.channelInstrument[channel]);
+  }
+
   /**
    * @param {number} channel
    * @param {number} key
    * @param {number} velocity
+   * @param {number=} time AudioContext time to start at, now if omitted.
    * @returns {void}
    */
-  noteOn (channel, key, velocity) {
+  noteOn (channel, key, velocity, time = this.ctx.currentTime) {
     const bankIndex = this.channelBank[channel];
     /** @type {Object} */
     const bank = (typeof this.bankSet[bankIndex] === 'object') ? this.bankSet[bankIndex] : this.bankSet[0];
@@ -520,27 +1355,16 @@ export class Synthesizer {
 
       return;
     }
-    /** @type {Object} */
-    const instrumentKey = instrument[key];
-    /** @type {number} */
-    let panpot = this.channelPanpot[channel] === 0 ? (Math.random() * 127) | 0 : this.channelPanpot[channel] - 64;
-
-    panpot /= panpot < 0 ? 64 : 63;
-
-    // create note information
-    instrumentKey.channel = channel;
-    instrumentKey.key = key;
-    instrumentKey.velocity = velocity;
-    instrumentKey.panpot = panpot;
-    instrumentKey.volume = this.channelVolume[channel] / 127;
-    instrumentKey.pitchBend = this.channelPitchBend[channel] - 8192;
-    instrumentKey.expression = this.channelExpression[channel];
-    instrumentKey.pitchBendSensitivity = Math.round(this.channelPitchBendSensitivity[channel]);
-    instrumentKey.mute = this.channelMute[channel];
-    instrumentKey.releaseTime = this.channelRelease[channel];
-    instrumentKey.cutOffFrequency = this.cutOffFrequency[channel];
-    instrumentKey.harmonicContent = this.harmonicContent[channel];
-    instrumentKey.reverb = this.reverb[channel];
+    /** @type {number} */
+    let volume = 1;
+    /** @type {number} drum instrument pitch (cents) */
+    let tuning = 0;
+    /** @type {?number} drum instrument panpot (0.1%) */
+    let pan = null;
+    /** @type {number} drum instrument reverb send level */
+    let reverbLevel = 1;
+    /** @type {number} drum instrument chorus send level */
+    let chorusLevel = 1;
 
     // percussion
     if (bankIndex > 125) {
@@ -548,30 +1372,74 @@ export class Synthesizer {
         // 42: Closed Hi-Hat
         // 44: Pedal Hi-Hat
         // 46: Open Hi-Hat
-        this.noteOff(channel, 46);
+        this.noteOff(channel, 46, time);
       }
       if (key === 80) {
         // 80: Mute Triangle
         // 81: Open Triangle
-        this.noteOff(channel, 81);
+        this.noteOff(channel, 81, time);
+      }
+      volume = this.percussionVolume[key] / 127;
+      tuning = (this.percussionPitch[key] - 64) * 100;
+      reverbLevel = this.percussionReverb[key] / 127;
+      chorusLevel = this.percussionChorus[key] / 127;
+
+      if (this.percussionPanpot[key] !== null) {
+        pan = this.percussionPanpot[key] === 0 ?
+          Math.random() * 1000 - 500 :
+          (this.percussionPanpot[key] - 64) / 64 * 500;
       }
-      instrument.volume *= this.percussionVolume[key] / 127;
     }
 
-    // note on
-    /** @type {SynthesizerNote} */
-    const note = new SynthesizerNote(this.ctx, this.gainMaster, instrumentKey);
+    /** @type {ModulatorState} */
+    const modulatorState = this.getModulatorState(channel);
+    /** @type {Array.<Object>} */
+    const layers = instrument[key];
+    /** @type {number} */
+    let i;
+    /** @type {number} */
+    let il;
+
+    for (i = 0, il = layers.length; i < il; ++i) {
+      if (velocity < layers[i].velRange.lo || velocity > layers[i].velRange.hi) {
+        continue;
+      }
 
-    note.noteOn();
-    this.currentNoteOn[channel].push(note);
+      // create note information
+      /** @type {Object} */
+      const instrumentKey = Object.assign({}, layers[i], {
+        audioBuffer: this.getAudioBuffer(layers[i].sampleID, layers[i].rightSampleID),
+        channel: channel,
+        key: key,
+        velocity: velocity,
+        volume: volume,
+        tuning: tuning,
+        pan: pan === null ? layers[i].pan : pan,
+        modulatorState: modulatorState,
+        mute: this.channelMute[channel],
+        releaseTime: this.channelRelease[channel],
+        reverb: this.reverbSend,
+        reverbLevel: reverbLevel,
+        chorus: this.chorus.input,
+        chorusLevel: chorusLevel
+      });
+
+      // note on
+      /** @type {SynthesizerNote} */
+      const note = new SynthesizerNote(this.ctx, this.gainMaster, instrumentKey);
+
+      note.noteOn(time);
+      this.currentNoteOn[channel].push(note);
+    }
   }
 
   /**
    * @param {number} channel
    * @param {number} key
+   * @param {number=} time AudioContext time to release at, now if omitted.
    * @returns {void}
    */
-  noteOff (channel, key) {
+  noteOff (channel, key, time = this.ctx.currentTime) {
     /** @type {number} */
     let i;
     /** @type {number} */
@@ -589,7 +1457,7 @@ export class Synthesizer {
         note.noteOff();
         // hold している時は NoteOff にはするがリリースはしない
         if (!hold) {
-          note.release();
+          note.release(time);
           currentNoteOn.splice(i, 1);
           --i;
           --il;
@@ -601,13 +1469,15 @@ export class Synthesizer {
   /**
    * @param {number} channel
    * @param {number} value
+   * @param {number=} time AudioContext time to release held notes at, now if omitted.
    * @returns {void}
    */
-  hold (channel, value) {
+  hold (channel, value, time = this.ctx.currentTime) {
     /** @type {Array.<SynthesizerNote>} */
     const currentNoteOn = this.currentNoteOn[channel];
 
     this.channelHold[channel] = !(value < 64);
+    this.channelControl[channel][64] = value;
 
     const hold = this.channelHold[channel];
 
@@ -622,7 +1492,7 @@ export class Synthesizer {
       for (i = 0, il = currentNoteOn.length; i < il; ++i) {
         note = currentNoteOn[i];
         if (note.isNoteOff()) {
-          note.release();
+          note.release(time);
           currentNoteOn.splice(i, 1);
           --i;
           --il;
@@ -698,73 +1568,149 @@ export class Synthesizer {
   /**
    * @param {number} channel
    * @param {number} volume
+   * @param {number=} time AudioContext time of the change, now if omitted.
    * @returns {void}
    */
-  volumeChange (channel, volume) {
+  volumeChange (channel, volume, time = this.ctx.currentTime) {
     this.channelVolume[channel] = volume;
+    this.channelControl[channel][7] = volume;
+    this.updateModulation(channel, time);
   }
 
   /**
    * @param {number} channel
    * @param {number} expression
+   * @param {number=} time AudioContext time of the change, now if omitted.
    * @returns {void}
    */
-  expression (channel, expression) {
-    /** @type {number} */
-    let i;
-    /** @type {number} */
-    let il;
-    /** @type {Array.<SynthesizerNote>} */
-    const currentNoteOn = this.currentNoteOn[channel];
+  expression (channel, expression, time = this.ctx.currentTime) {
+    this.channelExpression[channel] = expression;
+    this.channelControl[channel][11] = expression;
+    this.updateModulation(channel, time);
+  }
 
-    for (i = 0, il = currentNoteOn.length; i < il; ++i) {
-      currentNoteOn[i].updateExpression(expression);
-    }
+  /**
+   * @param {number} channel
+   * @param {number} depth
+   * @param {number=} time AudioContext time of the change, now if omitted.
+   * @returns {void}
+   */
+  modulation (channel, depth, time = this.ctx.currentTime) {
+    this.channelControl[channel][1] = depth;
+    this.updateModulation(channel, time);
+  }
 
-    this.channelExpression[channel] = expression;
+  /**
+   * @param {number} channel
+   * @param {number} pressure
+   * @param {number=} time AudioContext time of the change, now if omitted.
+   * @returns {void}
+   */
+  aftertouch (channel, pressure, time = this.ctx.currentTime) {
+    this.channelAftertouch[channel] = pressure;
+    this.updateModulation(channel, time);
   }
 
   /**
    * @param {number} channel
    * @param {number} panpot
+   * @param {number=} time AudioContext time of the change, now if omitted.
    * @returns {void}
    */
-  panpotChange (channel, panpot) {
+  panpotChange (channel, panpot, time = this.ctx.currentTime) {
     this.channelPanpot[channel] = panpot;
+    this.channelControl[channel][10] = panpot;
+    this.updateModulation(channel, time);
   }
 
   /**
    * @param {number} channel
    * @param {number} lowerByte
    * @param {number} higherByte
+   * @param {number=} time AudioContext time of the change, now if omitted.
    * @returns {void}
    */
-  pitchBend (channel, lowerByte, higherByte) {
+  pitchBend (channel, lowerByte, higherByte, time = this.ctx.currentTime) {
     /** @type {number} */
     const bend = (lowerByte & 0x7f) | ((higherByte & 0x7f) << 7);
-    /** @type {number} */
-    let i;
-    /** @type {number} */
-    let il;
-    /** @type {Array.<SynthesizerNote>} */
-    const currentNoteOn = this.currentNoteOn[channel];
-    /** @type {number} */
-    const calculated = bend - 8192;
-
-    for (i = 0, il = currentNoteOn.length; i < il; ++i) {
-      currentNoteOn[i].updatePitchBend(calculated);
-    }
 
     this.channelPitchBend[channel] = bend;
+    this.updateModulation(channel, time);
   }
 
   /**
    * @param {number} channel pitch bend sensitivity を変更するチャンネル.
    * @param {number} sensitivity
+   * @param {number=} time AudioContext time of the change, now if omitted.
    * @returns {void}
    */
-  pitchBendSensitivity (channel, sensitivity) {
+  pitchBendSensitivity (channel, sensitivity, time = this.ctx.currentTime) {
     this.channelPitchBendSensitivity[channel] = sensitivity;
+    this.updateModulation(channel, time);
+  }
+
+  /**
+   * @param {number} channel
+   * @param {number} value 14 bit, 8192 is no change (-100 to +100 cents).
+   * @param {number=} time AudioContext time of the change, now if omitted.
+   * @returns {void}
+   */
+  fineTuning (channel, value, time = this.ctx.currentTime) {
+    this.channelFineTuning[channel] = (value - 8192) / 8192 * 100;
+    this.updateModulation(channel, time);
+  }
+
+  /**
+   * @param {number} channel
+   * @param {number} value 64 is no change (-64 to +63 semitones).
+   * @param {number=} time AudioContext time of the change, now if omitted.
+   * @returns {void}
+   */
+  coarseTuning (channel, value, time = this.ctx.currentTime) {
+    this.channelCoarseTuning[channel] = value - 64;
+    this.updateModulation(channel, time);
+  }
+
+  /**
+   * @param {number} channel
+   * @param {number} cents vibrato depth of the modulation wheel at its maximum.
+   * @param {number=} time AudioContext time of the change, now if omitted.
+   * @returns {void}
+   */
+  modulationDepthRange (channel, cents, time = this.ctx.currentTime) {
+    this.channelModulationDepthRange[channel] = cents;
+    this.updateModulation(channel, time);
+  }
+
+  /**
+   * @param {number} channel
+   * @param {number} value 64 is the sound font rate, 0 and 127 are one octave below and above.
+   * @param {number=} time AudioContext time of the change, now if omitted.
+   * @returns {void}
+   */
+  vibratoRate (channel, value, time = this.ctx.currentTime) {
+    this.channelVibratoRate[channel] = value;
+    this.updateModulation(channel, time);
+  }
+
+  /**
+   * @param {number} channel
+   * @param {number} value 64 is the sound font depth, 0 is no vibrato.
+   * @param {number=} time AudioContext time of the change, now if omitted.
+   * @returns {void}
+   */
+  vibratoDepth (channel, value, time = this.ctx.currentTime) {
+    this.channelVibratoDepth[channel] = value;
+    this.updateModulation(channel, time);
+  }
+
+  /**
+   * @param {number} channel
+   * @param {number} value 64 is the sound font delay, each step adds 1/64 second to the next notes.
+   * @returns {void}
+   */
+  vibratoDelay (channel, value) {
+    this.channelVibratoDelay[channel] = value;
   }
 
   /**
@@ -805,29 +1751,91 @@ export class Synthesizer {
 
   /**
    * @param {number} channel
-   * @param {number} value
+   * @param {number} value filter resonance, 64 is the sound font resonance.
+   * @param {number=} time AudioContext time of the change, now if omitted.
    * @returns {void}
    */
-  harmonicContent (channel, value) {
+  harmonicContent (channel, value, time = this.ctx.currentTime) {
     this.channelHarmonicContent[channel] = value;
+    this.updateModulation(channel, time);
   }
 
   /**
    * @param {number} channel
-   * @param {number} value
+   * @param {number} value filter cutoff (brightness), 64 is the sound font cutoff.
+   * @param {number=} time AudioContext time of the change, now if omitted.
    * @returns {void}
    */
-  cutOffFrequency (channel, value) {
+  cutOffFrequency (channel, value, time = this.ctx.currentTime) {
     this.channelCutOffFrequency[channel] = value;
+    this.updateModulation(channel, time);
+  }
+
+  /**
+   * @param {number} channel
+   * @param {number} depth
+   * @param {number=} time AudioContext time of the change, now if omitted.
+   * @returns {void}
+   */
+  reverbDepth (channel, depth, time = this.ctx.currentTime) {
+    this.channelControl[channel][91] = depth;
+    this.updateModulation(channel, time);
   }
 
   /**
    * @param {number} channel
    * @param {number} depth
+   * @param {number=} time AudioContext time of the change, now if omitted.
+   * @returns {void}
+   */
+  chorusDepth (channel, depth, time = this.ctx.currentTime) {
+    this.channelControl[channel][93] = depth;
+    this.updateModulation(channel, time);
+  }
+
+  /**
+   * Snapshot of the channel controllers used as modulator sources.
+   * @param {number} channel
+   * @return {ModulatorState}
+   */
+  getModulatorState (channel) {
+    return {
+      controllers: this.channelControl[channel],
+      key: 0,
+      velocity: 0,
+      pitchBend: this.channelPitchBend[channel],
+      pitchBendSensitivity: this.channelPitchBendSensitivity[channel],
+      channelPressure: this.channelAftertouch[channel],
+      tuning: (this.masterCoarseTuning + this.channelCoarseTuning[channel]) * 100 +
+        this.masterFineTuning + this.channelFineTuning[channel],
+      modulationDepthRange: this.channelModulationDepthRange[channel],
+      vibratoRate: this.channelVibratoRate[channel],
+      vibratoDepth: this.channelVibratoDepth[channel],
+      vibratoDelay: this.channelVibratoDelay[channel],
+      cutOffFrequency: this.channelCutOffFrequency[channel],
+      harmonicContent: this.channelHarmonicContent[channel]
+    };
+  }
+
+  /**
+   * Re-evaluate the modulators of the sounding notes after a controller change.
+   * @param {number} channel
+   * @param {number=} time AudioContext time of the change, now if omitted.
    * @returns {void}
    */
-  reverbDepth (channel, depth) {
-    this.reverb[channel].mix(depth / 127);
+  updateModulation (channel, time = this.ctx.currentTime) {
+    /** @type {Array.<SynthesizerNote>} */
+    const currentNoteOn = this.currentNoteOn[channel];
+    /** @type {ModulatorState} */
+    const state = this.getModulatorState(channel);
+    /** @type {number} */
+    let i;
+    /** @type {number} */
+    let il;
+
+    for (i = 0, il = currentNoteOn.length; i < il; ++i) {
+      currentNoteOn[i].updateModulation(state, time);
+    }
   }
 
   /**
@@ -847,6 +1855,42 @@ export class Synthesizer {
     this.percussionVolume[key] = volume;
   }
 
+  /**
+   * @param {number} key
+   * @param {number} pitch 64 is the sound font pitch (semitones).
+   * @returns {void}
+   */
+  drumInstrumentPitch (key, pitch) {
+    this.percussionPitch[key] = pitch;
+  }
+
+  /**
+   * @param {number} key
+   * @param {number} panpot 0 is random, 1 to 127 left to right.
+   * @returns {void}
+   */
+  drumInstrumentPanpot (key, panpot) {
+    this.percussionPanpot[key] = panpot;
+  }
+
+  /**
+   * @param {number} key
+   * @param {number} level
+   * @returns {void}
+   */
+  drumInstrumentReverb (key, level) {
+    this.percussionReverb[key] = level;
+  }
+
+  /**
+   * @param {number} key
+   * @param {number} level
+   * @returns {void}
+   */
+  drumInstrumentChorus (key, level) {
+    this.percussionChorus[key] = level;
+  }
+
   /**
    * @param {number} channel NoteOff するチャンネル.
    * @returns {void}
@@ -890,8 +1934,11 @@ export class Synthesizer {
    */
   resetAllControl (channel) {
     this.allNoteOff(channel);
+    this.modulation(channel, 0);
     this.expression(channel, 127);
+    this.aftertouch(channel, 0);
     this.pitchBend(channel, 0x00, 0x40);
+    this.channelControl[channel].fill(127, 98, 102);
   }
 
   /**
@@ -1,9 +1,13 @@
 /* eslint-disable no-bitwise */
+import { computeModulators } from './modulator.js';
+
+/** @typedef {import('./modulator.js').Modulator} Modulator */
+/** @typedef {ModulatorState} ModulatorState */
 
 /** @typedef Instrument
  * @prop {number} channel
  * @prop {number} key
- * @prop {Uint8Array} sample
+ * @prop {AudioBuffer} audioBuffer shared sample buffer (left and right channels for stereo pairs).
  * @prop {number} basePlaybackRate
  * @prop {number} start
  * @prop {number} end
@@ -12,7 +16,7 @@
  * @prop {number} loopStart
  * @prop {number} loopEnd
  * @prop {number} volume
- * @prop {number} panpot
+ * @prop {number} tuning key tuning in cents (drum instrument pitch).
  * @prop {number} sampleModes
  * @prop {boolean} mute
  * @prop {number} initialFilterQ
@@ -23,24 +27,34 @@
  * @prop {number} modAttack
  * @prop {number} modHold
  * @prop {number} modDecay
- * @prop {number} modSustain
+ * @prop {number} modSustain decrease of the modulation envelope (0 to 1).
  * @prop {number} modRelease
  * @prop {number} volDelay
  * @prop {number} volDecay
- * @prop {number} volSustain
+ * @prop {number} volSustain attenuation of the volume envelope (cB).
  * @prop {number} volAttack
  * @prop {number} volHold
  * @prop {number} releaseTime
  * @prop {number} volRelease
  * @prop {number} velocity
  * @prop {number} sampleRate
- * @prop {number} pitchBend
- * @prop {number} pitchBendSensitivity
  * @prop {number} modEnvToPitch
- * @prop {number} expression
- * @prop {number} cutOffFrequency
- * @prop {number} hermonicContent
- * @prop {import('./reverb.js').default} reverb
+ * @prop {number} modLfoDelay
+ * @prop {number} freqModLFO absolute cents (0 is 8.176 Hz).
+ * @prop {number} vibLfoDelay
+ * @prop {number} freqVibLFO absolute cents (0 is 8.176 Hz).
+ * @prop {number} modLfoToPitch cents.
+ * @prop {number} vibLfoToPitch cents.
+ * @prop {number} modLfoToFilterFc cents.
+ * @prop {number} modLfoToVolume cB.
+ * @prop {Array.<Modulator>} modulators
+ * @prop {ModulatorState} modulatorState
+ * @prop {number} reverbEffectsSend 0.1%.
+ * @prop {AudioNode} reverb input of the reverb send bus.
+ * @prop {number} reverbLevel scale of the reverb send (drum instrument reverb level).
+ * @prop {number} chorusEffectsSend 0.1%.
+ * @prop {AudioNode} chorus input of the chorus send bus.
+ * @prop {number} chorusLevel scale of the chorus send (drum instrument chorus level).
  */
 
 /**
@@ -65,8 +79,6 @@ export class SynthesizerNote {
     this.key = instrument.key;
     /** @type {number} */
     this.velocity = instrument.velocity;
-    /** @type {Uint8Array} */
-    this.buffer = instrument.sample;
     /** @type {number} */
     this.playbackRate = instrument.basePlaybackRate;
     /** @type {number} */
@@ -78,37 +90,28 @@ export class SynthesizerNote {
     /** @type {number} */
     this.volume = instrument.volume;
     /** @type {number} */
-    this.panpot = instrument.panpot;
-    /** @type {number} */
-    this.pitchBend = instrument.pitchBend;
-    /** @type {number} */
-    this.pitchBendSensitivity = instrument.pitchBendSensitivity;
-    /** @type {number} */
     this.modEnvToPitch = instrument.modEnvToPitch;
-    /** @type {number} */
-    this.expression = instrument.expression;
-    /** @type {number} */
-    this.cutOffFrequency = instrument.cutOffFrequency;
-    /** @type {number} */
-    this.hermonicContent = instrument.hermonicContent;
-
-    /** @type {import('./reverb.js').default} */
-    this.reverb = instrument.reverb;
 
     // state
     /** @type {number} */
     this.startTime = ctx.currentTime;
-    /** @type {number} */
-    this.computedPlaybackRate = this.playbackRate | 0;
+    /** @type {number} pitch offset of the modulators and tunings (cents) */
+    this.detune = 0;
     /** @type {boolean} */
     this.noteOffState = false;
+    /** @type {Array.<number>} end times of the delay, attack, hold and decay of the volume envelope */
+    this.volEnvelope = [];
+    /** @type {Array.<number>} end times of the delay, attack, hold and decay of the modulation envelope */
+    this.modEnvelope = [];
+    /** @type {Object.<string, number>} モジュレータによる各ジェネレータの変化量 */
+    this.modulation = {};
 
     // ---------------------------------------------------------------------------
     // audio node
     // ---------------------------------------------------------------------------
 
     /** @type {AudioBuffer} */
-    this.audioBuffer = null;
+    this.audioBuffer = instrument.audioBuffer;
     /** @type {AudioBufferSourceNode} */
     this.bufferSource = ctx.createBufferSource();
     /** @type {PannerNode} */
@@ -116,21 +119,44 @@ export class SynthesizerNote {
     /** @type {GainNode} */
     this.outputGainNode = ctx.createGain();
     /** @type {GainNode} */
-    this.expressionGainNode = ctx.createGain();
+    this.attenuationGainNode = ctx.createGain();
     /** @type {BiquadFilterNode} */
     this.filter = ctx.createBiquadFilter();
     /** @type {BiquadFilterNode} */
     this.modulator = ctx.createBiquadFilter();
+    /** @type {GainNode} */
+    this.reverbSendGainNode = ctx.createGain();
+    /** @type {GainNode} */
+    this.chorusSendGainNode = ctx.createGain();
+    /** @type {GainNode} volume of the modulation LFO */
+    this.lfoGainNode = ctx.createGain();
+    /** @type {OscillatorNode} */
+    this.modLfo = ctx.createOscillator();
+    /** @type {OscillatorNode} */
+    this.vibLfo = ctx.createOscillator();
+    /** @type {GainNode} */
+    this.modLfoToPitch = ctx.createGain();
+    /** @type {GainNode} */
+    this.vibLfoToPitch = ctx.createGain();
+    /** @type {GainNode} */
+    this.modLfoToFilterFc = ctx.createGain();
+    /** @type {GainNode} */
+    this.modLfoToVolume = ctx.createGain();
   }
 
-  noteOn () {
-    /** @type {AudioContext} */
-    const ctx = this.ctx;
-
+  /**
+   * @param {number=} time AudioContext time to start at, now if omitted.
+   * @returns {void}
+   */
+  noteOn (time = this.ctx.currentTime) {
     const instrument = this.instrument;
 
     /** @type {number} */
-    const now = this.ctx.currentTime || 0;
+    const now = Math.max(time || 0, this.ctx.currentTime || 0);
+    /** @type {number} sustain attenuation (cB), 1000 cB is silence */
+    const volSustain = Math.min(1000, Math.max(0, instrument.volSustain));
+    /** @type {number} */
+    const modSustain = Math.min(1, Math.max(0, instrument.modSustain));
     /** @type {number} */
     const volDelay = now + instrument.volDelay;
     /** @type {number} */
@@ -138,36 +164,29 @@ export class SynthesizerNote {
     /** @type {number} */
     const volAttack = volDelay + instrument.volAttack;
     /** @type {number} */
-    const modAttack = volDelay + instrument.modAttack;
+    const modAttack = modDelay + instrument.modAttack;
     /** @type {number} */
     const volHold = volAttack + instrument.volHold;
     /** @type {number} */
     const modHold = modAttack + instrument.modHold;
+    // the decay time is the time of a 100% change, the decay stops at the sustain level
     /** @type {number} */
-    const volDecay = volHold + instrument.volDecay;
+    const volDecay = volHold + instrument.volDecay * volSustain / 1000;
     /** @type {number} */
-    const modDecay = modHold + instrument.modDecay;
+    const modDecay = modHold + instrument.modDecay * modSustain;
     /** @type {number} */
     const loopStart = instrument.loopStart / this.sampleRate;
     /** @type {number} */
     const loopEnd = instrument.loopEnd / this.sampleRate;
     /** @type {number} */
     const startTime = instrument.start / this.sampleRate;
-    // TODO: ドラムパートのPanが変化した場合、その計算をしなければならない
-    // http://cpansearch.perl.org/src/PJB/MIDI-SoundFont-1.08/doc/sfspec21.html#8.4.6
-    const pan = instrument.pan !== undefined ? instrument.pan : this.panpot;
-
-    const sample = this.buffer.subarray(0, this.buffer.length + instrument.end);
-
-    this.audioBuffer = ctx.createBuffer(1, sample.length, this.sampleRate);
+    /** @type {number} end of the sample with the end address offset applied (seconds) */
+    const endTime = (this.audioBuffer.length + Math.min(0, instrument.end)) / this.sampleRate;
 
+    // the buffer is shared by every voice of the sample, stereo pairs have both sides in one buffer
+    // so pitch, envelope and loop stay phase locked
     const { audioBuffer: buffer } = this;
 
-    /** @type {Float32Array} */
-    const channelData = buffer.getChannelData(0);
-
-    channelData.set(sample);
-
     // buffer source
     /** @type {AudioBufferSourceNode} */
     const bufferSource = this.bufferSource;
@@ -177,81 +196,175 @@ export class SynthesizerNote {
     bufferSource.loop = instrument.sampleModes | 0 || 0;
     bufferSource.loopStart = loopStart;
     bufferSource.loopEnd = loopEnd;
-    this.updatePitchBend(this.pitchBend);
 
     // Output
     /** @type {GainNode} */
     const output = this.outputGainNode;
 
-    // expression
-    this.expressionGainNode.gain.value = this.expression / 127;
+    // panpot (equal power panning keeps both sides of a stereo buffer hard panned at the center)
+    this.panner.panningModel = 'equalpower';
+    // panner.distanceModel = 'inverse';
 
-    // panpot
-    /** @type {PannerNode} */
-    const panner = this.panner;
+    this.startTime = now;
+    this.volEnvelope = [volDelay, volAttack, volHold, volDecay];
+    this.modEnvelope = [modDelay, modAttack, modHold, modDecay];
 
-    panner.panningModel = 'equalpower';
-    // panner.distanceModel = 'inverse';
-    panner.setPosition(
-      Math.sin(pan * Math.PI / 2),
-      0,
-      Math.cos(pan * Math.PI / 2)
-    );
+    this.startLfo_(now);
+
+    // attenuation, panpot, pitch, filter cutoff and LFOs controlled by modulators
+    this.updateModulation(instrument.modulatorState, now);
+    this.schedulePlaybackRate();
 
     // ---------------------------------------------------------------------------
     // Delay, Attack, Hold, Decay, Sustain
     // ---------------------------------------------------------------------------
 
-    /** @type {number} */
-    let volume = this.volume * (this.velocity / 127) * (1 - instrument.initialAttenuation / 1000);
-
-    if (volume < 0) {
-      volume = 0;
-    }
+    /** @type {number} exponential ramps cannot reach 0 */
+    const volume = Math.max(1e-5, this.volume);
 
-    // volume envelope
+    // volume envelope: linear attack, decay in dB
     const outputGain = output.gain;
 
     outputGain.setValueAtTime(0, now);
     outputGain.setValueAtTime(0, volDelay);
-    outputGain.setTargetAtTime(volume, volDelay, instrument.volAttack);
+    outputGain.linearRampToValueAtTime(volume, volAttack);
     outputGain.setValueAtTime(volume, volHold);
-    outputGain.linearRampToValueAtTime(volume * (1 - instrument.volSustain), volDecay);
+    outputGain.exponentialRampToValueAtTime(volume * 10 ** (-volSustain / 200), volDecay);
 
-    // modulation envelope
+    // modulation envelope, linear in cents: exponential in Hz
     /** @type {number} */
     const baseFreq = this.amountToFreq(instrument.initialFilterFc);
     /** @type {number} */
     const peekFreq = this.amountToFreq(instrument.initialFilterFc + instrument.modEnvToFilterFc);
     /** @type {number} */
-    const sustainFreq = baseFreq + (peekFreq - baseFreq) * (1 - instrument.modSustain);
+    const sustainFreq = this.amountToFreq(instrument.initialFilterFc + instrument.modEnvToFilterFc * (1 - modSustain));
 
     /** @type {BiquadFilterNode} */
     const modulator = this.modulator;
 
-    modulator.Q.setValueAtTime(10 ** (instrument.initialFilterQ / 200), now);
-    modulator.frequency.value = baseFreq;
     modulator.type = 'lowpass';
-    modulator.frequency.setTargetAtTime(baseFreq / 127, this.ctx.currentTime, 0.5);
     modulator.frequency.setValueAtTime(baseFreq, now);
     modulator.frequency.setValueAtTime(baseFreq, modDelay);
-    modulator.frequency.setTargetAtTime(peekFreq, modDelay, parseFloat(String(instrument.modAttack + 1))); // For FireFox fix
+    modulator.frequency.exponentialRampToValueAtTime(peekFreq, modAttack);
     modulator.frequency.setValueAtTime(peekFreq, modHold);
-    modulator.frequency.linearRampToValueAtTime(sustainFreq, modDecay);
+    modulator.frequency.exponentialRampToValueAtTime(sustainFreq, modDecay);
 
     // connect
     bufferSource.connect(modulator);
-    modulator.connect(panner);
-    panner.connect(this.expressionGainNode);
+    modulator.connect(this.panner);
+    this.panner.connect(this.attenuationGainNode);
 
-    this.expressionGainNode.connect(output);
+    this.attenuationGainNode.connect(this.lfoGainNode);
+    this.lfoGainNode.connect(output);
 
     if (!instrument.mute) {
       this.connect();
     }
 
     // fire
-    bufferSource.start(0, startTime);
+    if (bufferSource.loop) {
+      bufferSource.start(now, startTime);
+    } else {
+      bufferSource.start(now, startTime, Math.max(0, endTime - startTime));
+    }
+  }
+
+  /**
+   * Start the LFOs after their delay, they stop with the sample.
+   * @param {number} now
+   * @returns {void}
+   * @private
+   */
+  startLfo_ (now) {
+    const instrument = this.instrument;
+    /** @type {number} */
+    const vibratoDelay = instrument.modulatorState.vibratoDelay === undefined ?
+      64 :
+      instrument.modulatorState.vibratoDelay;
+
+    // SoundFont LFOs are triangular, the frequency is set by the modulators
+    this.modLfo.type = 'triangle';
+    this.modLfo.frequency.value = 0;
+    this.vibLfo.type = 'triangle';
+    this.vibLfo.frequency.value = 0;
+
+    this.modLfo.connect(this.modLfoToPitch);
+    this.modLfo.connect(this.modLfoToFilterFc);
+    this.modLfo.connect(this.modLfoToVolume);
+    this.vibLfo.connect(this.vibLfoToPitch);
+
+    this.modLfoToPitch.connect(this.bufferSource.detune);
+    this.vibLfoToPitch.connect(this.bufferSource.detune);
+    this.modLfoToFilterFc.connect(this.modulator.detune);
+    this.modLfoToVolume.connect(this.lfoGainNode.gain);
+
+    this.modLfo.start(now + instrument.modLfoDelay);
+    this.vibLfo.start(now + Math.max(0, instrument.vibLfoDelay + (vibratoDelay - 64) / 64));
+
+    this.bufferSource.onended = () => {
+      this.modLfo.stop();
+      this.vibLfo.stop();
+    };
+  }
+
+  /**
+   * Set the frequency and the depth of the LFOs.
+   * @param {ModulatorState} state
+   * @param {number} now
+   * @returns {void}
+   * @private
+   */
+  updateLfo_ (state, now) {
+    const instrument = this.instrument;
+    const modulation = this.modulation;
+    /** @type {number} */
+    const vibratoRate = state.vibratoRate === undefined ? 64 : state.vibratoRate;
+    /** @type {number} */
+    const vibratoDepth = state.vibratoDepth === undefined ? 64 : state.vibratoDepth;
+    /** @type {number} the default modulators give the modulation wheel 50 cents */
+    const depthRange = state.modulationDepthRange === undefined ? 1 : state.modulationDepthRange / 50;
+    /** @type {number} */
+    const modLfoToVolume = instrument.modLfoToVolume + (modulation.modLfoToVolume || 0);
+
+    this.modLfo.frequency.setTargetAtTime(
+      this.centToLfoFreq_(instrument.freqModLFO + (modulation.freqModLFO || 0)), now, 0.005
+    );
+    this.vibLfo.frequency.setTargetAtTime(
+      this.centToLfoFreq_(instrument.freqVibLFO + (modulation.freqVibLFO || 0) + (vibratoRate - 64) / 64 * 1200),
+      now,
+      0.005
+    );
+
+    this.modLfoToPitch.gain.setTargetAtTime(instrument.modLfoToPitch + (modulation.modLfoToPitch || 0), now, 0.005);
+    this.vibLfoToPitch.gain.setTargetAtTime(
+      (instrument.vibLfoToPitch + (modulation.vibLfoToPitch || 0) * depthRange) * vibratoDepth / 64, now, 0.005
+    );
+    this.modLfoToFilterFc.gain.setTargetAtTime(
+      instrument.modLfoToFilterFc + (modulation.modLfoToFilterFc || 0), now, 0.005
+    );
+    // linear swing around unity gain, the trough matches the attenuation in cB
+    this.modLfoToVolume.gain.setTargetAtTime(
+      Math.sign(modLfoToVolume) * (1 - 10 ** (-Math.min(960, Math.abs(modLfoToVolume)) / 200)), now, 0.005
+    );
+  }
+
+  /**
+   * @param {number} send effects send generator with its modulation (0.1%).
+   * @param {number} level drum instrument level (0 to 1).
+   * @return {number} gain
+   * @private
+   */
+  sendLevel_ (send, level) {
+    return Math.min(1000, Math.max(0, send)) / 1000 * level;
+  }
+
+  /**
+   * @param {number} cent absolute cents of a LFO.
+   * @return {number} Hz
+   * @private
+   */
+  centToLfoFreq_ (cent) {
+    return 8.176 * 2 ** (cent / 1200);
   }
 
   /**
@@ -274,26 +387,29 @@ export class SynthesizerNote {
   }
 
   /**
+   * @param {number=} time AudioContext time to release at, now if omitted.
    * @return {void}
    */
-  release () {
+  release (time = this.ctx.currentTime) {
     const instrument = this.instrument;
     /** @type {AudioBufferSourceNode} */
     const bufferSource = this.bufferSource;
     /** @type {GainNode} */
     const output = this.outputGainNode;
     /** @type {number} */
-    const now = this.ctx.currentTime;
+    const now = Math.max(time, this.ctx.currentTime);
     const release = instrument.releaseTime - 64;
 
     // ---------------------------------------------------------------------------
-    // volume release time
+    // volume release time: the release time is the time of a 100% (1000 cB) change
     // ---------------------------------------------------------------------------
     /** @type {number} */
-    const volEndTimeTmp = instrument.volRelease * output.gain.value;
+    const level = this.volumeEnvelopeAt_(now);
+    /** @type {number} attenuation of the envelope at note off (cB) */
+    const attenuation = level > 0 ? Math.min(1000, -200 * Math.log10(level)) : 1000;
     /** @type {number} */
-    const volEndTime = now + (volEndTimeTmp * (1 + release / (release < 0 ? 64 : 63)));
-    // var volEndTime = now + instrument['volRelease'] * (1 - instrument['volSustain']);
+    const volEndTime = now +
+      instrument.volRelease * (1000 - attenuation) / 1000 * (1 + release / (release < 0 ? 64 : 63));
 
     // ---------------------------------------------------------------------------
     // modulation release time
@@ -303,15 +419,7 @@ export class SynthesizerNote {
     /** @type {number} */
     const baseFreq = this.amountToFreq(instrument.initialFilterFc);
     /** @type {number} */
-    const peekFreq = this.amountToFreq(instrument.initialFilterFc + instrument.modEnvToFilterFc);
-    /** @type {number} */
-    const modEndTime = now + instrument.modRelease *
-      (
-        baseFreq === peekFreq ?
-          1 :
-          (modulator.frequency.value - baseFreq) / (peekFreq - baseFreq)
-      );
-    // var modEndTime = now + instrument['modRelease'] * (1 - instrument['modSustain']);
+    const modEndTime = now + instrument.modRelease * this.modulationEnvelopeAt_(now);
 
     if (!this.audioBuffer) {
       return;
@@ -322,102 +430,226 @@ export class SynthesizerNote {
     // ---------------------------------------------------------------------------
 
     switch (instrument.sampleModes) {
-    case 0:
-      // ループしない
-      bufferSource.loop = false;
-      bufferSource.disconnect();
-      bufferSource.buffer = null;
-      break;
-    case 1:
-      // ループさせる
-      output.gain.cancelScheduledValues(0);
-      output.gain.setValueAtTime(output.gain.value, now);
-      output.gain.linearRampToValueAtTime(0, volEndTime);
-
-      modulator.frequency.cancelScheduledValues(0);
-      modulator.frequency.setValueAtTime(modulator.frequency.value, now);
-      modulator.frequency.linearRampToValueAtTime(baseFreq, modEndTime);
-
-      bufferSource.playbackRate.cancelScheduledValues(0);
-      bufferSource.playbackRate.setValueAtTime(bufferSource.playbackRate.value, now);
-      bufferSource.playbackRate.linearRampToValueAtTime(this.computedPlaybackRate, modEndTime);
-
-      bufferSource.stop(volEndTime);
-      break;
     case 2:
       // 未定義
       console.error('detect unused sampleModes');
       break;
+    case 0:
+    case 1:
     case 3:
-      // ノートオフまでループさせる
-      output.gain.cancelScheduledValues(0);
-      output.gain.setValueAtTime(output.gain.value, now);
-      output.gain.linearRampToValueAtTime(0, volEndTime);
-
-      modulator.frequency.cancelScheduledValues(0);
-      modulator.frequency.setValueAtTime(modulator.frequency.value, now);
-      modulator.frequency.linearRampToValueAtTime(baseFreq, modEndTime);
-
-      bufferSource.playbackRate.cancelScheduledValues(0);
-      bufferSource.playbackRate.setValueAtTime(bufferSource.playbackRate.value, now);
-      bufferSource.playbackRate.linearRampToValueAtTime(this.computedPlaybackRate, modEndTime);
-      break;
     default:
-      bufferSource.loop = false;
+      // ループしない、ループさせる、ノートオフまでループさせる
+      if (instrument.sampleModes === 3) {
+        // the rest of the sample plays during the release
+        bufferSource.loop = false;
+      }
+
+      this.holdParam_(output.gain, now);
+      // -100 dB, then silence
+      output.gain.exponentialRampToValueAtTime(Math.max(1e-5, this.volume) * 1e-5, volEndTime);
+      output.gain.setValueAtTime(0, volEndTime);
+
+      this.holdParam_(modulator.frequency, now);
+      modulator.frequency.exponentialRampToValueAtTime(baseFreq, modEndTime);
+
+      this.holdParam_(bufferSource.playbackRate, now);
+      bufferSource.playbackRate.exponentialRampToValueAtTime(this.playbackRate, modEndTime);
+
+      bufferSource.stop(volEndTime);
       break;
     }
   }
 
+  /**
+   * Volume envelope without the note volume.
+   * @param {number} time
+   * @return {number} gain (0 to 1).
+   * @private
+   */
+  volumeEnvelopeAt_ (time) {
+    const [delay, attack, hold, decay] = this.volEnvelope;
+    /** @type {number} */
+    const sustain = Math.min(1000, Math.max(0, this.instrument.volSustain));
+
+    if (time < delay) {
+      return 0;
+    }
+    if (time < attack) {
+      return (time - delay) / (attack - delay);
+    }
+    if (time < hold) {
+      return 1;
+    }
+    if (time < decay) {
+      return 10 ** (-(time - hold) / (decay - hold) * sustain / 200);
+    }
+
+    return 10 ** (-sustain / 200);
+  }
+
+  /**
+   * @param {number} time
+   * @return {number} modulation envelope (0 to 1).
+   * @private
+   */
+  modulationEnvelopeAt_ (time) {
+    const [delay, attack, hold, decay] = this.modEnvelope;
+    /** @type {number} */
+    const sustain = 1 - Math.min(1, Math.max(0, this.instrument.modSustain));
+
+    if (time < delay) {
+      return 0;
+    }
+    if (time < attack) {
+      return (time - delay) / (attack - delay);
+    }
+    if (time < hold) {
+      return 1;
+    }
+    if (time < decay) {
+      return 1 - (time - hold) / (decay - hold) * (1 - sustain);
+    }
+
+    return sustain;
+  }
+
+  /**
+   * Keep the value of a parameter at the given time and drop the automation after it.
+   * @param {AudioParam} param
+   * @param {number} time
+   * @returns {void}
+   * @private
+   */
+  holdParam_ (param, time) {
+    if (time > this.ctx.currentTime && typeof param.cancelAndHoldAtTime === 'function') {
+      // the value at a future time is only known to the automation
+      param.cancelAndHoldAtTime(time);
+
+      return;
+    }
+
+    param.cancelScheduledValues(time);
+    param.setValueAtTime(param.value, time);
+  }
+
   connect () {
-    this.reverb.connect(this.outputGainNode).connect(this.destination);
+    this.outputGainNode.connect(this.destination);
+    this.outputGainNode.connect(this.reverbSendGainNode).connect(this.instrument.reverb);
+    this.outputGainNode.connect(this.chorusSendGainNode).connect(this.instrument.chorus);
   }
 
   disconnect () {
     this.outputGainNode.disconnect(0);
   }
 
+  /**
+   * Modulation envelope to pitch, the other pitch changes go to the detune.
+   * @returns {void}
+   */
   schedulePlaybackRate () {
     const playbackRate = this.bufferSource.playbackRate;
     /** @type {number} */
-    const computed = this.computedPlaybackRate;
-    /** @type {number} */
-    const start = this.startTime;
+    const computed = this.playbackRate;
     /** @type {Object} */
     const instrument = this.instrument;
+    const [modDelay, modAttack, modHold, modDecay] = this.modEnvelope;
+    /** @type {number} modulation envelope to pitch (semitones) */
+    const depth = this.modEnvToPitch * instrument.scaleTuning;
     /** @type {number} */
-    const modAttack = start + instrument.modAttack;
-    /** @type {number} */
-    const modDecay = modAttack + instrument.modDecay;
-    /** @type {number} */
-    const peekPitch = computed *
-      Math.pow(2, 1 / 12) **
-      (this.modEnvToPitch * this.instrument.scaleTuning);
+    const sustain = 1 - Math.min(1, Math.max(0, instrument.modSustain));
 
+    // linear in cents: exponential in rate
     playbackRate.cancelScheduledValues(0);
-    playbackRate.setValueAtTime(computed, start);
-    playbackRate.linearRampToValueAtTime(peekPitch, modAttack);
-    playbackRate.linearRampToValueAtTime(computed + (peekPitch - computed) * (1 - instrument.modSustain), modDecay);
+    playbackRate.setValueAtTime(computed, this.startTime);
+    playbackRate.setValueAtTime(computed, modDelay);
+    playbackRate.exponentialRampToValueAtTime(computed * 2 ** (depth / 12), modAttack);
+    playbackRate.setValueAtTime(computed * 2 ** (depth / 12), modHold);
+    playbackRate.exponentialRampToValueAtTime(computed * 2 ** (depth * sustain / 12), modDecay);
   }
 
   /**
-   * @param {number} expression
+   * @param {ModulatorState} state
+   * @param {number=} time AudioContext time of the change, now if omitted.
    * @returns {void}
    */
-  updateExpression (expression) {
-    this.expressionGainNode.gain.value = (this.expression = expression) / 127;
-  }
+  updateModulation (state, time = this.ctx.currentTime) {
+    const instrument = this.instrument;
+    /** @type {number} */
+    const now = Math.max(time, this.ctx.currentTime);
+    /** @type {Object.<string, number>} */
+    const modulation = computeModulators(instrument.modulators, {
+      ...state,
+      key: this.key,
+      velocity: this.velocity
+    });
 
-  /**
-   * @param {number} pitchBend
-   * @returns {void}
-   */
-  updatePitchBend (pitchBend) {
-    this.computedPlaybackRate = this.playbackRate * (
-      Math.pow(2, 1 / 12) **
-      ((pitchBend / (pitchBend < 0 ? 8192 : 8191)) *
-        this.pitchBendSensitivity *
-        this.instrument.scaleTuning));
-    this.schedulePlaybackRate();
+    this.modulation = modulation;
+
+    // initial attenuation (cB)
+    /** @type {number} */
+    const attenuation = Math.min(1440, Math.max(0,
+      instrument.initialAttenuation + (modulation.initialAttenuation || 0)
+    ));
+
+    this.attenuationGainNode.gain.setTargetAtTime(10 ** (-attenuation / 200), now, 0.005);
+
+    // filter cutoff (cent), brightness moves it 50 cents a step
+    /** @type {number} */
+    const cutOffFrequency = state.cutOffFrequency === undefined ? 64 : state.cutOffFrequency;
+
+    this.modulator.detune.setTargetAtTime((modulation.initialFilterFc || 0) + (cutOffFrequency - 64) * 50, now, 0.005);
+
+    // filter resonance (cB), harmonic content moves it 3 cB a step
+    /** @type {number} */
+    const harmonicContent = state.harmonicContent === undefined ? 64 : state.harmonicContent;
+    /** @type {number} */
+    const resonance = Math.min(960, Math.max(0,
+      instrument.initialFilterQ + (modulation.initialFilterQ || 0) + (harmonicContent - 64) * 3
+    ));
+
+    // the Q of a lowpass BiquadFilterNode is in dB
+    this.modulator.Q.setTargetAtTime(resonance / 10, now, 0.005);
+
+    // pan (0.1%)
+    /** @type {number} */
+    const pan = Math.min(500, Math.max(-500, (instrument.pan || 0) + (modulation.pan || 0))) / 500;
+
+    if (this.panner.positionX) {
+      this.panner.positionX.setValueAtTime(Math.sin(pan * Math.PI / 2), now);
+      this.panner.positionY.setValueAtTime(0, now);
+      this.panner.positionZ.setValueAtTime(Math.cos(pan * Math.PI / 2), now);
+    } else {
+      // position AudioParams are missing in old browsers
+      this.panner.setPosition(
+        Math.sin(pan * Math.PI / 2),
+        0,
+        Math.cos(pan * Math.PI / 2)
+      );
+    }
+
+    // effect sends (0.1%)
+    this.reverbSendGainNode.gain.setTargetAtTime(
+      this.sendLevel_(instrument.reverbEffectsSend + (modulation.reverbEffectsSend || 0), instrument.reverbLevel),
+      now,
+      0.005
+    );
+    this.chorusSendGainNode.gain.setTargetAtTime(
+      this.sendLevel_(instrument.chorusEffectsSend + (modulation.chorusEffectsSend || 0), instrument.chorusLevel),
+      now,
+      0.005
+    );
+
+    this.updateLfo_(state, now);
+
+    // pitch (cent)
+    /** @type {number} */
+    const detune = (modulation.fineTune || 0) + (modulation.coarseTune || 0) * 100 +
+      (state.tuning || 0) + (instrument.tuning || 0);
+
+    if (detune !== this.detune) {
+      this.detune = detune;
+      this.bufferSource.detune.setValueAtTime(detune, now);
+    }
   }
 }
 
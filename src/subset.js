@@ -0,0 +1,264 @@
+/* eslint-disable no-bitwise */
+import { createModulator } from './modulator.js';
+import { SampleType } from './zone.js';
+import { writeSoundFont } from './writer.js';
+
+/** @typedef {import('./parser.js').Parser} Parser */
+/** @typedef {import('./modulator.js').Modulator} Modulator */
+
+/**
+ * @typedef PresetNumber
+ * @prop {number} bank
+ * @prop {number} preset
+ */
+
+/**
+ * Zone records of the preset or the instrument level.
+ * @typedef ZoneSource
+ * @prop {Array.<Object>} zones pbag or ibag records.
+ * @prop {Array.<Object>} generators
+ * @prop {Array.<Modulator>} modulators
+ * @prop {string} generatorIndex
+ * @prop {string} modulatorIndex
+ */
+
+/**
+ * @param {Array.<Object>} records
+ * @param {number} index
+ * @param {string} key
+ * @param {number} length default for a missing terminal record.
+ * @return {number}
+ */
+function getIndex (records, index, key, length) {
+  return records[index] !== undefined ? records[index][key] : length;
+}
+
+/**
+ * Copy zones with their generators and modulators, generator and modulator
+ * indices of the copies point into the target arrays.
+ * @param {ZoneSource} source
+ * @param {ZoneSource} target
+ * @param {number} start first zone.
+ * @param {number} end zone after the last one.
+ * @return {Array.<Object>} copied generators.
+ */
+function copyZones (source, target, start, end) {
+  /** @type {number} */
+  const generatorStart = target.generators.length;
+  /** @type {number} */
+  let i;
+  /** @type {number} */
+  let j;
+
+  for (i = start; i < end; ++i) {
+    /** @type {number} */
+    const generatorEnd = getIndex(source.zones, i + 1, source.generatorIndex, source.generators.length);
+    /** @type {number} */
+    const modulatorEnd = getIndex(source.zones, i + 1, source.modulatorIndex, source.modulators.length);
+
+    target.zones.push({
+      [target.generatorIndex]: target.generators.length,
+      [target.modulatorIndex]: target.modulators.length
+    });
+
+    for (j = source.zones[i][source.generatorIndex]; j < generatorEnd; ++j) {
+      target.generators.push({
+        type: source.generators[j].type,
+        value: Object.assign({}, source.generators[j].value)
+      });
+    }
+    for (j = source.zones[i][source.modulatorIndex]; j < modulatorEnd; ++j) {
+      target.modulators.push(source.modulators[j]);
+    }
+  }
+
+  return target.generators.slice(generatorStart);
+}
+
+/**
+ * Terminal bag, generator and modulator records.
+ * @param {ZoneSource} target
+ * @param {Array.<string>} table generator names.
+ * @return {void}
+ */
+function terminateZones (target, table) {
+  target.zones.push({
+    [target.generatorIndex]: target.generators.length,
+    [target.modulatorIndex]: target.modulators.length
+  });
+  target.generators.push({ type: table[0], value: { amount: 0 } });
+  target.modulators.push(createModulator(0, 0, table[0], 0, 0, 0));
+}
+
+/**
+ * @param {Map.<number, number>} map old index to new index.
+ * @param {number} index
+ * @return {number}
+ */
+function addIndex (map, index) {
+  if (!map.has(index)) {
+    map.set(index, map.size);
+  }
+
+  return map.get(index);
+}
+
+/**
+ * Build the model of a sound font holding only the given presets with the
+ * instruments and samples they reference.
+ * @param {Parser} parser parsed sound font.
+ * @param {Array.<PresetNumber>} presets presets missing from the sound font are ignored.
+ * @return {Parser} model for SoundFontWriter.
+ */
+export function createPresetSubset (parser, presets) {
+  /** @type {Array.<string>} */
+  const table = parser.GeneratorEnumeratorTable;
+  /** @type {Array.<Object>} */
+  const headers = parser.presetHeader.slice(0, -1);
+  /** @type {Map.<number, number>} */
+  const instruments = new Map();
+  /** @type {Map.<number, number>} */
+  const samples = new Map();
+  /** @type {ZoneSource} */
+  const presetTarget = {
+    zones: [],
+    generators: [],
+    modulators: [],
+    generatorIndex: 'presetGeneratorIndex',
+    modulatorIndex: 'presetModulatorIndex'
+  };
+  /** @type {ZoneSource} */
+  const instrumentTarget = {
+    zones: [],
+    generators: [],
+    modulators: [],
+    generatorIndex: 'instrumentGeneratorIndex',
+    modulatorIndex: 'instrumentModulatorIndex'
+  };
+  /** @type {Array.<Object>} */
+  const presetHeader = [];
+  /** @type {Array.<Object>} */
+  const instrument = [];
+  /** @type {Array.<Object>} */
+  const sampleHeader = [];
+
+  headers.forEach((header, i) => {
+    if (!presets.some(preset => preset.bank === header.bank && preset.preset === header.preset)) {
+      return;
+    }
+
+    presetHeader.push(Object.assign({}, header, { presetBagIndex: presetTarget.zones.length }));
+
+    copyZones({
+      zones: parser.presetZone,
+      generators: parser.presetZoneGenerator,
+      modulators: parser.presetZoneModulator,
+      generatorIndex: 'presetGeneratorIndex',
+      modulatorIndex: 'presetModulatorIndex'
+    }, presetTarget, header.presetBagIndex, parser.presetHeader[i + 1].presetBagIndex).forEach(generator => {
+      if (generator.type === 'instrument') {
+        generator.value.amount = addIndex(instruments, generator.value.amount);
+      }
+    });
+  });
+
+  presetHeader.push({
+    presetName: 'EOP',
+    preset: 0,
+    bank: 0,
+    presetBagIndex: presetTarget.zones.length,
+    library: 0,
+    genre: 0,
+    morphology: 0
+  });
+  terminateZones(presetTarget, table);
+
+  // instruments are added to the map while their presets are copied, in order of first use
+  instruments.forEach((newIndex, index) => {
+    instrument.push(Object.assign({}, parser.instrument[index], { instrumentBagIndex: instrumentTarget.zones.length }));
+
+    copyZones({
+      zones: parser.instrumentZone,
+      generators: parser.instrumentZoneGenerator,
+      modulators: parser.instrumentZoneModulator,
+      generatorIndex: 'instrumentGeneratorIndex',
+      modulatorIndex: 'instrumentModulatorIndex'
+    }, instrumentTarget, parser.instrument[index].instrumentBagIndex, parser.instrument[index + 1].instrumentBagIndex).forEach(generator => {
+      if (generator.type === 'sampleID') {
+        generator.value.amount = addIndex(samples, generator.value.amount);
+      }
+    });
+  });
+
+  instrument.push({
+    instrumentName: 'EOI',
+    instrumentBagIndex: instrumentTarget.zones.length
+  });
+  terminateZones(instrumentTarget, table);
+
+  // keep both sides of stereo pairs, the map grows while it is iterated
+  samples.forEach((newIndex, index) => {
+    /** @type {Object} */
+    const header = parser.sampleHeader[index];
+
+    if ((header.sampleType & (SampleType.RIGHT | SampleType.LEFT | SampleType.LINKED)) !== 0 &&
+      header.sampleLink < parser.sampleHeader.length - 1) {
+      addIndex(samples, header.sampleLink);
+    }
+  });
+
+  samples.forEach((newIndex, index) => {
+    /** @type {Object} */
+    const header = parser.sampleHeader[index];
+
+    sampleHeader.push(Object.assign({}, header, {
+      sampleLink: samples.has(header.sampleLink) &&
+        (header.sampleType & (SampleType.RIGHT | SampleType.LEFT | SampleType.LINKED)) !== 0 ?
+        samples.get(header.sampleLink) :
+        header.sampleLink
+    }));
+  });
+
+  sampleHeader.push({
+    sampleName: 'EOS',
+    start: 0,
+    end: 0,
+    startLoop: 0,
+    endLoop: 0,
+    sampleRate: 0,
+    originalPitch: 0,
+    pitchCorrection: 0,
+    sampleLink: 0,
+    sampleType: 0
+  });
+
+  return /** @type {Parser} */ ({
+    GeneratorEnumeratorTable: table,
+    info: parser.info,
+    presetHeader: presetHeader,
+    presetZone: presetTarget.zones,
+    presetZoneGenerator: presetTarget.generators,
+    presetZoneModulator: presetTarget.modulators,
+    instrument: instrument,
+    instrumentZone: instrumentTarget.zones,
+    instrumentZoneGenerator: instrumentTarget.generators,
+    instrumentZoneModulator: instrumentTarget.modulators,
+    sampleHeader: sampleHeader,
+    sample: Array.from(samples.keys(), index => parser.sample[index]).concat([new Int16Array(0)]),
+    originalSample: parser.originalSample ?
+      Array.from(samples.keys(), index => parser.originalSample[index]).concat([new Int16Array(0)]) :
+      undefined
+  });
+}
+
+/**
+ * Extract presets into a new, self-contained SoundFont 2 file. Only the
+ * instruments and samples used by the presets are kept and the sample data is
+ * compacted.
+ * @param {Parser} parser parsed sound font.
+ * @param {Array.<PresetNumber>} presets bank and preset numbers to keep.
+ * @return {ArrayBuffer}
+ */
+export function extractPresets (parser, presets) {
+  return writeSoundFont(createPresetSubset(parser, presets));
+}
@@ -0,0 +1,1739 @@
+/* eslint-disable no-bitwise */
+/**
+ * Ogg Vorbis (Vorbis I) decoder used for SoundFont 3 compressed samples.
+ *
+ * Only what libvorbis emits is supported: floor type 1, residue types 0, 1 and 2.
+ * @see https://xiph.org/vorbis/doc/Vorbis_I_spec.html
+ */
+
+/**
+ * @typedef VorbisCodebook
+ * @prop {number} dimensions
+ * @prop {number} entries
+ * @prop {Int32Array} tree decoding tree, leaves are stored as -(entry + 1).
+ * @prop {?Float32Array} lookup VQ vectors (entries * dimensions).
+ */
+
+/**
+ * @typedef VorbisFloor
+ * @prop {Array.<number>} partitionClassList
+ * @prop {Array.<number>} classDimensions
+ * @prop {Array.<number>} classSubclasses
+ * @prop {Array.<number>} classMasterbooks
+ * @prop {Array.<Array.<number>>} subclassBooks
+ * @prop {number} multiplier
+ * @prop {Array.<number>} xList
+ * @prop {Array.<number>} sortedOrder
+ * @prop {Array.<number>} lowNeighbor
+ * @prop {Array.<number>} highNeighbor
+ */
+
+/**
+ * @typedef VorbisResidue
+ * @prop {number} type
+ * @prop {number} begin
+ * @prop {number} end
+ * @prop {number} partitionSize
+ * @prop {number} classifications
+ * @prop {number} classbook
+ * @prop {Array.<Array.<number>>} books
+ */
+
+/**
+ * @typedef VorbisMapping
+ * @prop {Array.<number>} magnitude
+ * @prop {Array.<number>} angle
+ * @prop {Array.<number>} mux
+ * @prop {Array.<number>} submapFloor
+ * @prop {Array.<number>} submapResidue
+ */
+
+/**
+ * @typedef VorbisMode
+ * @prop {number} blockFlag
+ * @prop {number} mapping
+ */
+
+/**
+ * @typedef DecodedAudio
+ * @prop {number} sampleRate
+ * @prop {number} channels
+ * @prop {Array.<Float32Array>} data PCM data (-1 to 1) per channel.
+ */
+
+/**
+ * @param {number} x
+ * @return {number}
+ */
+function ilog (x) {
+  /** @type {number} */
+  let n = 0;
+
+  while (x > 0) {
+    ++n;
+    x >>>= 1;
+  }
+
+  return n;
+}
+
+/**
+ * @param {number} x
+ * @return {number}
+ */
+function float32Unpack (x) {
+  /** @type {number} */
+  const mantissa = x & 0x1fffff;
+  /** @type {number} */
+  const exponent = (x & 0x7fe00000) >>> 21;
+
+  return (x & 0x80000000 ? -mantissa : mantissa) * 2 ** (exponent - 788);
+}
+
+/**
+ * @param {number} entries
+ * @param {number} dimensions
+ * @return {number}
+ */
+function lookup1Values (entries, dimensions) {
+  /** @type {number} */
+  let r = Math.floor(entries ** (1 / dimensions));
+
+  while ((r + 1) ** dimensions <= entries) {
+    ++r;
+  }
+  while (r > 0 && r ** dimensions > entries) {
+    --r;
+  }
+
+  return r;
+}
+
+/**
+ * @param {number} x0
+ * @param {number} y0
+ * @param {number} x1
+ * @param {number} y1
+ * @param {number} x
+ * @return {number}
+ */
+function renderPoint (x0, y0, x1, y1, x) {
+  /** @type {number} */
+  const dy = y1 - y0;
+  /** @type {number} */
+  const offset = Math.trunc(Math.abs(dy) * (x - x0) / (x1 - x0));
+
+  return dy < 0 ? y0 - offset : y0 + offset;
+}
+
+/**
+ * @param {number} x0
+ * @param {number} y0
+ * @param {number} x1
+ * @param {number} y1
+ * @param {Int32Array} v
+ * @returns {void}
+ */
+function renderLine (x0, y0, x1, y1, v) {
+  /** @type {number} */
+  const dy = y1 - y0;
+  /** @type {number} */
+  const adx = x1 - x0;
+  /** @type {number} */
+  const base = Math.trunc(dy / adx);
+  /** @type {number} */
+  const sy = dy < 0 ? base - 1 : base + 1;
+  /** @type {number} */
+  const ady = Math.abs(dy) - Math.abs(base) * adx;
+  /** @type {number} */
+  const end = Math.min(x1, v.length);
+  /** @type {number} */
+  let y = y0;
+  /** @type {number} */
+  let err = 0;
+  /** @type {number} */
+  let x;
+
+  if (x0 < end) {
+    v[x0] = y;
+  }
+
+  for (x = x0 + 1; x < end; ++x) {
+    err += ady;
+    if (err >= adx) {
+      err -= adx;
+      y += sy;
+    } else {
+      y += base;
+    }
+    v[x] = y;
+  }
+}
+
+/** @type {Float32Array} floor1 逆dBテーブル (140dB / 256 steps) */
+const FLOOR1_INVERSE_DB_TABLE = new Float32Array(256);
+
+for (let i = 0; i < 256; ++i) {
+  FLOOR1_INVERSE_DB_TABLE[i] = 10 ** ((i - 255) * 0.546875 / 20);
+}
+
+/**
+ * LSB first bit reader of a Vorbis packet.
+ * @private
+ */
+class BitReader {
+  /**
+   * @param {Uint8Array} data
+   */
+  constructor (data) {
+    /** @type {Uint8Array} */
+    this.data = data;
+    /** @type {number} */
+    this.bitPosition = 0;
+    /** @type {number} */
+    this.bitLength = data.length * 8;
+  }
+
+  /**
+   * @return {boolean} true if the end of packet has been passed.
+   */
+  isEndOfPacket () {
+    return this.bitPosition > this.bitLength;
+  }
+
+  /**
+   * @return {number}
+   */
+  readBit () {
+    /** @type {number} */
+    const position = this.bitPosition++;
+
+    if (position >= this.bitLength) {
+      this.bitPosition = this.bitLength + 1;
+
+      return 0;
+    }
+
+    return (this.data[position >>> 3] >>> (position & 7)) & 1;
+  }
+
+  /**
+   * @param {number} n up to 32.
+   * @return {number}
+   */
+  readBits (n) {
+    /** @type {number} */
+    let value = 0;
+    /** @type {number} */
+    let i;
+
+    for (i = 0; i < n; ++i) {
+      value += this.readBit() * 2 ** i;
+    }
+
+    return value;
+  }
+}
+
+/**
+ * Vorbis I decoder.
+ */
+export class VorbisDecoder {
+  /**
+   * @param {Uint8Array} input Ogg Vorbis stream.
+   */
+  constructor (input) {
+    /** @type {Uint8Array} */
+    this.input = input;
+    /** @type {number} */
+    this.channels = 0;
+    /** @type {number} */
+    this.sampleRate = 0;
+    /** @type {Array.<number>} */
+    this.blocksize = [0, 0];
+    /** @type {Array.<VorbisCodebook>} */
+    this.codebooks = [];
+    /** @type {Array.<VorbisFloor>} */
+    this.floors = [];
+    /** @type {Array.<VorbisResidue>} */
+    this.residues = [];
+    /** @type {Array.<VorbisMapping>} */
+    this.mappings = [];
+    /** @type {Array.<VorbisMode>} */
+    this.modes = [];
+    /** @type {Array.<Array.<Float32Array>>} 窓関数 [blockFlag][prev * 2 + next] */
+    this.windows = [];
+    /** @type {number} */
+    this.granulePosition = -1;
+    /** @type {Object.<number, Object.<string, Float64Array>>} DCT-IV の回転因子 (サイズ毎) */
+    this.twiddles = {};
+  }
+
+  /**
+   * @return {DecodedAudio}
+   */
+  decode () {
+    /** @type {Array.<Uint8Array>} */
+    const packets = this.readPackets_();
+
+    if (packets.length < 3) {
+      throw new Error('invalid ogg vorbis stream');
+    }
+
+    this.parseIdentificationHeader_(new BitReader(packets[0]));
+    this.parseSetupHeader_(new BitReader(packets[2]));
+
+    /** @type {number} */
+    const channels = this.channels;
+    /** @type {number} */
+    let length = this.granulePosition >= 0 ?
+      this.granulePosition :
+      (packets.length - 3) * this.blocksize[1];
+    /** @type {Array.<Float32Array>} */
+    const output = [];
+    /** @type {number} 直前のブロックの中心位置 (最初のブロックの中心が出力の先頭) */
+    let center = 0;
+    /** @type {number} 直前のブロックのサイズ */
+    let previousN = 0;
+    /** @type {number} */
+    let i;
+    /** @type {number} */
+    let il;
+    /** @type {number} */
+    let ch;
+    /** @type {number} */
+    let j;
+
+    for (ch = 0; ch < channels; ++ch) {
+      output[ch] = new Float32Array(length + this.blocksize[1]);
+    }
+
+    for (i = 3, il = packets.length; i < il; ++i) {
+      /** @type {?{n: number, pcm: Array.<Float32Array>}} */
+      const block = this.decodePacket_(new BitReader(packets[i]));
+
+      if (block === null) {
+        continue;
+      }
+
+      if (previousN > 0) {
+        center += previousN / 4 + block.n / 4;
+      }
+      previousN = block.n;
+
+      /** @type {number} */
+      const start = center - block.n / 2;
+
+      for (ch = 0; ch < channels; ++ch) {
+        /** @type {Float32Array} */
+        const pcm = block.pcm[ch];
+        /** @type {Float32Array} */
+        const out = output[ch];
+
+        for (j = Math.max(0, -start); j < block.n && start + j < out.length; ++j) {
+          out[start + j] += pcm[j];
+        }
+      }
+    }
+
+    length = Math.min(length, center);
+
+    return {
+      sampleRate: this.sampleRate,
+      channels: channels,
+      data: output.map(data => data.subarray(0, length))
+    };
+  }
+
+  /**
+   * Split the ogg pages into packets.
+   * @return {Array.<Uint8Array>}
+   * @private
+   */
+  readPackets_ () {
+    const data = this.input;
+    /** @type {Array.<Uint8Array>} */
+    const packets = [];
+    /** @type {Array.<Uint8Array>} */
+    let segments = [];
+    /** @type {number} */
+    let ip = 0;
+    /** @type {number} */
+    let i;
+
+    while (ip + 27 <= data.length) {
+      if (data[ip] !== 0x4f || data[ip + 1] !== 0x67 || data[ip + 2] !== 0x67 || data[ip + 3] !== 0x53) {
+        break;
+      }
+
+      /** @type {number} */
+      const granuleLow = (data[ip + 6] | (data[ip + 7] << 8) | (data[ip + 8] << 16) | (data[ip + 9] << 24)) >>> 0;
+      /** @type {number} */
+      const granuleHigh = (data[ip + 10] | (data[ip + 11] << 8) | (data[ip + 12] << 16) | (data[ip + 13] << 24)) >>> 0;
+      /** @type {number} */
+      const numberOfSegments = data[ip + 26];
+      /** @type {number} */
+      let segmentOffset = ip + 27 + numberOfSegments;
+
+      if (segmentOffset > data.length) {
+        break;
+      }
+
+      // -1 (all bits set) means no packet finishes on this page
+      if (granuleHigh !== 0xffffffff || granuleLow !== 0xffffffff) {
+        this.granulePosition = granuleHigh * 0x100000000 + granuleLow;
+      }
+
+      for (i = 0; i < numberOfSegments; ++i) {
+        /** @type {number} */
+        const lacing = data[ip + 27 + i];
+
+        segments.push(data.subarray(segmentOffset, segmentOffset + lacing));
+        segmentOffset += lacing;
+
+        if (lacing < 255) {
+          packets.push(this.concat_(segments));
+          segments = [];
+        }
+      }
+
+      ip = segmentOffset;
+    }
+
+    return packets;
+  }
+
+  /**
+   * @param {Array.<Uint8Array>} segments
+   * @return {Uint8Array}
+   * @private
+   */
+  concat_ (segments) {
+    if (segments.length === 1) {
+      return segments[0];
+    }
+
+    /** @type {Uint8Array} */
+    const output = new Uint8Array(segments.reduce((size, segment) => size + segment.length, 0));
+    /** @type {number} */
+    let offset = 0;
+
+    segments.forEach(segment => {
+      output.set(segment, offset);
+      offset += segment.length;
+    });
+
+    return output;
+  }
+
+  /**
+   * @param {BitReader} reader
+   * @param {number} type
+   * @returns {void}
+   * @private
+   */
+  checkHeader_ (reader, type) {
+    if (reader.readBits(8) !== type) {
+      throw new Error('invalid vorbis header type');
+    }
+
+    /** @type {string} */
+    const signature = String.fromCharCode(
+      reader.readBits(8), reader.readBits(8), reader.readBits(8),
+      reader.readBits(8), reader.readBits(8), reader.readBits(8)
+    );
+
+    if (signature !== 'vorbis') {
+      throw new Error('invalid vorbis signature:' + signature);
+    }
+  }
+
+  /**
+   * @param {BitReader} reader
+   * @returns {void}
+   * @private
+   */
+  parseIdentificationHeader_ (reader) {
+    this.checkHeader_(reader, 1);
+
+    if (reader.readBits(32) !== 0) {
+      throw new Error('unsupported vorbis version');
+    }
+
+    this.channels = reader.readBits(8);
+    this.sampleRate = reader.readBits(32);
+    // bitrate maximum, nominal, minimum
+    reader.readBits(32);
+    reader.readBits(32);
+    reader.readBits(32);
+    this.blocksize = [1 << reader.readBits(4), 1 << reader.readBits(4)];
+
+    if (this.channels === 0 || this.sampleRate === 0 || this.blocksize[0] > this.blocksize[1]) {
+      throw new Error('invalid vorbis identification header');
+    }
+
+    this.windows = [
+      [this.createWindow_(0, 0, 0)],
+      [
+        this.createWindow_(1, 0, 0),
+        this.createWindow_(1, 0, 1),
+        this.createWindow_(1, 1, 0),
+        this.createWindow_(1, 1, 1)
+      ]
+    ];
+  }
+
+  /**
+   * @param {BitReader} reader
+   * @returns {void}
+   * @private
+   */
+  parseSetupHeader_ (reader) {
+    /** @type {number} */
+    let count;
+    /** @type {number} */
+    let i;
+
+    this.checkHeader_(reader, 5);
+
+    // codebooks
+    count = reader.readBits(8) + 1;
+    for (i = 0; i < count; ++i) {
+      this.codebooks.push(this.parseCodebook_(reader));
+    }
+
+    // time domain transforms (placeholders)
+    count = reader.readBits(6) + 1;
+    for (i = 0; i < count; ++i) {
+      if (reader.readBits(16) !== 0) {
+        throw new Error('invalid vorbis time domain transform');
+      }
+    }
+
+    // floors
+    count = reader.readBits(6) + 1;
+    for (i = 0; i < count; ++i) {
+      this.floors.push(this.parseFloor_(reader));
+    }
+
+    // residues
+    count = reader.readBits(6) + 1;
+    for (i = 0; i < count; ++i) {
+      this.residues.push(this.parseResidue_(reader));
+    }
+
+    // mappings
+    count = reader.readBits(6) + 1;
+    for (i = 0; i < count; ++i) {
+      this.mappings.push(this.parseMapping_(reader));
+    }
+
+    // modes
+    count = reader.readBits(6) + 1;
+    for (i = 0; i < count; ++i) {
+      /** @type {number} */
+      const blockFlag = reader.readBit();
+
+      // window type, transform type
+      reader.readBits(16);
+      reader.readBits(16);
+
+      this.modes.push({
+        blockFlag: blockFlag,
+        mapping: reader.readBits(8)
+      });
+    }
+
+    if (!reader.readBit()) {
+      throw new Error('invalid vorbis setup header framing');
+    }
+  }
+
+  /**
+   * @param {BitReader} reader
+   * @return {VorbisCodebook}
+   * @private
+   */
+  parseCodebook_ (reader) {
+    if (reader.readBits(24) !== 0x564342) {
+      throw new Error('invalid vorbis codebook sync pattern');
+    }
+
+    /** @type {number} */
+    const dimensions = reader.readBits(16);
+    /** @type {number} */
+    const entries = reader.readBits(24);
+    /** @type {Uint8Array} 0 は未使用エントリ */
+    const lengths = new Uint8Array(entries);
+    /** @type {number} */
+    let i;
+    /** @type {number} */
+    let j;
+
+    if (reader.readBit()) {
+      // ordered
+      /** @type {number} */
+      let currentLength = reader.readBits(5) + 1;
+
+      for (i = 0; i < entries; ++currentLength) {
+        /** @type {number} */
+        const number = reader.readBits(ilog(entries - i));
+
+        for (j = 0; j < number && i < entries; ++j) {
+          lengths[i++] = currentLength;
+        }
+      }
+    } else {
+      /** @type {number} */
+      const sparse = reader.readBit();
+
+      for (i = 0; i < entries; ++i) {
+        if (!sparse || reader.readBit()) {
+          lengths[i] = reader.readBits(5) + 1;
+        }
+      }
+    }
+
+    /** @type {number} */
+    const lookupType = reader.readBits(4);
+    /** @type {?Float32Array} */
+    let lookup = null;
+
+    if (lookupType === 1 || lookupType === 2) {
+      /** @type {number} */
+      const minimum = float32Unpack(reader.readBits(32));
+      /** @type {number} */
+      const delta = float32Unpack(reader.readBits(32));
+      /** @type {number} */
+      const valueBits = reader.readBits(4) + 1;
+      /** @type {number} */
+      const sequenceP = reader.readBit();
+      /** @type {number} */
+      const lookupValues = lookupType === 1 ?
+        lookup1Values(entries, dimensions) :
+        entries * dimensions;
+      /** @type {Array.<number>} */
+      const multiplicands = [];
+
+      for (i = 0; i < lookupValues; ++i) {
+        multiplicands.push(reader.readBits(valueBits));
+      }
+
+      lookup = new Float32Array(entries * dimensions);
+
+      for (i = 0; i < entries; ++i) {
+        /** @type {number} */
+        let last = 0;
+        /** @type {number} */
+        let indexDivisor = 1;
+
+        for (j = 0; j < dimensions; ++j) {
+          /** @type {number} */
+          const offset = lookupType === 1 ?
+            Math.floor(i / indexDivisor) % lookupValues :
+            i * dimensions + j;
+          /** @type {number} */
+          const value = multiplicands[offset] * delta + minimum + last;
+
+          lookup[i * dimensions + j] = value;
+          if (sequenceP) {
+            last = value;
+          }
+          indexDivisor *= lookupValues;
+        }
+      }
+    } else if (lookupType !== 0) {
+      throw new Error('invalid vorbis codebook lookup type:' + lookupType);
+    }
+
+    return {
+      dimensions: dimensions,
+      entries: entries,
+      tree: this.buildTree_(lengths),
+      lookup: lookup
+    };
+  }
+
+  /**
+   * Build the huffman decoding tree from the codeword lengths.
+   * @param {Uint8Array} lengths
+   * @return {Int32Array}
+   * @private
+   */
+  buildTree_ (lengths) {
+    /** @type {Array.<number>} 各長さで次に割り当てる符号 */
+    const marker = new Array(33).fill(0);
+    /** @type {Array.<number>} */
+    const tree = [0, 0];
+    /** @type {number} */
+    let used = 0;
+    /** @type {number} */
+    let last = -1;
+    /** @type {number} */
+    let i;
+    /** @type {number} */
+    let il;
+    /** @type {number} */
+    let j;
+
+    for (i = 0, il = lengths.length; i < il; ++i) {
+      /** @type {number} */
+      const length = lengths[i];
+
+      if (length === 0) {
+        continue;
+      }
+
+      ++used;
+      last = i;
+
+      /** @type {number} */
+      let entry = marker[length];
+
+      if (length < 32 && entry >= 2 ** length) {
+        throw new Error('overpopulated vorbis codebook');
+      }
+
+      // insert the codeword (most significant bit first)
+      /** @type {number} */
+      let node = 0;
+
+      for (j = length - 1; j >= 0; --j) {
+        /** @type {number} */
+        const bit = Math.floor(entry / 2 ** j) & 1;
+
+        if (j === 0) {
+          tree[node * 2 + bit] = -(i + 1);
+        } else {
+          if (tree[node * 2 + bit] <= 0) {
+            tree[node * 2 + bit] = tree.length / 2;
+            tree.push(0, 0);
+          }
+          node = tree[node * 2 + bit];
+        }
+      }
+
+      // update the markers
+      for (j = length; j > 0; --j) {
+        if (marker[j] & 1) {
+          marker[j] = j === 1 ? marker[1] + 1 : marker[j - 1] * 2;
+          break;
+        }
+        ++marker[j];
+      }
+
+      // prune the tree
+      for (j = length + 1; j < 33; ++j) {
+        if (Math.floor(marker[j] / 2) === entry) {
+          entry = marker[j];
+          marker[j] = marker[j - 1] * 2;
+        } else {
+          break;
+        }
+      }
+    }
+
+    // a single used entry decodes without consuming a meaningful codeword
+    if (used === 1) {
+      tree[0] = -(last + 1);
+      tree[1] = -(last + 1);
+    }
+
+    return new Int32Array(tree);
+  }
+
+  /**
+   * @param {BitReader} reader
+   * @param {VorbisCodebook} codebook
+   * @return {number} entry number, -1 at end of packet.
+   * @private
+   */
+  decodeScalar_ (reader, codebook) {
+    const tree = codebook.tree;
+    /** @type {number} */
+    let node = 0;
+
+    do {
+      node = tree[node * 2 + reader.readBit()];
+    } while (node > 0);
+
+    if (node === 0 || reader.isEndOfPacket()) {
+      return -1;
+    }
+
+    return -node - 1;
+  }
+
+  /**
+   * @param {BitReader} reader
+   * @return {VorbisFloor}
+   * @private
+   */
+  parseFloor_ (reader) {
+    /** @type {number} */
+    const type = reader.readBits(16);
+    /** @type {number} */
+    let i;
+    /** @type {number} */
+    let il;
+    /** @type {number} */
+    let j;
+
+    if (type !== 1) {
+      throw new Error('unsupported vorbis floor type:' + type);
+    }
+
+    /** @type {Array.<number>} */
+    const partitionClassList = [];
+    /** @type {number} */
+    const partitions = reader.readBits(5);
+    /** @type {number} */
+    let maximumClass = -1;
+
+    for (i = 0; i < partitions; ++i) {
+      partitionClassList.push(reader.readBits(4));
+      maximumClass = Math.max(maximumClass, partitionClassList[i]);
+    }
+
+    /** @type {Array.<number>} */
+    const classDimensions = [];
+    /** @type {Array.<number>} */
+    const classSubclasses = [];
+    /** @type {Array.<number>} */
+    const classMasterbooks = [];
+    /** @type {Array.<Array.<number>>} */
+    const subclassBooks = [];
+
+    for (i = 0; i <= maximumClass; ++i) {
+      classDimensions.push(reader.readBits(3) + 1);
+      classSubclasses.push(reader.readBits(2));
+      classMasterbooks.push(classSubclasses[i] ? reader.readBits(8) : -1);
+      subclassBooks.push([]);
+      for (j = 0; j < 1 << classSubclasses[i]; ++j) {
+        subclassBooks[i].push(reader.readBits(8) - 1);
+      }
+    }
+
+    /** @type {number} */
+    const multiplier = reader.readBits(2) + 1;
+    /** @type {number} */
+    const rangeBits = reader.readBits(4);
+    /** @type {Array.<number>} */
+    const xList = [0, 1 << rangeBits];
+
+    for (i = 0; i < partitions; ++i) {
+      for (j = 0; j < classDimensions[partitionClassList[i]]; ++j) {
+        xList.push(reader.readBits(rangeBits));
+      }
+    }
+
+    /** @type {Array.<number>} */
+    const lowNeighbor = [];
+    /** @type {Array.<number>} */
+    const highNeighbor = [];
+
+    for (i = 2, il = xList.length; i < il; ++i) {
+      /** @type {number} */
+      let low = 0;
+      /** @type {number} */
+      let high = 1;
+
+      for (j = 0; j < i; ++j) {
+        if (xList[j] < xList[i] && xList[j] > xList[low]) {
+          low = j;
+        }
+        if (xList[j] > xList[i] && xList[j] < xList[high]) {
+          high = j;
+        }
+      }
+      lowNeighbor[i] = low;
+      highNeighbor[i] = high;
+    }
+
+    return {
+      partitionClassList: partitionClassList,
+      classDimensions: classDimensions,
+      classSubclasses: classSubclasses,
+      classMasterbooks: classMasterbooks,
+      subclassBooks: subclassBooks,
+      multiplier: multiplier,
+      xList: xList,
+      sortedOrder: xList.map((x, index) => index).sort((a, b) => xList[a] - xList[b]),
+      lowNeighbor: lowNeighbor,
+      highNeighbor: highNeighbor
+    };
+  }
+
+  /**
+   * @param {BitReader} reader
+   * @return {VorbisResidue}
+   * @private
+   */
+  parseResidue_ (reader) {
+    /** @type {number} */
+    const type = reader.readBits(16);
+
+    if (type > 2) {
+      throw new Error('unsupported vorbis residue type:' + type);
+    }
+
+    /** @type {number} */
+    const begin = reader.readBits(24);
+    /** @type {number} */
+    const end = reader.readBits(24);
+    /** @type {number} */
+    const partitionSize = reader.readBits(24) + 1;
+    /** @type {number} */
+    const classifications = reader.readBits(6) + 1;
+    /** @type {number} */
+    const classbook = reader.readBits(8);
+    /** @type {Array.<number>} */
+    const cascade = [];
+    /** @type {Array.<Array.<number>>} */
+    const books = [];
+    /** @type {number} */
+    let i;
+    /** @type {number} */
+    let j;
+
+    for (i = 0; i < classifications; ++i) {
+      /** @type {number} */
+      const lowBits = reader.readBits(3);
+
+      cascade.push((reader.readBit() ? reader.readBits(5) << 3 : 0) | lowBits);
+    }
+
+    for (i = 0; i < classifications; ++i) {
+      books.push([]);
+      for (j = 0; j < 8; ++j) {
+        books[i].push(cascade[i] & (1 << j) ? reader.readBits(8) : -1);
+      }
+    }
+
+    return {
+      type: type,
+      begin: begin,
+      end: end,
+      partitionSize: partitionSize,
+      classifications: classifications,
+      classbook: classbook,
+      books: books
+    };
+  }
+
+  /**
+   * @param {BitReader} reader
+   * @return {VorbisMapping}
+   * @private
+   */
+  parseMapping_ (reader) {
+    /** @type {number} */
+    const channels = this.channels;
+    /** @type {Array.<number>} */
+    const magnitude = [];
+    /** @type {Array.<number>} */
+    const angle = [];
+    /** @type {Array.<number>} */
+    const mux = new Array(channels).fill(0);
+    /** @type {Array.<number>} */
+    const submapFloor = [];
+    /** @type {Array.<number>} */
+    const submapResidue = [];
+    /** @type {number} */
+    let i;
+
+    if (reader.readBits(16) !== 0) {
+      throw new Error('unsupported vorbis mapping type');
+    }
+
+    /** @type {number} */
+    const submaps = reader.readBit() ? reader.readBits(4) + 1 : 1;
+
+    if (reader.readBit()) {
+      /** @type {number} */
+      const couplingSteps = reader.readBits(8) + 1;
+      /** @type {number} */
+      const bits = ilog(channels - 1);
+
+      for (i = 0; i < couplingSteps; ++i) {
+        magnitude.push(reader.readBits(bits));
+        angle.push(reader.readBits(bits));
+      }
+    }
+
+    if (reader.readBits(2) !== 0) {
+      throw new Error('invalid vorbis mapping reserved field');
+    }
+
+    if (submaps > 1) {
+      for (i = 0; i < channels; ++i) {
+        mux[i] = reader.readBits(4);
+      }
+    }
+
+    for (i = 0; i < submaps; ++i) {
+      // time configuration placeholder
+      reader.readBits(8);
+      submapFloor.push(reader.readBits(8));
+      submapResidue.push(reader.readBits(8));
+    }
+
+    return {
+      magnitude: magnitude,
+      angle: angle,
+      mux: mux,
+      submapFloor: submapFloor,
+      submapResidue: submapResidue
+    };
+  }
+
+  /**
+   * @param {number} blockFlag
+   * @param {number} previous previous window flag.
+   * @param {number} next next window flag.
+   * @return {Float32Array}
+   * @private
+   */
+  createWindow_ (blockFlag, previous, next) {
+    /** @type {number} */
+    const n = this.blocksize[blockFlag];
+    /** @type {number} */
+    const shortN = this.blocksize[0];
+    /** @type {Float32Array} */
+    const window = new Float32Array(n);
+    /** @type {number} */
+    const leftStart = blockFlag && !previous ? n / 4 - shortN / 4 : 0;
+    /** @type {number} */
+    const leftN = blockFlag && !previous ? shortN / 2 : n / 2;
+    /** @type {number} */
+    const rightStart = blockFlag && !next ? n * 3 / 4 - shortN / 4 : n / 2;
+    /** @type {number} */
+    const rightN = blockFlag && !next ? shortN / 2 : n / 2;
+    /** @type {number} */
+    let i;
+
+    for (i = 0; i < n; ++i) {
+      if (i < leftStart) {
+        window[i] = 0;
+      } else if (i < leftStart + leftN) {
+        window[i] = Math.sin(Math.PI / 2 * Math.sin((i - leftStart + 0.5) / leftN * Math.PI / 2) ** 2);
+      } else if (i < rightStart) {
+        window[i] = 1;
+      } else if (i < rightStart + rightN) {
+        window[i] = Math.sin(Math.PI / 2 * Math.sin((i - rightStart + 0.5) / rightN * Math.PI / 2 + Math.PI / 2) ** 2);
+      } else {
+        window[i] = 0;
+      }
+    }
+
+    return window;
+  }
+
+  /**
+   * @param {BitReader} reader
+   * @return {?{n: number, pcm: Array.<Float32Array>}} windowed block, null for non audio packets.
+   * @private
+   */
+  decodePacket_ (reader) {
+    if (reader.readBit() !== 0) {
+      return null;
+    }
+
+    /** @type {number} */
+    const channels = this.channels;
+    /** @type {VorbisMode} */
+    const mode = this.modes[reader.readBits(ilog(this.modes.length - 1))];
+
+    if (mode === undefined) {
+      return null;
+    }
+
+    /** @type {number} */
+    const n = this.blocksize[mode.blockFlag];
+    /** @type {number} */
+    const halfN = n / 2;
+    /** @type {Float32Array} */
+    let window = this.windows[0][0];
+
+    if (mode.blockFlag) {
+      /** @type {number} */
+      const previous = reader.readBit();
+
+      window = this.windows[1][previous * 2 + reader.readBit()];
+    }
+
+    /** @type {VorbisMapping} */
+    const mapping = this.mappings[mode.mapping];
+    /** @type {Array.<?Int32Array>} */
+    const floors = [];
+    /** @type {Array.<boolean>} */
+    const noResidue = [];
+    /** @type {Array.<Float32Array>} */
+    const spectrum = [];
+    /** @type {number} */
+    let i;
+    /** @type {number} */
+    let il;
+    /** @type {number} */
+    let ch;
+    /** @type {number} */
+    let j;
+
+    // floor
+    for (ch = 0; ch < channels; ++ch) {
+      floors[ch] = this.decodeFloor_(reader, this.floors[mapping.submapFloor[mapping.mux[ch]]], halfN);
+      noResidue[ch] = floors[ch] === null;
+      spectrum[ch] = new Float32Array(halfN);
+    }
+
+    // nonzero vector propagate
+    for (i = 0, il = mapping.magnitude.length; i < il; ++i) {
+      if (!noResidue[mapping.magnitude[i]] || !noResidue[mapping.angle[i]]) {
+        noResidue[mapping.magnitude[i]] = false;
+        noResidue[mapping.angle[i]] = false;
+      }
+    }
+
+    // residue
+    for (i = 0, il = mapping.submapResidue.length; i < il; ++i) {
+      /** @type {Array.<Float32Array>} */
+      const vectors = [];
+      /** @type {Array.<boolean>} */
+      const doNotDecode = [];
+
+      for (ch = 0; ch < channels; ++ch) {
+        if (mapping.mux[ch] === i) {
+          vectors.push(spectrum[ch]);
+          doNotDecode.push(noResidue[ch]);
+        }
+      }
+
+      this.decodeResidue_(reader, this.residues[mapping.submapResidue[i]], vectors, doNotDecode, halfN);
+    }
+
+    // inverse coupling
+    for (i = mapping.magnitude.length - 1; i >= 0; --i) {
+      /** @type {Float32Array} */
+      const magnitude = spectrum[mapping.magnitude[i]];
+      /** @type {Float32Array} */
+      const angle = spectrum[mapping.angle[i]];
+
+      for (j = 0; j < halfN; ++j) {
+        /** @type {number} */
+        const m = magnitude[j];
+        /** @type {number} */
+        const a = angle[j];
+
+        if (m > 0) {
+          if (a > 0) {
+            angle[j] = m - a;
+          } else {
+            angle[j] = m;
+            magnitude[j] = m + a;
+          }
+        } else if (a > 0) {
+          angle[j] = m + a;
+        } else {
+          angle[j] = m;
+          magnitude[j] = m - a;
+        }
+      }
+    }
+
+    // dot product, inverse MDCT and window
+    /** @type {Array.<Float32Array>} */
+    const pcm = [];
+
+    for (ch = 0; ch < channels; ++ch) {
+      /** @type {?Int32Array} */
+      const floor = floors[ch];
+      /** @type {Float32Array} */
+      const vector = spectrum[ch];
+
+      if (floor === null) {
+        pcm[ch] = new Float32Array(n);
+        continue;
+      }
+
+      for (j = 0; j < halfN; ++j) {
+        vector[j] *= FLOOR1_INVERSE_DB_TABLE[floor[j]];
+      }
+
+      pcm[ch] = this.inverseMdct_(vector);
+
+      for (j = 0; j < n; ++j) {
+        pcm[ch][j] *= window[j];
+      }
+    }
+
+    return {
+      n: n,
+      pcm: pcm
+    };
+  }
+
+  /**
+   * @param {BitReader} reader
+   * @param {VorbisFloor} floor
+   * @param {number} n half of the block size.
+   * @return {?Int32Array} floor curve (indices of the inverse dB table), null if unused.
+   * @private
+   */
+  decodeFloor_ (reader, floor, n) {
+    if (!reader.readBit()) {
+      return null;
+    }
+
+    /** @type {number} */
+    const range = [256, 128, 86, 64][floor.multiplier - 1];
+    /** @type {number} */
+    const bits = ilog(range - 1);
+    /** @type {Array.<number>} */
+    const xList = floor.xList;
+    /** @type {Array.<number>} */
+    const y = [reader.readBits(bits), reader.readBits(bits)];
+    /** @type {number} */
+    let offset = 2;
+    /** @type {number} */
+    let i;
+    /** @type {number} */
+    let il;
+    /** @type {number} */
+    let j;
+
+    for (i = 0, il = floor.partitionClassList.length; i < il; ++i) {
+      /** @type {number} */
+      const classNumber = floor.partitionClassList[i];
+      /** @type {number} */
+      const dimensions = floor.classDimensions[classNumber];
+      /** @type {number} */
+      const subclassBits = floor.classSubclasses[classNumber];
+      /** @type {number} */
+      const subclassMask = (1 << subclassBits) - 1;
+      /** @type {number} */
+      let classValue = 0;
+
+      if (subclassBits > 0) {
+        classValue = this.decodeScalar_(reader, this.codebooks[floor.classMasterbooks[classNumber]]);
+      }
+
+      for (j = 0; j < dimensions; ++j) {
+        /** @type {number} */
+        const book = floor.subclassBooks[classNumber][classValue & subclassMask];
+
+        classValue >>>= subclassBits;
+        y[offset + j] = book >= 0 ? this.decodeScalar_(reader, this.codebooks[book]) : 0;
+      }
+      offset += dimensions;
+    }
+
+    if (reader.isEndOfPacket()) {
+      return null;
+    }
+
+    // amplitude value synthesis
+    /** @type {Array.<number>} */
+    const finalY = [y[0], y[1]];
+    /** @type {Array.<boolean>} */
+    const step2 = [true, true];
+
+    for (i = 2, il = xList.length; i < il; ++i) {
+      /** @type {number} */
+      const low = floor.lowNeighbor[i];
+      /** @type {number} */
+      const high = floor.highNeighbor[i];
+      /** @type {number} */
+      const predicted = renderPoint(xList[low], finalY[low], xList[high], finalY[high], xList[i]);
+      /** @type {number} */
+      const value = y[i];
+      /** @type {number} */
+      const highRoom = range - predicted;
+      /** @type {number} */
+      const lowRoom = predicted;
+      /** @type {number} */
+      const room = (highRoom < lowRoom ? highRoom : lowRoom) * 2;
+
+      if (value === 0) {
+        step2[i] = false;
+        finalY[i] = predicted;
+        continue;
+      }
+
+      step2[low] = true;
+      step2[high] = true;
+      step2[i] = true;
+
+      if (value >= room) {
+        finalY[i] = highRoom > lowRoom ? value - lowRoom + predicted : predicted - value + highRoom - 1;
+      } else if (value & 1) {
+        finalY[i] = predicted - ((value + 1) >> 1);
+      } else {
+        finalY[i] = predicted + (value >> 1);
+      }
+    }
+
+    // curve synthesis
+    /** @type {Int32Array} */
+    const curve = new Int32Array(n);
+    /** @type {number} */
+    let lx = 0;
+    /** @type {number} */
+    let ly = finalY[floor.sortedOrder[0]] * floor.multiplier;
+    /** @type {number} */
+    let hx = 0;
+    /** @type {number} */
+    let hy = ly;
+
+    for (i = 1, il = floor.sortedOrder.length; i < il; ++i) {
+      /** @type {number} */
+      const index = floor.sortedOrder[i];
+
+      if (step2[index]) {
+        hx = xList[index];
+        hy = finalY[index] * floor.multiplier;
+        renderLine(lx, ly, hx, hy, curve);
+        lx = hx;
+        ly = hy;
+      }
+    }
+
+    for (i = hx; i < n; ++i) {
+      curve[i] = hy;
+    }
+
+    for (i = 0; i < n; ++i) {
+      curve[i] = Math.min(255, Math.max(0, curve[i]));
+    }
+
+    return curve;
+  }
+
+  /**
+   * @param {BitReader} reader
+   * @param {VorbisResidue} residue
+   * @param {Array.<Float32Array>} vectors
+   * @param {Array.<boolean>} doNotDecode
+   * @param {number} n half of the block size.
+   * @returns {void}
+   * @private
+   */
+  decodeResidue_ (reader, residue, vectors, doNotDecode, n) {
+    /** @type {number} */
+    let i;
+    /** @type {number} */
+    let j;
+
+    if (residue.type !== 2) {
+      this.decodeResiduePartitions_(reader, residue, vectors, doNotDecode, n);
+
+      return;
+    }
+
+    // type 2: interleave all channels into a single vector
+    if (doNotDecode.every(flag => flag)) {
+      return;
+    }
+
+    /** @type {number} */
+    const channels = vectors.length;
+    /** @type {Float32Array} */
+    const interleaved = new Float32Array(n * channels);
+
+    this.decodeResiduePartitions_(reader, residue, [interleaved], [false], n * channels);
+
+    for (i = 0; i < n; ++i) {
+      for (j = 0; j < channels; ++j) {
+        vectors[j][i] += interleaved[i * channels + j];
+      }
+    }
+  }
+
+  /**
+   * @param {BitReader} reader
+   * @param {VorbisResidue} residue
+   * @param {Array.<Float32Array>} vectors
+   * @param {Array.<boolean>} doNotDecode
+   * @param {number} size
+   * @returns {void}
+   * @private
+   */
+  decodeResiduePartitions_ (reader, residue, vectors, doNotDecode, size) {
+    /** @type {VorbisCodebook} */
+    const classbook = this.codebooks[residue.classbook];
+    /** @type {number} */
+    const classwordsPerCodeword = classbook.dimensions;
+    /** @type {number} */
+    const limitBegin = Math.min(residue.begin, size);
+    /** @type {number} */
+    const limitEnd = Math.min(residue.end, size);
+    /** @type {number} */
+    const partitionSize = residue.partitionSize;
+    /** @type {number} */
+    const partitionsToRead = Math.floor((limitEnd - limitBegin) / partitionSize);
+    /** @type {Array.<Int32Array>} */
+    const classifications = vectors.map(() => new Int32Array(partitionsToRead + classwordsPerCodeword));
+    /** @type {number} */
+    let pass;
+    /** @type {number} */
+    let partitionCount;
+    /** @type {number} */
+    let i;
+    /** @type {number} */
+    let j;
+
+    if (partitionsToRead <= 0) {
+      return;
+    }
+
+    for (pass = 0; pass < 8; ++pass) {
+      partitionCount = 0;
+
+      while (partitionCount < partitionsToRead) {
+        if (pass === 0) {
+          for (j = 0; j < vectors.length; ++j) {
+            if (doNotDecode[j]) {
+              continue;
+            }
+
+            /** @type {number} */
+            let temp = this.decodeScalar_(reader, classbook);
+
+            if (temp < 0) {
+              return;
+            }
+
+            for (i = classwordsPerCodeword - 1; i >= 0; --i) {
+              classifications[j][i + partitionCount] = temp % residue.classifications;
+              temp = Math.floor(temp / residue.classifications);
+            }
+          }
+        }
+
+        for (i = 0; i < classwordsPerCodeword && partitionCount < partitionsToRead; ++i) {
+          for (j = 0; j < vectors.length; ++j) {
+            if (doNotDecode[j]) {
+              continue;
+            }
+
+            /** @type {number} */
+            const book = residue.books[classifications[j][partitionCount]][pass];
+
+            if (book < 0) {
+              continue;
+            }
+
+            if (!this.decodePartition_(
+              reader,
+              this.codebooks[book],
+              vectors[j],
+              limitBegin + partitionCount * partitionSize,
+              partitionSize,
+              residue.type
+            )) {
+              return;
+            }
+          }
+          ++partitionCount;
+        }
+      }
+    }
+  }
+
+  /**
+   * @param {BitReader} reader
+   * @param {VorbisCodebook} codebook
+   * @param {Float32Array} vector
+   * @param {number} offset
+   * @param {number} partitionSize
+   * @param {number} type residue type.
+   * @return {boolean} false at end of packet.
+   * @private
+   */
+  decodePartition_ (reader, codebook, vector, offset, partitionSize, type) {
+    /** @type {number} */
+    const dimensions = codebook.dimensions;
+    /** @type {Float32Array} */
+    const lookup = codebook.lookup;
+    /** @type {number} */
+    let entry;
+    /** @type {number} */
+    let i;
+    /** @type {number} */
+    let j;
+
+    if (type === 0) {
+      /** @type {number} */
+      const step = partitionSize / dimensions;
+
+      for (i = 0; i < step; ++i) {
+        entry = this.decodeScalar_(reader, codebook);
+        if (entry < 0) {
+          return false;
+        }
+        for (j = 0; j < dimensions; ++j) {
+          vector[offset + i + j * step] += lookup[entry * dimensions + j];
+        }
+      }
+
+      return true;
+    }
+
+    for (i = 0; i < partitionSize;) {
+      entry = this.decodeScalar_(reader, codebook);
+      if (entry < 0) {
+        return false;
+      }
+      for (j = 0; j < dimensions && i < partitionSize; ++j) {
+        vector[offset + i++] += lookup[entry * dimensions + j];
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Inverse MDCT computed through a DCT-IV (N/4 point complex FFT).
+   * @param {Float32Array} spectrum N/2 coefficients.
+   * @return {Float32Array} N samples.
+   * @private
+   */
+  inverseMdct_ (spectrum) {
+    /** @type {number} */
+    const m = spectrum.length;
+    /** @type {number} */
+    const n = m * 2;
+    /** @type {Float64Array} */
+    const u = this.dct4_(spectrum);
+    /** @type {Float32Array} */
+    const output = new Float32Array(n);
+    /** @type {number} */
+    let i;
+
+    for (i = 0; i < m / 2; ++i) {
+      output[i] = u[i + m / 2];
+    }
+    for (; i < m * 3 / 2; ++i) {
+      output[i] = -u[m * 3 / 2 - 1 - i];
+    }
+    for (; i < n; ++i) {
+      output[i] = -u[i - m * 3 / 2];
+    }
+
+    return output;
+  }
+
+  /**
+   * @param {number} m DCT-IV size.
+   * @return {Object.<string, Float64Array>}
+   * @private
+   */
+  getTwiddles_ (m) {
+    if (this.twiddles[m]) {
+      return this.twiddles[m];
+    }
+
+    /** @type {number} */
+    const half = m / 2;
+    /** @type {Object.<string, Float64Array>} */
+    const twiddles = {
+      preCos: new Float64Array(half),
+      preSin: new Float64Array(half),
+      postCos: new Float64Array(half),
+      postSin: new Float64Array(half),
+      fftCos: new Float64Array(half / 2),
+      fftSin: new Float64Array(half / 2)
+    };
+    /** @type {number} */
+    let k;
+
+    for (k = 0; k < half; ++k) {
+      twiddles.preCos[k] = Math.cos(-Math.PI * (4 * k + 1) / (4 * m));
+      twiddles.preSin[k] = Math.sin(-Math.PI * (4 * k + 1) / (4 * m));
+      twiddles.postCos[k] = Math.cos(-Math.PI * k / m);
+      twiddles.postSin[k] = Math.sin(-Math.PI * k / m);
+    }
+    for (k = 0; k < half / 2; ++k) {
+      twiddles.fftCos[k] = Math.cos(-2 * Math.PI * k / half);
+      twiddles.fftSin[k] = Math.sin(-2 * Math.PI * k / half);
+    }
+
+    this.twiddles[m] = twiddles;
+
+    return twiddles;
+  }
+
+  /**
+   * u[n] = sum X[k] cos(PI / M * (n + 1/2) * (k + 1/2))
+   * @param {Float32Array} x M coefficients.
+   * @return {Float64Array}
+   * @private
+   */
+  dct4_ (x) {
+    /** @type {number} */
+    const m = x.length;
+    /** @type {number} */
+    const half = m / 2;
+    /** @type {Object.<string, Float64Array>} */
+    const twiddles = this.getTwiddles_(m);
+    /** @type {Float64Array} */
+    const re = new Float64Array(half);
+    /** @type {Float64Array} */
+    const im = new Float64Array(half);
+    /** @type {Float64Array} */
+    const output = new Float64Array(m);
+    /** @type {number} */
+    let k;
+
+    // pre-twiddle
+    for (k = 0; k < half; ++k) {
+      /** @type {number} */
+      const a = x[2 * k];
+      /** @type {number} */
+      const b = x[m - 1 - 2 * k];
+      /** @type {number} */
+      const c = twiddles.preCos[k];
+      /** @type {number} */
+      const s = twiddles.preSin[k];
+
+      re[k] = a * c - b * s;
+      im[k] = a * s + b * c;
+    }
+
+    this.fft_(re, im, twiddles.fftCos, twiddles.fftSin);
+
+    // post-twiddle
+    for (k = 0; k < half; ++k) {
+      /** @type {number} */
+      const c = twiddles.postCos[k];
+      /** @type {number} */
+      const s = twiddles.postSin[k];
+
+      output[2 * k] = re[k] * c - im[k] * s;
+      output[m - 1 - 2 * k] = -(re[k] * s + im[k] * c);
+    }
+
+    return output;
+  }
+
+  /**
+   * In-place radix-2 complex FFT.
+   * @param {Float64Array} re
+   * @param {Float64Array} im
+   * @param {Float64Array} cos cos(-2 PI k / n)
+   * @param {Float64Array} sin sin(-2 PI k / n)
+   * @returns {void}
+   * @private
+   */
+  fft_ (re, im, cos, sin) {
+    /** @type {number} */
+    const n = re.length;
+    /** @type {number} */
+    let i;
+    /** @type {number} */
+    let j = 0;
+    /** @type {number} */
+    let size;
+
+    // bit reversal
+    for (i = 0; i < n - 1; ++i) {
+      if (i < j) {
+        /** @type {number} */
+        let t = re[i];
+
+        re[i] = re[j];
+        re[j] = t;
+        t = im[i];
+        im[i] = im[j];
+        im[j] = t;
+      }
+
+      /** @type {number} */
+      let bit = n >> 1;
+
+      while (j & bit) {
+        j ^= bit;
+        bit >>= 1;
+      }
+      j |= bit;
+    }
+
+    for (size = 2; size <= n; size *= 2) {
+      /** @type {number} */
+      const halfSize = size / 2;
+      /** @type {number} */
+      const stride = n / size;
+
+      for (i = 0; i < n; i += size) {
+        for (j = 0; j < halfSize; ++j) {
+          /** @type {number} */
+          const c = cos[j * stride];
+          /** @type {number} */
+          const s = sin[j * stride];
+          /** @type {number} */
+          const a = i + j;
+          /** @type {number} */
+          const b = a + halfSize;
+          /** @type {number} */
+          const tr = re[b] * c - im[b] * s;
+          /** @type {number} */
+          const ti = re[b] * s + im[b] * c;
+
+          re[b] = re[a] - tr;
+          im[b] = im[a] - ti;
+          re[a] += tr;
+          im[a] += ti;
+        }
+      }
+    }
+  }
+}
+
+/**
+ * @param {Uint8Array} input Ogg Vorbis stream.
+ * @return {DecodedAudio}
+ */
+export function decodeVorbis (input) {
+  return new VorbisDecoder(input).decode();
+}
+
+/**
+ * Length of the Ogg stream at the start of input: up to the end of the page
+ * flagged as end of stream, or of the last complete page.
+ * @param {Uint8Array} input
+ * @return {number} bytes.
+ */
+export function getOggStreamLength (input) {
+  /** @type {number} */
+  let ip = 0;
+  /** @type {number} */
+  let i;
+
+  while (ip + 27 <= input.length &&
+    input[ip] === 0x4f && input[ip + 1] === 0x67 && input[ip + 2] === 0x67 && input[ip + 3] === 0x53) {
+    /** @type {number} */
+    const numberOfSegments = input[ip + 26];
+    /** @type {number} */
+    let pageEnd = ip + 27 + numberOfSegments;
+
+    for (i = 0; i < numberOfSegments && ip + 27 + i < input.length; ++i) {
+      pageEnd += input[ip + 27 + i];
+    }
+
+    if (pageEnd > input.length) {
+      break;
+    }
+
+    /** @type {boolean} */
+    const endOfStream = (input[ip + 5] & 0x04) !== 0;
+
+    ip = pageEnd;
+
+    if (endOfStream) {
+      break;
+    }
+  }
+
+  return ip;
+}
+
+export default VorbisDecoder;
@@ -0,0 +1,163 @@
+/* eslint-disable no-bitwise */
+import { Riff } from './riff.js';
+
+/** @typedef {import('./riff.js').RiffChunk} RiffChunk */
+
+/**
+ * @typedef WaveAudio
+ * @prop {number} sampleRate
+ * @prop {number} channels
+ * @prop {number} bitsPerSample
+ * @prop {Array.<Float32Array>} data PCM data (-1 to 1) per channel.
+ * @prop {?number} unityNote MIDI unity note of the smpl chunk.
+ * @prop {?{start: number, end: number}} loop first loop of the smpl chunk, end exclusive.
+ */
+
+/**
+ * Wave format tags.
+ * @enum {number}
+ */
+const WaveFormat = {
+  PCM: 0x0001,
+  IEEE_FLOAT: 0x0003,
+  EXTENSIBLE: 0xfffe
+};
+
+/**
+ * @param {Uint8Array} input
+ * @return {boolean} true for a RIFF file of form type 'WAVE'.
+ */
+export function isWaveFile (input) {
+  return input.length >= 12 &&
+    String.fromCharCode(input[0], input[1], input[2], input[3]) === 'RIFF' &&
+    String.fromCharCode(input[8], input[9], input[10], input[11]) === 'WAVE';
+}
+
+/**
+ * @param {DataView} view
+ * @param {number} ip
+ * @param {boolean} float
+ * @param {number} bytes bytes per sample.
+ * @return {number} -1 to 1.
+ */
+function readSample (view, ip, float, bytes) {
+  if (float) {
+    return bytes === 4 ? view.getFloat32(ip, true) : view.getFloat64(ip, true);
+  }
+
+  switch (bytes) {
+  case 1:
+    // 8 bit samples are unsigned
+    return (view.getUint8(ip) - 128) / 128;
+  case 2:
+    return view.getInt16(ip, true) / 32768;
+  case 3:
+    return ((view.getInt8(ip + 2) << 16) | view.getUint16(ip, true)) / 8388608;
+  default:
+    return view.getInt32(ip, true) / 2147483648;
+  }
+}
+
+/**
+ * Decode a WAV file: integer PCM of 8 to 32 bits or 32/64 bit float.
+ * @param {Uint8Array} input
+ * @return {WaveAudio}
+ */
+export function decodeWave (input) {
+  if (!isWaveFile(input)) {
+    throw new Error('invalid wave file');
+  }
+
+  // the RIFF size of streamed files can be wrong, the chunks are read up to the end of the input
+  /** @type {Riff} */
+  const parser = new Riff(input, { index: 12, lenient: true });
+
+  parser.parse();
+
+  /** @type {Object.<string, RiffChunk>} */
+  const chunks = {};
+
+  parser.chunkList.forEach(chunk => {
+    chunks[chunk.type] = chunks[chunk.type] || chunk;
+  });
+
+  if (chunks['fmt '] === undefined || chunks.data === undefined) {
+    throw new Error('fmt or data chunk not found');
+  }
+
+  /** @type {DataView} */
+  const fmt = new DataView(input.buffer, input.byteOffset + chunks['fmt '].offset, chunks['fmt '].size);
+  /** @type {number} */
+  let format = fmt.getUint16(0, true);
+  /** @type {number} */
+  const channels = Math.max(1, fmt.getUint16(2, true));
+  /** @type {number} */
+  const sampleRate = fmt.getUint32(4, true);
+  /** @type {number} */
+  const bitsPerSample = fmt.getUint16(14, true);
+
+  if (format === WaveFormat.EXTENSIBLE && fmt.byteLength >= 26) {
+    // first two bytes of the sub format GUID
+    format = fmt.getUint16(24, true);
+  }
+
+  if (
+    !(format === WaveFormat.PCM && bitsPerSample >= 8 && bitsPerSample <= 32 && bitsPerSample % 8 === 0) &&
+    !(format === WaveFormat.IEEE_FLOAT && (bitsPerSample === 32 || bitsPerSample === 64))
+  ) {
+    throw new Error(`unsupported wave format ${format} (${bitsPerSample} bit)`);
+  }
+
+  /** @type {number} */
+  const bytes = bitsPerSample >> 3;
+  /** @type {DataView} */
+  const view = new DataView(input.buffer, input.byteOffset + chunks.data.offset, chunks.data.size);
+  /** @type {number} */
+  const length = Math.floor(chunks.data.size / (bytes * channels));
+  /** @type {Array.<Float32Array>} */
+  const data = [];
+  /** @type {number} */
+  let channel;
+  /** @type {number} */
+  let i;
+
+  for (channel = 0; channel < channels; ++channel) {
+    /** @type {Float32Array} */
+    const output = new Float32Array(length);
+    /** @type {number} */
+    let ip = channel * bytes;
+
+    for (i = 0; i < length; ++i, ip += bytes * channels) {
+      output[i] = readSample(view, ip, format === WaveFormat.IEEE_FLOAT, bytes);
+    }
+
+    data.push(output);
+  }
+
+  /** @type {WaveAudio} */
+  const wave = {
+    sampleRate: sampleRate,
+    channels: channels,
+    bitsPerSample: format === WaveFormat.IEEE_FLOAT ? 24 : bitsPerSample,
+    data: data,
+    unityNote: null,
+    loop: null
+  };
+
+  // sampler chunk: unity note and loops (end inclusive)
+  if (chunks.smpl !== undefined && chunks.smpl.size >= 36) {
+    /** @type {DataView} */
+    const smpl = new DataView(input.buffer, input.byteOffset + chunks.smpl.offset, chunks.smpl.size);
+
+    wave.unityNote = smpl.getUint32(12, true) & 0x7f;
+
+    if (smpl.getUint32(28, true) > 0 && chunks.smpl.size >= 60) {
+      wave.loop = {
+        start: Math.min(smpl.getUint32(44, true), length),
+        end: Math.min(smpl.getUint32(48, true) + 1, length)
+      };
+    }
+  }
+
+  return wave;
+}
@@ -0,0 +1,101 @@
+/* eslint-disable no-bitwise */
+
+/**
+ * @typedef MidiInputOptions
+ * @prop {Array.<?number>=} channelMap target channel by source channel, null or a
+ * missing entry drops the channel. All channels pass unchanged by default.
+ * @prop {boolean=} omni play every channel on the current channel of the SoundFont.
+ */
+
+/**
+ * Route the messages of a Web MIDI input to a synthesizer.
+ */
+export class MidiInputConnection {
+  /**
+   * @param {MIDIInput} input
+   * @param {function(Uint8Array): void} send receives complete MIDI messages.
+   * @param {function(): number} getChannel current channel for omni mode.
+   * @param {MidiInputOptions=} optParams
+   */
+  constructor (input, send, getChannel, optParams = {}) {
+    /** @type {MIDIInput} */
+    this.input = input;
+    /** @type {function(Uint8Array): void} */
+    this.send = send;
+    /** @type {function(): number} */
+    this.getChannel = getChannel;
+    /** @type {?Array.<?number>} */
+    this.channelMap = optParams.channelMap || null;
+    /** @type {boolean} */
+    this.omni = optParams.omni || false;
+    /** @type {Set.<number>} channels with notes played from this input */
+    this.channels = new Set();
+    // midimessage listener bound to this connection
+    this.listener = event => this.handleMessage_(event.data);
+  }
+
+  /**
+   * @return {void}
+   */
+  connect () {
+    this.input.addEventListener('midimessage', this.listener);
+  }
+
+  /**
+   * Stop listening and turn off the notes played from this input, held
+   * ones included.
+   * @return {void}
+   */
+  disconnect () {
+    this.input.removeEventListener('midimessage', this.listener);
+
+    this.channels.forEach(channel => {
+      // hold off, then all notes off so held notes are released too
+      this.send(new Uint8Array([0xb0 | channel, 0x40, 0]));
+      this.send(new Uint8Array([0xb0 | channel, 0x7b, 0]));
+    });
+    this.channels.clear();
+  }
+
+  /**
+   * @param {Uint8Array} data one complete MIDI message.
+   * @return {void}
+   * @private
+   */
+  handleMessage_ (data) {
+    if (data.length === 0) {
+      return;
+    }
+
+    // system messages are not bound to a channel
+    if (data[0] >= 0xf0) {
+      this.send(data);
+
+      return;
+    }
+
+    /** @type {number} */
+    const source = data[0] & 0x0f;
+    /** @type {?number} */
+    const channel = this.omni ?
+      this.getChannel() :
+      this.channelMap !== null ? this.channelMap[source] : source;
+
+    if (channel === null || channel === undefined || channel < 0 || channel > 15) {
+      return;
+    }
+
+    /** @type {Uint8Array} */
+    const message = new Uint8Array(data);
+
+    message[0] = (data[0] & 0xf0) | channel;
+
+    if ((data[0] & 0xf0) === 0x90) {
+      this.channels.add(channel);
+    }
+
+    this.send(message);
+  }
+}
+
+export default MidiInputConnection;
@@ -0,0 +1,143 @@
+/** @typedef {import('./sound_font_synth.js').Synthesizer} Synthesizer */
+
+/**
+ * @typedef WebMidiLinkOptions
+ * @prop {Window=} target host window: it receives 'link,ready' and only its messages are played
+ * (default: opener, or parent when framed).
+ * @prop {string=} origin accepted origin of the messages from any window and target origin of the
+ * replies, '*' accepts every window (default: only the messages of the target are accepted).
+ */
+
+/**
+ * Field of a 'midi,...' message: one byte in 1 or 2 hex digits.
+ * @type {RegExp}
+ * @const
+ */
+const HEX_BYTE = /^[0-9a-f]{1,2}$/i;
+
+/**
+ * WebMidiLink receiver: plays 'midi,...' messages posted by a host sequencer
+ * and answers its 'link,...' requests. The patch is the bank and program of
+ * each channel.
+ */
+export class WebMidiLink {
+  /**
+   * @param {function(): ?Synthesizer} getSynth synthesizer, null while no sound font is loaded.
+   * @param {WebMidiLinkOptions=} optParams
+   */
+  constructor (getSynth, optParams = {}) {
+    /** @type {function(): ?Synthesizer} */
+    this.getSynth = getSynth;
+    /** @type {?Window} */
+    this.target = optParams.target || window.opener || (window.parent !== window ? window.parent : null);
+    /** @type {string} */
+    this.origin = optParams.origin || '*';
+    /** @type {boolean} accept the messages of other windows of the origin */
+    this.anySource = optParams.origin !== undefined;
+    // message listener bound to this receiver
+    this.listener = event => this.handleMessage_(event);
+  }
+
+  /**
+   * @return {void}
+   */
+  listen () {
+    window.addEventListener('message', this.listener);
+  }
+
+  /**
+   * @return {void}
+   */
+  close () {
+    window.removeEventListener('message', this.listener);
+  }
+
+  /**
+   * Tell the host that the synthesizer can play.
+   * @return {void}
+   */
+  ready () {
+    if (this.target !== null) {
+      this.target.postMessage('link,ready', this.origin);
+    }
+  }
+
+  /**
+   * @param {MessageEvent} event
+   * @return {void}
+   * @private
+   */
+  handleMessage_ (event) {
+    /** @type {?Synthesizer} */
+    const synth = this.getSynth();
+
+    if (synth === null || typeof event.data !== 'string' || (this.origin !== '*' && event.origin !== this.origin)) {
+      return;
+    }
+
+    // without an explicit origin only the host window may play
+    if (!this.anySource && (this.target === null || event.source !== this.target)) {
+      return;
+    }
+
+    /** @type {Array.<string>} */
+    const message = event.data.split(',');
+    /** @type {Array.<string>} */
+    const bytes = message.slice(1);
+
+    switch (message[0]) {
+    case 'midi':
+      if (bytes.length > 0 && bytes.every(byte => HEX_BYTE.test(byte))) {
+        synth.processMidiMessage(bytes.map(byte => parseInt(byte, 16)));
+      }
+      break;
+    case 'link':
+      if (message[1] === 'reqpatch' && event.source) {
+        /** @type {Window} */ (event.source).postMessage('link,patch,' + this.getPatch(synth), this.origin);
+      } else if (message[1] === 'setpatch') {
+        this.setPatch(synth, message.slice(2).join(','));
+      }
+      break;
+    default:
+      break;
+    }
+  }
+
+  /**
+   * @param {Synthesizer} synth
+   * @return {string} JSON with the bank and program of each channel.
+   */
+  getPatch (synth) {
+    return JSON.stringify(synth.channelInstrument.map((program, channel) => [synth.channelBank[channel], program]));
+  }
+
+  /**
+   * @param {Synthesizer} synth
+   * @param {string} patch patch of getPatch.
+   * @return {void}
+   */
+  setPatch (synth, patch) {
+    /** @type {Array.<Array.<number>>} */
+    let programs;
+
+    try {
+      programs = JSON.parse(patch);
+    } catch (e) {
+      // patch of another synthesizer
+      return;
+    }
+
+    if (!Array.isArray(programs)) {
+      return;
+    }
+
+    programs.slice(0, 16).forEach((item, channel) => {
+      if (Array.isArray(item)) {
+        synth.bankChange(channel, Number(item[0]) || 0);
+        synth.programChange(channel, Number(item[1]) || 0);
+      }
+    });
+  }
+}
+
+export default WebMidiLink;
@@ -0,0 +1,409 @@
+/* eslint-disable no-bitwise */
+
+/** @typedef {import('./parser.js').Parser} Parser */
+/** @typedef {import('./parser.js').SoundFontInfo} SoundFontInfo */
+/** @typedef {import('./parser.js').SoundFontVersion} SoundFontVersion */
+
+/**
+ * @typedef SampleData
+ * @prop {Uint8Array} smpl
+ * @prop {?Uint8Array} sm24 null if every sample has 16 bit resolution.
+ * @prop {Array.<{start: number, end: number, startLoop: number, endLoop: number, sampleRate: number}>} headers
+ * positions of the samples in smpl.
+ */
+
+/**
+ * Zero sample points written after every sample (sfspec 6.1).
+ * @type {number}
+ * @const
+ */
+const SAMPLE_PADDING = 46;
+
+/**
+ * @param {string} str
+ * @param {number} size
+ * @return {Uint8Array} zero padded bytes.
+ */
+function encodeString (str, size) {
+  /** @type {Uint8Array} */
+  const output = new Uint8Array(size);
+  /** @type {number} */
+  let i;
+  /** @type {number} */
+  let il;
+
+  for (i = 0, il = Math.min(str.length, size); i < il; ++i) {
+    output[i] = str.charCodeAt(i) & 0xff;
+  }
+
+  return output;
+}
+
+/**
+ * @param {Array.<Uint8Array>} arrays
+ * @return {Uint8Array}
+ */
+function concat (arrays) {
+  /** @type {Uint8Array} */
+  const output = new Uint8Array(arrays.reduce((size, array) => size + array.length, 0));
+  /** @type {number} */
+  let offset = 0;
+
+  arrays.forEach(array => {
+    output.set(array, offset);
+    offset += array.length;
+  });
+
+  return output;
+}
+
+/**
+ * @param {string} type
+ * @param {Uint8Array} data
+ * @return {Uint8Array} chunk with header and padding byte.
+ */
+function createChunk (type, data) {
+  /** @type {Uint8Array} */
+  const output = new Uint8Array(8 + data.length + (data.length & 1));
+  /** @type {DataView} */
+  const view = new DataView(output.buffer);
+
+  output.set(encodeString(type, 4), 0);
+  view.setUint32(4, data.length, true);
+  output.set(data, 8);
+
+  return output;
+}
+
+/**
+ * @param {string} signature list type.
+ * @param {Array.<Uint8Array>} chunks
+ * @param {string=} type RIFF or LIST.
+ * @return {Uint8Array}
+ */
+function createList (signature, chunks, type = 'LIST') {
+  return createChunk(type, concat([encodeString(signature, 4)].concat(chunks)));
+}
+
+/**
+ * @param {number} recordSize
+ * @param {Array.<Object>} records
+ * @param {function(DataView, number, Object, number): void} writeRecord called with the record offset and index.
+ * @return {Uint8Array}
+ */
+function createRecords (recordSize, records, writeRecord) {
+  /** @type {Uint8Array} */
+  const output = new Uint8Array(recordSize * records.length);
+  /** @type {DataView} */
+  const view = new DataView(output.buffer);
+
+  records.forEach((record, i) => writeRecord(view, i * recordSize, record, i));
+
+  return output;
+}
+
+/**
+ * @param {DataView} view
+ * @param {number} offset
+ * @param {string} str
+ * @return {void}
+ */
+function writeName (view, offset, str) {
+  new Uint8Array(view.buffer, offset, 20).set(encodeString(str, 20));
+}
+
+/**
+ * SoundFont 2 Writer Class
+ * Serializes the model of a Parser (after parse, possibly edited) to a RIFF sfbk file.
+ */
+export class SoundFontWriter {
+  /**
+   * @param {Parser} parser
+   */
+  constructor (parser) {
+    /** @type {Parser} */
+    this.parser = parser;
+  }
+
+  /**
+   * @return {ArrayBuffer}
+   */
+  write () {
+    /** @type {SampleData} */
+    const sampleData = this.createSampleData_();
+
+    return createList('sfbk', [
+      this.createInfoList_(sampleData),
+      createList('sdta', sampleData.sm24 ?
+        [createChunk('smpl', sampleData.smpl), createChunk('sm24', sampleData.sm24)] :
+        [createChunk('smpl', sampleData.smpl)]),
+      this.createPdtaList_(sampleData)
+    ], 'RIFF').buffer;
+  }
+
+  /**
+   * @param {SampleData} sampleData
+   * @return {Uint8Array}
+   * @private
+   */
+  createInfoList_ (sampleData) {
+    /** @type {SoundFontInfo} */
+    const info = this.parser.info || { version: null, soundEngine: 'EMU8000', name: '' };
+    /** @type {SoundFontVersion} */
+    let version = info.version || { major: 2, minor: 1 };
+    /** @type {Array.<Uint8Array>} */
+    const chunks = [];
+
+    // 24 bit samples need 2.04
+    if (sampleData.sm24 && version.major === 2 && version.minor < 4) {
+      version = { major: 2, minor: 4 };
+    }
+
+    chunks.push(createChunk('ifil', this.createVersion_(version)));
+    chunks.push(this.createStringChunk_('isng', info.soundEngine || 'EMU8000'));
+    chunks.push(this.createStringChunk_('INAM', info.name || ''));
+
+    if (info.romName !== undefined) {
+      chunks.push(this.createStringChunk_('irom', info.romName));
+    }
+    if (info.romVersion !== undefined) {
+      chunks.push(createChunk('iver', this.createVersion_(info.romVersion)));
+    }
+
+    [
+      ['ICRD', info.creationDate],
+      ['IENG', info.engineers],
+      ['IPRD', info.product],
+      ['ICOP', info.copyright],
+      ['ICMT', info.comments],
+      ['ISFT', info.software]
+    ].forEach(([type, value]) => {
+      if (value !== undefined) {
+        chunks.push(this.createStringChunk_(type, value));
+      }
+    });
+
+    return createList('INFO', chunks);
+  }
+
+  /**
+   * @param {SoundFontVersion} version
+   * @return {Uint8Array}
+   * @private
+   */
+  createVersion_ (version) {
+    /** @type {Uint8Array} */
+    const output = new Uint8Array(4);
+    /** @type {DataView} */
+    const view = new DataView(output.buffer);
+
+    view.setUint16(0, version.major, true);
+    view.setUint16(2, version.minor, true);
+
+    return output;
+  }
+
+  /**
+   * Zero terminated string padded to an even size.
+   * @param {string} type
+   * @param {string} value
+   * @return {Uint8Array}
+   * @private
+   */
+  createStringChunk_ (type, value) {
+    return createChunk(type, encodeString(value, (value.length + 2) & ~1));
+  }
+
+  /**
+   * Lay out the samples as stored in the file (before resampling). PCM samples
+   * are followed by 46 zero points, Ogg Vorbis streams (SF3) are stored as is.
+   * @return {SampleData}
+   * @private
+   */
+  createSampleData_ () {
+    const parser = this.parser;
+    /** @type {Array.<(Int16Array|Float32Array|Uint8Array)>} */
+    const samples = parser.originalSample || parser.sample;
+    /** @type {boolean} */
+    const has24Bit = samples.some(sample => sample instanceof Float32Array);
+    /** @type {number} */
+    const size = samples.reduce((total, sample) => total + (sample instanceof Uint8Array ?
+      sample.length + (sample.length & 1) :
+      sample.length > 0 ? (sample.length + SAMPLE_PADDING) * 2 : 0), 0);
+    /** @type {Uint8Array} */
+    const smpl = new Uint8Array(size);
+    /** @type {?Uint8Array} */
+    const sm24 = has24Bit ? new Uint8Array((size >> 1) + ((size >> 1) & 1)) : null;
+    /** @type {Array.<Object>} */
+    const headers = [];
+    /** @type {number} */
+    let op = 0;
+
+    parser.sampleHeader.forEach((header, i) => {
+      /** @type {(Int16Array|Float32Array|Uint8Array)} */
+      const sample = samples[i] || new Int16Array(0);
+      /** @type {number} loop points of resampled samples are multiplied by the same factor */
+      const multiply = header.originalSampleRate > 0 ? header.sampleRate / header.originalSampleRate : 1;
+      /** @type {number} */
+      const startLoop = Math.round(header.startLoop / multiply);
+      /** @type {number} */
+      const endLoop = Math.round(header.endLoop / multiply);
+      /** @type {number} */
+      const sampleRate = header.originalSampleRate !== undefined ? header.originalSampleRate : header.sampleRate;
+      /** @type {number} */
+      let j;
+      /** @type {number} */
+      let jl;
+
+      if (sample.length === 0) {
+        // terminal (EOS) or empty sample
+        headers.push({ start: 0, end: 0, startLoop: startLoop, endLoop: endLoop, sampleRate: sampleRate });
+
+        return;
+      }
+
+      if (sample instanceof Uint8Array) {
+        // compressed: byte offsets, loop points relative to the sample start
+        smpl.set(sample, op);
+        headers.push({ start: op, end: op + sample.length, startLoop: startLoop, endLoop: endLoop, sampleRate: sampleRate });
+        op += sample.length + (sample.length & 1);
+
+        return;
+      }
+
+      /** @type {number} */
+      const start = op >> 1;
+
+      for (j = 0, jl = sample.length; j < jl; ++j) {
+        // 24 bit samples are kept in 16 bit scale with the low byte as fraction
+        /** @type {number} */
+        const value = Math.max(-0x800000, Math.min(0x7fffff, Math.round(sample[j] * 256)));
+
+        smpl[op++] = (value >> 8) & 0xff;
+        smpl[op++] = (value >> 16) & 0xff;
+
+        if (sm24) {
+          sm24[start + j] = value & 0xff;
+        }
+      }
+
+      headers.push({
+        start: start,
+        end: start + sample.length,
+        startLoop: start + startLoop,
+        endLoop: start + endLoop,
+        sampleRate: sampleRate
+      });
+
+      op += SAMPLE_PADDING * 2;
+    });
+
+    return {
+      smpl: smpl,
+      sm24: sm24,
+      headers: headers
+    };
+  }
+
+  /**
+   * @param {SampleData} sampleData
+   * @return {Uint8Array}
+   * @private
+   */
+  createPdtaList_ (sampleData) {
+    const parser = this.parser;
+
+    return createList('pdta', [
+      createChunk('phdr', createRecords(38, parser.presetHeader, (view, offset, preset) => {
+        writeName(view, offset, preset.presetName);
+        view.setUint16(offset + 20, preset.preset, true);
+        view.setUint16(offset + 22, preset.bank, true);
+        view.setUint16(offset + 24, preset.presetBagIndex, true);
+        view.setUint32(offset + 26, preset.library, true);
+        view.setUint32(offset + 30, preset.genre, true);
+        view.setUint32(offset + 34, preset.morphology, true);
+      })),
+      createChunk('pbag', createRecords(4, parser.presetZone, (view, offset, zone) => {
+        view.setUint16(offset, zone.presetGeneratorIndex, true);
+        view.setUint16(offset + 2, zone.presetModulatorIndex, true);
+      })),
+      createChunk('pmod', this.createModulators_(parser.presetZoneModulator)),
+      createChunk('pgen', this.createGenerators_(parser.presetZoneGenerator)),
+      createChunk('inst', createRecords(22, parser.instrument, (view, offset, instrument) => {
+        writeName(view, offset, instrument.instrumentName);
+        view.setUint16(offset + 20, instrument.instrumentBagIndex, true);
+      })),
+      createChunk('ibag', createRecords(4, parser.instrumentZone, (view, offset, zone) => {
+        view.setUint16(offset, zone.instrumentGeneratorIndex, true);
+        view.setUint16(offset + 2, zone.instrumentModulatorIndex, true);
+      })),
+      createChunk('imod', this.createModulators_(parser.instrumentZoneModulator)),
+      createChunk('igen', this.createGenerators_(parser.instrumentZoneGenerator)),
+      createChunk('shdr', createRecords(46, parser.sampleHeader, (view, offset, header, i) => {
+        /** @type {Object} */
+        const position = sampleData.headers[i];
+
+        writeName(view, offset, header.sampleName);
+        view.setUint32(offset + 20, position.start, true);
+        view.setUint32(offset + 24, position.end, true);
+        view.setUint32(offset + 28, position.startLoop, true);
+        view.setUint32(offset + 32, position.endLoop, true);
+        view.setUint32(offset + 36, position.sampleRate, true);
+        view.setUint8(offset + 40, header.originalPitch);
+        view.setInt8(offset + 41, header.pitchCorrection);
+        view.setUint16(offset + 42, header.sampleLink, true);
+        view.setUint16(offset + 44, header.sampleType, true);
+      }))
+    ]);
+  }
+
+  /**
+   * @param {Array.<Object>} modulators
+   * @return {Uint8Array}
+   * @private
+   */
+  createModulators_ (modulators) {
+    return createRecords(10, modulators, (view, offset, modulator) => {
+      view.setUint16(offset, modulator.sourceOper, true);
+      view.setUint16(offset + 2, modulator.destinationOper, true);
+      view.setInt16(offset + 4, modulator.value.amount, true);
+      view.setUint16(offset + 6, modulator.amountSourceOper, true);
+      view.setUint16(offset + 8, modulator.transformOper, true);
+    });
+  }
+
+  /**
+   * @param {Array.<Object>} generators
+   * @return {Uint8Array}
+   * @private
+   */
+  createGenerators_ (generators) {
+    /** @type {Array.<string>} */
+    const table = this.parser.GeneratorEnumeratorTable;
+
+    return createRecords(4, generators, (view, offset, generator) => {
+      /** @type {Object} */
+      const value = generator.value;
+
+      // unknown generators keep their code
+      view.setUint16(offset, generator.type === undefined ? value.code : table.indexOf(generator.type), true);
+
+      if (value.lo !== undefined) {
+        view.setUint8(offset + 2, value.lo);
+        view.setUint8(offset + 3, value.hi);
+      } else {
+        view.setInt16(offset + 2, value.amount, true);
+      }
+    });
+  }
+}
+
+/**
+ * @param {Parser} parser
+ * @return {ArrayBuffer} RIFF sfbk file.
+ */
+export function writeSoundFont (parser) {
+  return new SoundFontWriter(parser).write();
+}
+
+export default SoundFontWriter;
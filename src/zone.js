@@ -0,0 +1,249 @@
+/* eslint-disable no-bitwise */
+import { overrideModulators } from './modulator.js';
+
+/** @typedef {import('./modulator.js').Modulator} Modulator */
+
+/**
+ * @typedef Zone
+ * @prop {Object} generator generators by name.
+ * @prop {Array.<Object>} generatorSequence
+ * @prop {Object} modulator
+ * @prop {Array.<Modulator>} modulatorSequence
+ */
+
+/**
+ * @typedef ZoneList
+ * @prop {?Zone} global global zone, defaults of the other zones.
+ * @prop {Array.<Zone>} zones zones ending with the terminal generator.
+ */
+
+/**
+ * @typedef Range
+ * @prop {number} lo
+ * @prop {number} hi
+ */
+
+/**
+ * @typedef Layer
+ * @prop {Object} generator instrument generators with the preset offsets applied.
+ * @prop {Array.<Modulator>} modulatorSequence instrument modulators.
+ * @prop {Array.<Modulator>} presetModulators
+ * @prop {?Layer} linkedLayer right side of a stereo pair, played by the same voice.
+ */
+
+/**
+ * Sample types (sfspec 7.10), bit 4 marks SF3 compressed samples and bit 15 ROM samples.
+ * @enum {number}
+ */
+export const SampleType = {
+  MONO: 1,
+  RIGHT: 2,
+  LEFT: 4,
+  LINKED: 8
+};
+
+/**
+ * Generators which are only valid in instrument zones, preset zones must ignore them (sfspec 8.5).
+ * @type {Array.<string>}
+ * @const
+ */
+const InstrumentOnlyGenerators = [
+  'startAddrsOffset',
+  'endAddrsOffset',
+  'startloopAddrsOffset',
+  'endloopAddrsOffset',
+  'startAddrsCoarseOffset',
+  'endAddrsCoarseOffset',
+  'startloopAddrsCoarseOffset',
+  'endloopAddrsCoarseOffset',
+  'keynum',
+  'velocity',
+  'sampleModes',
+  'exclusiveClass',
+  'overridingRootKey'
+];
+
+/**
+ * Generators which are not summed when a preset zone is applied to an instrument zone.
+ * @type {Array.<string>}
+ * @const
+ */
+const NonAdditiveGenerators = InstrumentOnlyGenerators.concat([
+  'keyRange',
+  'velRange',
+  'instrument',
+  'sampleID',
+  'unknown',
+  'undefined'
+]);
+
+/**
+ * Default values of the generators which are not 0 (sfspec 8.1.3).
+ * @type {Object.<string, number>}
+ * @const
+ */
+const GeneratorDefaults = {
+  'initialFilterFc': 13500,
+  'delayModLFO': -12000,
+  'delayVibLFO': -12000,
+  'delayModEnv': -12000,
+  'attackModEnv': -12000,
+  'holdModEnv': -12000,
+  'decayModEnv': -12000,
+  'releaseModEnv': -12000,
+  'delayVolEnv': -12000,
+  'attackVolEnv': -12000,
+  'holdVolEnv': -12000,
+  'decayVolEnv': -12000,
+  'releaseVolEnv': -12000,
+  'scaleTuning': 100
+};
+
+/**
+ * @param {Array.<Zone>} zones zones of a preset or an instrument.
+ * @param {string} terminal 'instrument' for presets, 'sampleID' for instruments.
+ * @return {ZoneList}
+ */
+export function splitZones (zones, terminal) {
+  /** @type {ZoneList} */
+  const output = {
+    global: null,
+    zones: []
+  };
+  /** @type {number} */
+  let i;
+  /** @type {number} */
+  let il;
+
+  for (i = 0, il = zones.length; i < il; ++i) {
+    if (zones[i].generator[terminal] !== undefined) {
+      output.zones.push(zones[i]);
+    } else if (i === 0 && il > 1) {
+      // only the first zone can be global, other zones without terminal generator are ignored
+      output.global = zones[i];
+    }
+  }
+
+  return output;
+}
+
+/**
+ * @param {?Range} a
+ * @param {?Range} b
+ * @return {Range}
+ */
+function intersectRange (a, b) {
+  return {
+    lo: Math.max(a ? a.lo : 0, b ? b.lo : 0),
+    hi: Math.min(a ? a.hi : 127, b ? b.hi : 127)
+  };
+}
+
+/**
+ * Local zone generators replace the ones of the global zone.
+ * @param {?Zone} global
+ * @param {Zone} zone
+ * @return {Object}
+ */
+function overrideGenerators (global, zone) {
+  return Object.assign({}, global ? global.generator : {}, zone.generator);
+}
+
+/**
+ * Combine an instrument zone with the preset zone referencing its instrument:
+ * instrument generators are absolute values, preset generators are added to
+ * them and key and velocity ranges are intersected.
+ * @param {ZoneList} presetZones
+ * @param {Zone} presetZone
+ * @param {ZoneList} instrumentZones
+ * @param {Zone} instrumentZone
+ * @return {?Layer} null if the ranges do not overlap.
+ */
+export function createLayer (presetZones, presetZone, instrumentZones, instrumentZone) {
+  /** @type {Object} */
+  const preset = overrideGenerators(presetZones.global, presetZone);
+  /** @type {Object} */
+  const generator = overrideGenerators(instrumentZones.global, instrumentZone);
+  /** @type {Range} */
+  const keyRange = intersectRange(preset.keyRange, generator.keyRange);
+  /** @type {Range} */
+  const velRange = intersectRange(preset.velRange, generator.velRange);
+
+  if (keyRange.lo > keyRange.hi || velRange.lo > velRange.hi) {
+    return null;
+  }
+
+  Object.keys(preset).forEach(name => {
+    if (NonAdditiveGenerators.indexOf(name) !== -1) {
+      return;
+    }
+
+    generator[name] = {
+      amount: (generator[name] ? generator[name].amount : GeneratorDefaults[name] || 0) + preset[name].amount
+    };
+  });
+
+  generator.keyRange = keyRange;
+  generator.velRange = velRange;
+
+  return {
+    generator: generator,
+    modulatorSequence: overrideModulators(
+      instrumentZones.global ? instrumentZones.global.modulatorSequence : [],
+      instrumentZone.modulatorSequence
+    ),
+    presetModulators: overrideModulators(
+      presetZones.global ? presetZones.global.modulatorSequence : [],
+      presetZone.modulatorSequence
+    ),
+    linkedLayer: null
+  };
+}
+
+/**
+ * @param {Range} a
+ * @param {Range} b
+ * @return {boolean}
+ */
+function isSameRange (a, b) {
+  return a.lo === b.lo && a.hi === b.hi;
+}
+
+/**
+ * Pair left samples with the zone of their linked right sample covering the
+ * same keys and velocities. Paired right layers are removed, the left layer
+ * references them as linkedLayer.
+ * @param {Array.<Layer>} layers
+ * @param {Array.<Object>} sampleHeaders
+ * @return {Array.<Layer>}
+ */
+export function linkStereoLayers (layers, sampleHeaders) {
+  /** @type {Array.<Layer>} */
+  const linked = [];
+
+  layers.forEach(layer => {
+    /** @type {Object} */
+    const header = sampleHeaders[layer.generator.sampleID.amount];
+
+    if (header === undefined || (header.sampleType & 0x0f) !== SampleType.LEFT) {
+      return;
+    }
+
+    layer.linkedLayer = layers.find(right => {
+      /** @type {Object} */
+      const rightHeader = sampleHeaders[right.generator.sampleID.amount];
+
+      return linked.indexOf(right) === -1 &&
+        right.generator.sampleID.amount === header.sampleLink &&
+        rightHeader !== undefined && (rightHeader.sampleType & 0x0f) === SampleType.RIGHT &&
+        isSameRange(right.generator.keyRange, layer.generator.keyRange) &&
+        isSameRange(right.generator.velRange, layer.generator.velRange);
+    }) || null;
+
+    if (layer.linkedLayer !== null) {
+      linked.push(layer.linkedLayer);
+    }
+  });
+
+  return layers.filter(layer => linked.indexOf(layer) === -1);
+}